@@ -0,0 +1,198 @@
+/**
+ * Beat Drift Monitor - Browser Audio Input
+ *
+ * Connects the core onset detector to a Web Audio source. Two paths:
+ *
+ * - AudioWorklet (preferred): evaluates every 128-sample render quantum
+ *   on the audio thread and stamps onsets with AudioContext time,
+ *   corrected for input and output latency.
+ * - AnalyserNode (fallback): polls an analyser once per animation frame
+ *   and stamps onsets with performance.now().
+ *
+ * Every source exposes `now()`, the clock its onset timestamps are in, so
+ * the tracker (setTarget, silence watch) can share it, `toContextTime()`
+ * to schedule sounds on that clock, and `gate()` to echo-gate the detector
+ * around sounds the app plays itself (click track).
+ *
+ * @see onset_detector.js for the detection algorithm
+ */
+
+import { ONSET_DEFAULTS, createOnsetDetector } from './onset_detector.js';
+
+// ============================================================================
+// CLOCKS
+// ============================================================================
+
+/**
+ * Convert a performance.now() time (ms) to AudioContext time (seconds).
+ * Maps through the output timestamp so sounds scheduled there are heard
+ * at `ms`.
+ * @param {AudioContext} ctx - Audio context
+ * @param {number} ms - performance.now() time
+ * @returns {number} Context time (s)
+ */
+export function performanceToContextTime(ctx, ms) {
+  const ts = ctx.getOutputTimestamp ? ctx.getOutputTimestamp() : {};
+  if (ts.performanceTime) return ts.contextTime + (ms - ts.performanceTime) / 1000;
+  return ctx.currentTime + (ms - performance.now()) / 1000;
+}
+
+// ============================================================================
+// ANALYSER (requestAnimationFrame) PATH
+// ============================================================================
+
+/**
+ * Connects an onset detector through a native lowpass + AnalyserNode,
+ * polled once per animation frame.
+ *
+ * @param {AudioContext} ctx - Audio context
+ * @param {AudioNode} source - Input node (e.g. MediaStreamSource)
+ * @param {function} onOnset - Callback for each onset: (performance.now() ms, accent strength)
+ * @param {object} opts - Detector options (see ONSET_DEFAULTS)
+ * @returns {object} { stop, now, toContextTime, gate, mode }
+ */
+export function createAnalyserOnsetSource(ctx, source, onOnset, opts = {}) {
+  const O = { ...ONSET_DEFAULTS, ...opts };
+
+  const filter = ctx.createBiquadFilter();
+  filter.type = 'lowpass';
+  filter.frequency.value = O.lowPassFreq;
+  filter.Q.value = O.lowPassQ;
+
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = O.windowSize;
+  analyser.smoothingTimeConstant = 0;
+
+  if (O.useFilter) {
+    source.connect(filter);
+    filter.connect(analyser);
+  } else {
+    source.connect(analyser);
+  }
+
+  // Filtering happens in the audio graph; the detector only sees windows
+  const detector = createOnsetDetector({ ...O, sampleRate: ctx.sampleRate, useFilter: false, onOnset });
+  const buf = new Float32Array(analyser.fftSize);
+  let frameId = null;
+
+  function tick() {
+    analyser.getFloatTimeDomainData(buf);
+    detector.processFrame(buf, performance.now());
+    frameId = requestAnimationFrame(tick);
+  }
+  frameId = requestAnimationFrame(tick);
+
+  return {
+    mode: 'analyser',
+    now: () => performance.now(),
+    toContextTime: (ms) => performanceToContextTime(ctx, ms),
+    gate: (start, end) => detector.gate(start, end),
+    stop() {
+      cancelAnimationFrame(frameId);
+      try {
+        if (O.useFilter) { source.disconnect(filter); filter.disconnect(analyser); }
+        else { source.disconnect(analyser); }
+      } catch (e) {}
+    }
+  };
+}
+
+// ============================================================================
+// AUDIOWORKLET PATH
+// ============================================================================
+
+/**
+ * Input latency of a MediaStreamAudioSourceNode, in seconds, if the
+ * browser reports it.
+ */
+function getInputLatency(source) {
+  const track = source.mediaStream && source.mediaStream.getAudioTracks()[0];
+  const settings = track && track.getSettings ? track.getSettings() : {};
+  return settings.latency || 0;
+}
+
+/**
+ * Connects an onset detector running in an AudioWorklet.
+ *
+ * Onset times are in AudioContext milliseconds, shifted back by the input
+ * latency (mic -> worklet) and output latency (scheduled -> audible), so an
+ * onset played exactly on a sound scheduled at context time T reports T.
+ *
+ * @param {AudioContext} ctx - Audio context
+ * @param {AudioNode} source - Input node (e.g. MediaStreamSource)
+ * @param {function} onOnset - Callback for each onset: (AudioContext ms, accent strength)
+ * @param {object} opts - Detector options (see ONSET_DEFAULTS)
+ * @param {number} opts.inputLatency - Override input latency (seconds)
+ * @returns {Promise<object>} { stop, now, toContextTime, gate, mode, latencyMs }
+ */
+export async function createWorkletOnsetSource(ctx, source, onOnset, opts = {}) {
+  const { inputLatency = getInputLatency(source), ...detectorOptions } = opts;
+
+  await ctx.audioWorklet.addModule(new URL('./onset_worklet.js', import.meta.url));
+
+  const node = new AudioWorkletNode(ctx, 'onset-detector', {
+    numberOfInputs: 1,
+    numberOfOutputs: 1,
+    channelCount: 1,
+    processorOptions: detectorOptions
+  });
+
+  const outputLatency = (ctx.baseLatency || 0) + (ctx.outputLatency || 0);
+  const latencyMs = (inputLatency + outputLatency) * 1000;
+
+  node.port.onmessage = (event) => {
+    if (event.data.type === 'onset') onOnset(event.data.time - latencyMs, event.data.strength);
+  };
+
+  source.connect(node);
+  // Keep the node pulled by the graph; it only outputs silence
+  node.connect(ctx.destination);
+
+  return {
+    mode: 'worklet',
+    latencyMs,
+    now: () => ctx.currentTime * 1000 - latencyMs,
+    toContextTime: (ms) => ms / 1000,
+    gate(start, end) {
+      // The worklet's clock is uncompensated input time
+      node.port.postMessage({ type: 'gate', start: start + latencyMs, end: end + latencyMs });
+    },
+    stop() {
+      node.port.onmessage = null;
+      try {
+        source.disconnect(node);
+        node.disconnect();
+      } catch (e) {}
+    }
+  };
+}
+
+// ============================================================================
+// SOURCE SELECTION
+// ============================================================================
+
+/**
+ * Connects the best available onset source: AudioWorklet if supported,
+ * otherwise the AnalyserNode fallback.
+ *
+ * @param {AudioContext} ctx - Audio context
+ * @param {AudioNode} source - Input node
+ * @param {function} onOnset - Callback for each onset (in the source's clock)
+ * @param {object} opts - Detector options
+ * @param {string} opts.mode - Force 'worklet' or 'analyser'
+ * @returns {Promise<object>} { stop, now, toContextTime, gate, mode }
+ */
+export async function createOnsetSource(ctx, source, onOnset, opts = {}) {
+  const { mode = 'auto', ...detectorOptions } = opts;
+
+  if (mode !== 'analyser' && ctx.audioWorklet) {
+    try {
+      return await createWorkletOnsetSource(ctx, source, onOnset, detectorOptions);
+    } catch (err) {
+      if (mode === 'worklet') throw err;
+      console.warn('AudioWorklet onset detector unavailable, using analyser:', err);
+    }
+  }
+
+  return createAnalyserOnsetSource(ctx, source, onOnset, detectorOptions);
+}
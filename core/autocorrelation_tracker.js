@@ -0,0 +1,313 @@
+/**
+ * Beat Drift Monitor - Autocorrelation Tracker
+ *
+ * Estimates the tempo from the recent onsets as a whole instead of
+ * correcting a grid onset by onset: every pair of onsets in the window
+ * votes for the periods it is a multiple of, and the period with the
+ * strongest comb-filter response wins. A pair k beats apart votes with
+ * weight 1/k, so the beat wins over its own subdivisions and multiples.
+ *
+ *   score(P) = Σ over pairs  exp(-½ ((dt - kP) / σP)²) / k,   k = round(dt / P) ≤ MAX_MULTIPLE
+ *
+ * The best candidate is then refined by a weighted least-squares fit of
+ * the matching pairs. Missed beats and off-beat hits cost a little score
+ * but do not pull the estimate, at the price of reacting to tempo changes
+ * only as fast as the window fills (WINDOW_ONSETS onsets).
+ *
+ * Confidence is the winning score relative to a perfectly steady window of
+ * the same size.
+ *
+ * @see tracker_strategies.js for the common interface
+ */
+
+import { CONSTANTS, State } from './beat_tracker.js';
+
+export const AUTOCORRELATION_CONSTANTS = {
+  WINDOW_ONSETS: 12,       // Onsets in the comb filter window
+  MAX_MULTIPLE: 4,         // Largest beat distance a pair votes for
+  COMB_WIDTH: 0.04,        // σ of a vote, as a fraction of the candidate period
+  CANDIDATE_STEP: 0.005    // Ratio between neighbouring candidate periods
+};
+
+/**
+ * Best comb filter period for a list of onset times.
+ * @param {number[]} times - Onset times (ms), ascending
+ * @param {object} C - Constants (AUTOCORRELATION_CONSTANTS + MIN/MAX_PERIOD_MS)
+ * @returns {object} { period, score, ideal } (period 0 if nothing matched)
+ */
+export function combFilterPeriod(times, C) {
+  const lags = [];
+  for (let i = 0; i < times.length; i++) {
+    for (let j = i + 1; j < times.length; j++) {
+      const dt = times[j] - times[i];
+      if (dt > C.MAX_PERIOD_MS * C.MAX_MULTIPLE) break;
+      if (dt >= C.MIN_PERIOD_MS * 0.5) lags.push(dt);
+    }
+  }
+
+  const score = (period) => {
+    let sum = 0;
+    for (const dt of lags) {
+      const k = Math.round(dt / period);
+      if (k < 1 || k > C.MAX_MULTIPLE) continue;
+      const z = (dt - k * period) / (C.COMB_WIDTH * period);
+      if (z > -3 && z < 3) sum += Math.exp(-0.5 * z * z) / k;
+    }
+    return sum;
+  };
+
+  let best = { period: 0, score: 0 };
+  for (let p = C.MIN_PERIOD_MS; p <= C.MAX_PERIOD_MS; p *= 1 + C.CANDIDATE_STEP) {
+    const s = score(p);
+    if (s > best.score) best = { period: p, score: s };
+  }
+
+  // What a perfectly steady window of this many onsets would score
+  let ideal = 0;
+  for (let m = 1; m <= C.MAX_MULTIPLE && m < times.length; m++) ideal += (times.length - m) / m;
+
+  if (best.period === 0) return { period: 0, score: 0, ideal };
+
+  // Weighted least squares over the pairs that voted for the winner
+  let period = best.period;
+  for (let iter = 0; iter < 2; iter++) {
+    let num = 0;
+    let den = 0;
+    for (const dt of lags) {
+      const k = Math.round(dt / period);
+      if (k < 1 || k > C.MAX_MULTIPLE) continue;
+      const z = (dt - k * period) / (C.COMB_WIDTH * period);
+      if (z <= -3 || z >= 3) continue;
+      const w = Math.exp(-0.5 * z * z) / k;
+      num += w * k * dt;
+      den += w * k * k;
+    }
+    if (den > 0) period = num / den;
+  }
+
+  return { period, score: best.score, ideal };
+}
+
+/**
+ * Creates an autocorrelation (comb filter) tracker.
+ *
+ * @param {object} options - See createBeatTracker() (onUpdate, trace, constants, now)
+ * @returns {object} Tracker interface
+ */
+export function createAutocorrelationTracker(options = {}) {
+  const {
+    onUpdate = () => {},
+    trace = null,
+    constants = {},
+    now = () => performance.now()
+  } = options;
+
+  const C = { ...CONSTANTS, ...AUTOCORRELATION_CONSTANTS, ...constants };
+
+  let recent = [];
+  let period = 0;
+  let phase = 0;
+  let targetPeriod = 0;
+  let targetPhase = 0;
+  let confidence = 0;
+  let state = State.IDLE;
+  let armed = false;
+  let calCount = 0;
+
+  let onsetCount = 0;
+  let gridHits = 0;
+  let gridMisses = 0;
+  let lastOnsetTime = 0;
+  let heardOnset = false;  // lastOnsetTime can be 0
+  let silenceCheckInterval = null;
+
+  function emitUpdate() {
+    const currentBpm = period > 0 ? 60000 / period : null;
+    const targetBpm = targetPeriod > 0 ? 60000 / targetPeriod : null;
+    const drift = currentBpm && targetBpm ? currentBpm - targetBpm : 0;
+
+    const data = {
+      state,
+      currentBpm: currentBpm ? Math.round(currentBpm * 10) / 10 : null,
+      targetBpm: targetBpm ? Math.round(targetBpm * 10) / 10 : null,
+      drift: Math.round(drift * 10) / 10,
+      confidence: Math.round(confidence * 100),
+      beatCount: calCount,
+      calibrationNeeded: C.CAL_BEATS,
+      gridHits,
+      gridMisses,
+      period,
+      targetPeriod
+    };
+
+    onUpdate(data);
+    return data;
+  }
+
+  function traceOnset(timestamp, event, periodBefore, offset = null) {
+    if (!trace) return;
+    const tracking = state === State.TRACKING && period > 0 && targetPeriod > 0;
+    trace.add({
+      timestamp,
+      state,
+      event,
+      periodBefore,
+      periodAfter: period,
+      targetPeriodAfter: targetPeriod,
+      offset,
+      hitOffsetMs: offset !== null && Math.abs(offset) < C.GRID_TOLERANCE ? offset * periodBefore : null,
+      currentBpm: period > 0 ? 60000 / period : null,
+      targetBpm: targetPeriod > 0 ? 60000 / targetPeriod : null,
+      drift: tracking ? Math.round((60000 / period - 60000 / targetPeriod) * 100) / 100 : null,
+      confidence: Math.round(confidence * 100),
+      onsetCount
+    });
+  }
+
+  function estimate() {
+    const result = combFilterPeriod(recent, C);
+    if (result.period > 0) {
+      period = result.period;
+      confidence = result.ideal > 0 ? Math.min(1, result.score / result.ideal) : 0;
+    }
+    return result.period > 0;
+  }
+
+  function addOnset(timestamp) {
+    lastOnsetTime = timestamp;
+    heardOnset = true;
+    onsetCount++;
+    const periodBefore = period;
+
+    if (state === State.WAITING) {
+      recent = [timestamp];
+      if (armed) {
+        armed = false;
+        period = targetPeriod;
+        phase = timestamp;
+        targetPhase = timestamp;
+        state = State.TRACKING;
+        traceOnset(timestamp, 'resume_with_target', periodBefore);
+      } else {
+        calCount = 1;
+        period = 0;
+        targetPeriod = 0;
+        state = State.CALIBRATING;
+        traceOnset(timestamp, 'resume_from_waiting', periodBefore);
+      }
+      emitUpdate();
+      return;
+    }
+
+    recent.push(timestamp);
+    if (recent.length > C.WINDOW_ONSETS) recent.shift();
+
+    if (state === State.CALIBRATING) {
+      calCount++;
+      let event = 'calibrating';
+      if (calCount >= C.CAL_BEATS + 1 && estimate()) {
+        targetPeriod = period;
+        phase = timestamp;
+        targetPhase = timestamp;
+        state = State.TRACKING;
+        event = 'calibration_complete';
+      }
+      traceOnset(timestamp, event, periodBefore);
+      emitUpdate();
+      return;
+    }
+
+    if (state !== State.TRACKING || period === 0) return;
+
+    // Grid hit or miss against the grid before this onset
+    const beatFraction = (timestamp - phase) / period;
+    const offset = beatFraction - Math.round(beatFraction);
+    const onGrid = Math.abs(offset) < C.GRID_TOLERANCE;
+    if (onGrid) {
+      gridHits++;
+      phase = timestamp;
+    } else {
+      gridMisses++;
+    }
+
+    if (recent.length >= 3) estimate();
+    traceOnset(timestamp, onGrid ? 'on_grid' : 'off_grid', periodBefore, offset);
+    emitUpdate();
+  }
+
+  function setTarget(bpm, opts = {}) {
+    targetPeriod = 60000 / bpm;
+    period = targetPeriod;
+    calCount = C.CAL_BEATS + 1;
+    if (opts.waitForOnset) {
+      state = State.WAITING;
+      armed = true;
+      confidence = 0;
+    } else {
+      phase = now();
+      targetPhase = phase;
+      state = State.TRACKING;
+    }
+    emitUpdate();
+  }
+
+  function reset() {
+    recent = [];
+    period = 0;
+    phase = 0;
+    targetPeriod = 0;
+    targetPhase = 0;
+    confidence = 0;
+    calCount = 0;
+    onsetCount = 0;
+    gridHits = 0;
+    gridMisses = 0;
+    armed = false;
+    state = State.CALIBRATING;
+    emitUpdate();
+  }
+
+  function checkSilence(time) {
+    if (state !== State.TRACKING && state !== State.CALIBRATING) return;
+    if (heardOnset && time - lastOnsetTime > C.SILENCE_TIMEOUT_MS) {
+      state = State.WAITING;
+      confidence = 0;
+      emitUpdate();
+    }
+  }
+
+  function stopSilenceWatch() {
+    if (silenceCheckInterval) {
+      clearInterval(silenceCheckInterval);
+      silenceCheckInterval = null;
+    }
+  }
+
+  return {
+    addOnset,
+    setTarget,
+    reset,
+    checkSilence,
+    startSilenceWatch(getTime = now) {
+      stopSilenceWatch();
+      silenceCheckInterval = setInterval(() => checkSilence(getTime()), 500);
+    },
+    stopSilenceWatch,
+    destroy: stopSilenceWatch,
+    getState() {
+      return {
+        state,
+        period,
+        phase,
+        targetPeriod,
+        targetPhase,
+        confidence,
+        gridHits,
+        gridMisses,
+        onsetCount,
+        armed,
+        meter: '4/4'
+      };
+    }
+  };
+}
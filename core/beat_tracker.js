@@ -2,18 +2,32 @@
  * Beat Drift Monitor - Core Algorithm
  *
  * PLL-based beat grid tracker that detects tempo drift relative to a
- * calibrated reference tempo.
+ * calibrated reference tempo. The grid's tempo and phase are corrected
+ * with fixed gains, or by a Kalman filter (`estimator: 'kalman'`, see
+ * tempo_kalman.js). With a tempo map (tempo_map.js) the reference follows
+ * the map beat by beat. A steady shift to a new tempo is reported as a
+ * section change, and can re-target the tracker.
  *
- * @version 2.2.0
+ * @version 3.0.0
  * @see ALGORITHM.md for specification
  */
 
+import { createTempoKalman } from './tempo_kalman.js';
+import { createTempoMap } from './tempo_map.js';
+import * as scenarioGenerators from './scenario_generators.js';
+
 // ============================================================================
 // CONSTANTS
 // ============================================================================
 
 export const CONSTANTS = {
   CAL_BEATS: 8,              // Onsets required for calibration
+  CAL_MIN_QUALITY: 0.6,      // Calibration quality (0-1) that ends calibration
+  CAL_MAX_BEATS: 24,         // Onsets after which calibration takes the best it has
+  CAL_OUTLIER: 0.15,         // Fraction of a beat off the calibration grid that rejects an onset
+  CAL_SPREAD_MAX: 0.15,      // Timing spread (fraction of a beat) at which calibration quality is 0
+  CAL_VERIFY_BEATS: 12,      // Tracked onsets after calibration that check it
+  CAL_VERIFY_MISSES: 5,      // Off-grid onsets among them that re-run calibration
   ADAPT_FAST: 0.08,          // Period adaptation rate
   ADAPT_SLOW: 0.005,         // (UNUSED) Was: target period adaptation rate
   GRID_TOLERANCE: 0.35,      // Fraction of period that counts as "on-grid"
@@ -21,8 +35,34 @@ export const CONSTANTS = {
   PERIOD_HISTORY: 12,        // Recent periods to store
   MIN_PERIOD_MS: 200,        // ~300 BPM
   MAX_PERIOD_MS: 1500,       // ~40 BPM
+  ACCENT_DECAY: 0.95,        // Per on-grid onset decay of the per-beat accent scores
+  DOWNBEAT_SWITCH: 1.3,      // Accent score ratio needed to move the downbeat
+  SUBDIVISION_TOLERANCE: 0.06, // Fraction of a beat around an 8th/16th/triplet position
+  SUBDIVISION_WEIGHT: 0.5,   // Phase/period correction of a subdivision hit relative to a beat
+  SUBDIVISION_MIN_HITS: 3,   // Recent hits on a subdivision before it is reported
+  TIMING_HISTORY: 16,        // On-grid hits in the rolling microtiming stats
+  SWING_MIN: 0.4,            // Earliest position (fraction of a beat) of a swung 8th
+  SWING_MAX: 0.8,            // Latest position of a swung 8th
+  SWING_HISTORY: 8,          // Swung 8ths in the rolling swing ratio
+  SWING_MIN_HITS: 4,         // Swung 8ths before the swing ratio is reported
+  SECTION_CHANGE_BPM: 3.5,   // Steady tempo shift (BPM) from the target that is a new section
+  SECTION_CHANGE_BEATS: 16,  // On-grid beats the new tempo must hold
+  SECTION_STABLE_BPM: 1,     // Largest tempo difference between the two halves of those beats
+  // Kalman estimator only (estimator: 'kalman')
+  KALMAN_TIMING_MS: 15,      // Onset timing noise σ (ms)
+  KALMAN_TEMPO_NOISE: 0.002, // Period random walk σ per beat (fraction of the period)
+  KALMAN_PHASE_NOISE_MS: 5,  // Phase random walk σ per beat (ms)
+  KALMAN_GATE: 3.5,          // Innovation gate (σ); onsets outside are off-grid
+  KALMAN_MANEUVER: 0.2,      // Period σ after a tempo change, as a fraction of the change per beat
+  KALMAN_CONFIDENCE_BPM: 1.5, // Tempo σ (BPM) at which confidence is 50%
 };
 
+// Grid correction methods, see createBeatTracker() `estimator`
+export const ESTIMATORS = ['pll', 'kalman'];
+
+// What a detected section change does, see createBeatTracker() `sectionChange`
+export const SECTION_CHANGE_MODES = ['keep', 'auto', 'prompt'];
+
 // ============================================================================
 // STATE ENUM
 // ============================================================================
@@ -34,6 +74,108 @@ export const State = {
   WAITING: 'WAITING'
 };
 
+// ============================================================================
+// METER
+// ============================================================================
+
+/**
+ * Parse a time signature such as '4/4', '3/4', '6/8' or '7/8'. The
+ * tracked beat is the meter's counting unit, so '6/8' has 6 beats per bar
+ * (use '2/4' for a 6/8 groove felt in two).
+ * @param {string} meter - Time signature
+ * @returns {object} { label, beatsPerBar, unit }
+ */
+export function parseMeter(meter) {
+  const match = /^(\d{1,2})\/(\d{1,2})$/.exec(String(meter).trim());
+  const beatsPerBar = match ? Number(match[1]) : 0;
+  const unit = match ? Number(match[2]) : 0;
+  if (beatsPerBar < 1 || ![1, 2, 4, 8, 16, 32].includes(unit)) {
+    throw new Error(`Invalid meter "${meter}" (expected e.g. 4/4 or 7/8)`);
+  }
+  return { label: `${beatsPerBar}/${unit}`, beatsPerBar, unit };
+}
+
+// ============================================================================
+// SUBDIVISIONS
+// ============================================================================
+
+/** `subdivisionLabel` values, by hits per beat. */
+export const SUBDIVISION_LABELS = {
+  1: 'beat',
+  2: '8th',
+  3: 'triplet',
+  4: '16th'
+};
+
+/**
+ * Nearest 8th, 16th or triplet position to a fractional grid position.
+ * Ties go to the coarser subdivision (the "and" is an 8th, not a 16th).
+ * @param {number} beatFraction - Position in beats since the grid origin
+ * @param {number} tolerance - Maximum distance (fraction of a beat)
+ * @returns {object|null} { subdivision, position }, or null if none is close enough
+ */
+export function nearestSubdivision(beatFraction, tolerance) {
+  const beat = Math.floor(beatFraction);
+  const fraction = beatFraction - beat;
+  let best = null;
+
+  for (const n of [2, 4, 3]) {
+    const k = Math.round(fraction * n);
+    if (k === 0 || k === n) continue;
+    const error = Math.abs(fraction - k / n);
+    if (error < tolerance && (!best || error < best.error)) {
+      best = { subdivision: n, position: beat + k / n, error };
+    }
+  }
+
+  return best && { subdivision: best.subdivision, position: best.position };
+}
+
+// ============================================================================
+// MICROTIMING
+// ============================================================================
+
+/**
+ * Summary of hit offsets from the grid (ms, negative = ahead/pushing,
+ * positive = behind/pulling).
+ * @param {number[]} offsets - Signed offsets (ms)
+ * @returns {object} { meanMs, stdMs, worstMs, count }; null stats if empty
+ */
+export function summarizeOffsets(offsets) {
+  const count = offsets.length;
+  if (count === 0) return { meanMs: null, stdMs: null, worstMs: null, count };
+
+  const meanMs = offsets.reduce((a, b) => a + b, 0) / count;
+  const variance = offsets.reduce((a, b) => a + (b - meanMs) ** 2, 0) / count;
+  const worstMs = offsets.reduce((w, o) => (Math.abs(o) > Math.abs(w) ? o : w), 0);
+
+  return { meanMs, stdMs: Math.sqrt(variance), worstMs, count };
+}
+
+// ============================================================================
+// SECTION CHANGES
+// ============================================================================
+
+/**
+ * Tempo of a run of beats: least-squares fit of t = a + k · period over
+ * their onset times t and grid beats k. Unlike the grid's period it has
+ * no adaptation lag, so a tempo step shows in full once the run is past it.
+ * @param {object[]} beats - { t, k } per beat
+ * @returns {number} BPM (NaN if the beats span less than one)
+ */
+function fitTempo(beats) {
+  const n = beats.length;
+  const mk = beats.reduce((sum, b) => sum + b.k, 0) / n;
+  const mt = beats.reduce((sum, b) => sum + b.t, 0) / n;
+  let skt = 0;
+  let skk = 0;
+  for (const b of beats) {
+    skt += (b.k - mk) * (b.t - mt);
+    skk += (b.k - mk) ** 2;
+  }
+  return skk > 0 ? 60000 * skk / skt : NaN;
+}
+
 // ============================================================================
 // DEBUG TRACE
 // ============================================================================
@@ -110,17 +252,39 @@ export function createTraceBuffer(maxSize = 1000) {
  * @param {function} options.onUpdate - Callback for state updates
  * @param {object} options.trace - Optional trace buffer
  * @param {object} options.constants - Optional constant overrides
+ * @param {function} options.now - Clock onset timestamps are in (ms), used
+ *   by setTarget() and the silence watch. Defaults to performance.now().
+ * @param {string} options.meter - Time signature (default '4/4'), see parseMeter()
+ * @param {string} options.estimator - 'pll' (fixed-gain corrections, default)
+ *   or 'kalman' (tempo/phase Kalman filter with innovation gating; updates
+ *   then carry `driftUncertainty`)
+ * @param {object} options.tempoMap - Target tempo map, see setTempoMap()
+ * @param {string} options.sectionChange - What a steady shift to a new
+ *   tempo (trace event `section_change`) does: 'keep' measuring drift
+ *   against the target (default), 'auto' re-target to the new tempo, or
+ *   'prompt' (updates carry `pendingSectionBpm` until
+ *   acceptSectionChange() or dismissSectionChange())
  * @returns {object} Beat tracker interface
  */
 export function createBeatTracker(options = {}) {
   const {
     onUpdate = () => {},
     trace = null,
-    constants = {}
+    constants = {},
+    now = () => performance.now(),
+    meter: initialMeter = '4/4',
+    estimator = 'pll',
+    tempoMap: initialTempoMap = null,
+    sectionChange: initialSectionChange = 'keep'
   } = options;
 
+  if (!ESTIMATORS.includes(estimator)) {
+    throw new Error(`Unknown estimator "${estimator}" (${ESTIMATORS.join(', ')})`);
+  }
+
   // Merge constants with defaults
   const C = { ...CONSTANTS, ...constants };
+  const kalman = estimator === 'kalman' ? createTempoKalman(C) : null;
 
   // ---- State ----
   let period = 0;            // ms between beats
@@ -132,6 +296,11 @@ export function createBeatTracker(options = {}) {
   // Calibration
   let calOnsets = [];
   let state = State.IDLE;
+  let calibrationQuality = null;   // 0-1 score of the last calibration window
+  let calibrationReason = null;    // Why calibration ended: 'stable' or 'max_onsets'
+  let verifyOnsets = null;         // Tracked onsets since calibration, while it is checked
+  let verifyMisses = 0;            // Off-grid onsets among them
+  let recalibrations = 0;          // Calibrations re-run since reset()
 
   // Statistics
   let onsetCount = 0;
@@ -145,12 +314,77 @@ export function createBeatTracker(options = {}) {
   let tempoMultipleConfidence = 0; // 0-1, confidence in detection
   const BEAT_POSITION_HISTORY = 16;
 
-  // Silence detection
+  // Subdivisions: 8th/16th/triplet hits between the beats
+  let recentSubdivisions = [];     // Per tracked onset: hits per beat of its position (0 = off-grid)
+  let subdivision = 1;             // Detected subdivision, see SUBDIVISION_LABELS
+  let subdivisionHits = 0;
+  const SUBDIVISION_HISTORY = 16;
+
+  // Swing: where the lone hit between two beats lands (0.5 = straight,
+  // 0.667 = triplet shuffle). Its drift is measured against the ratio
+  // first heard, like the tempo against the calibrated target.
+  let swingPositions = [];         // Recent swung 8th positions (fraction of a beat)
+  let swingRatio = null;           // Median of swingPositions, once there are enough
+  let targetSwingRatio = null;     // First swingRatio since tracking started
+  let swingBeat = null;            // Grid beat of the last hit between beats
+  let swingSampled = false;        // Whether that hit was taken as a swung 8th
+
+  // Microtiming: offsets from a grid at targetPeriod that starts with
+  // tracking and is never snapped to the player (where a click would be)
+  let targetPhase = 0;             // Origin of the target-tempo grid
+  let hitOffsets = [];             // Recent on-grid offsets (ms)
+  let hitOffsetMs = null;          // Offset of the last onset, if it was on the grid
+
+  // Bar position: grid beat n is beat ((n - downbeat) mod beatsPerBar) + 1
+  let meter = parseMeter(initialMeter);
+  let downbeat = 0;                // Grid beat index (mod beatsPerBar) of beat 1
+  let accentScores = [];           // Decaying accent strength per grid beat slot
+  let downbeatConfidence = 0;      // 0-1, how clearly one slot is accented
+  let beatInBar = null;            // 1-based beat of the last tracked onset
+  let barPosition = null;          // 0-1 position of the last tracked onset in the bar
+
+  // Tempo map: grid beat n is map beat mapOrigin + n. The target is the
+  // map's tempo at the last tracked beat, and the period is scaled by the
+  // map's tempo changes as they come, so only the player's own deviation
+  // from the map is drift.
+  let tempoMap = null;
+  let mapOrigin = 0;               // Map beat of grid beat 0
+  let mapBeat = null;              // Map beat of the last tracked onset
+
+  // Section changes: the last SECTION_CHANGE_BEATS on-grid beats, fitted
+  // as a straight grid. A steady tempo that far from the section's is a
+  // new section (not with a tempo map, which has its own sections).
+  let sectionChange = 'keep';
+  let sectionBeats = [];           // { t, k }: onset time and grid beat
+  let sectionPeriod = 0;           // Tempo of the current section: the target, or the last one found
+  let pendingSectionPeriod = null; // Found, waiting for acceptSectionChange() ('prompt')
+
+  // Silence detection (an onset can be at 0, so heardOnset says if there was one)
   let lastOnsetTime = 0;
+  let heardOnset = false;
   let silenceCheckInterval = null;
 
+  // Target armed by setTarget() while WAITING (setlist: next song's tempo)
+  let armed = false;
+  let countIn = 0;            // Count-in onsets to skip before the song starts
+  let countInHeard = 0;
+
   // ---- Internal helpers ----
 
+  /**
+   * Tempo uncertainty (1σ, BPM) of the Kalman estimate; the target is
+   * fixed, so this is also the drift's uncertainty. Null for the PLL.
+   */
+  function driftUncertainty() {
+    if (!kalman || period <= 0) return null;
+    return 60000 * kalman.periodSd / (period * period);
+  }
+
+  // Kalman confidence: 1 when the tempo is certain, 0.5 at KALMAN_CONFIDENCE_BPM
+  function kalmanConfidence() {
+    return 1 / (1 + (driftUncertainty() / C.KALMAN_CONFIDENCE_BPM) ** 2);
+  }
+
   function getTempoMultipleLabel() {
     if (tempoMultiple === 0.5) return 'half-time';
     if (tempoMultiple === 2) return 'double-time';
@@ -161,22 +395,49 @@ export function createBeatTracker(options = {}) {
     const currentBpm = period > 0 ? 60000 / period : null;
     const targetBpm = targetPeriod > 0 ? 60000 / targetPeriod : null;
     const drift = (currentBpm && targetBpm) ? currentBpm - targetBpm : 0;
+    const timing = summarizeOffsets(hitOffsets);
+    const ms = value => (value === null ? null : Math.round(value * 10) / 10);
+    const ratio = value => (value === null ? null : Math.round(value * 1000) / 1000);
+    const uncertainty = state === State.TRACKING ? driftUncertainty() : null;
 
     const data = {
       state,
       currentBpm: currentBpm ? Math.round(currentBpm * 10) / 10 : null,
       targetBpm: targetBpm ? Math.round(targetBpm * 10) / 10 : null,
       drift: Math.round(drift * 10) / 10,
+      driftUncertainty: uncertainty === null ? null : Math.round(uncertainty * 100) / 100,
       confidence: Math.round(confidence * 100),
       beatCount: calOnsets.length,
       calibrationNeeded: C.CAL_BEATS,
+      calibrationQuality: calibrationQuality === null ? null : Math.round(calibrationQuality * 100),
+      calibrationReason,
+      recalibrations,
       gridHits,
       gridMisses,
       period,
       targetPeriod,
       tempoMultiple,
       tempoMultipleConfidence: Math.round(tempoMultipleConfidence * 100),
-      tempoMultipleLabel: getTempoMultipleLabel()
+      tempoMultipleLabel: getTempoMultipleLabel(),
+      meter: meter.label,
+      beatsPerBar: meter.beatsPerBar,
+      beatInBar: state === State.TRACKING ? beatInBar : null,
+      barPosition: state === State.TRACKING ? barPosition : null,
+      downbeatConfidence: Math.round(downbeatConfidence * 100),
+      mapBeat: tempoMap && state === State.TRACKING ? mapBeat : null,
+      section: tempoMap && state === State.TRACKING ? tempoMap.sectionAt(mapBeat).name : null,
+      pendingSectionBpm: pendingSectionPeriod === null ? null : Math.round(600000 / pendingSectionPeriod) / 10,
+      subdivision,
+      subdivisionLabel: SUBDIVISION_LABELS[subdivision],
+      subdivisionHits,
+      swingRatio: ratio(swingRatio),
+      targetSwingRatio: ratio(targetSwingRatio),
+      swingDrift: swingDrift() === null ? null : ratio(swingDrift()),
+      hitOffsetMs: state === State.TRACKING ? ms(hitOffsetMs) : null,
+      timingMeanMs: ms(timing.meanMs),
+      timingStdMs: ms(timing.stdMs),
+      timingWorstMs: ms(timing.worstMs),
+      timingHits: timing.count
     };
 
     onUpdate(data);
@@ -223,6 +484,361 @@ export function createBeatTracker(options = {}) {
     return valid[Math.floor(valid.length / 2)];
   }
 
+  function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  /**
+   * Score calibration onsets as a straight beat grid. Each onset goes on
+   * the nearest beat of a trial period; an onset more than CAL_OUTLIER of
+   * a beat off a robust line through them (median of the pairwise slopes),
+   * or on the same beat as one closer to it (a double trigger), is
+   * rejected. The quality is the share of onsets kept, times the share of
+   * the grid's beats they fill, times 1 - (timing spread of the kept ones
+   * / CAL_SPREAD_MAX), times 1 - (tempo change between the first and the
+   * second half of them / CAL_SPREAD_MAX), so a count-in a few BPM off
+   * the song does not pass for one steady grid. The trial periods are findDominantPeriod()'s and
+   * twice it, so stray onsets between the beats do not make a grid of
+   * half beats; the better one wins.
+   * @param {number[]} times - Onset times (ms)
+   * @returns {object|null} { period, quality, kept, rejected, lastKept },
+   *   or null if no grid fits
+   */
+  function scoreCalibration(times) {
+    const intervals = [];
+    for (let i = 1; i < times.length; i++) intervals.push(times[i] - times[i - 1]);
+    const rough = findDominantPeriod(intervals);
+    if (rough <= 0) return null;
+
+    let best = null;
+    for (const multiple of [1, 2]) {
+      const fit = scoreGrid(times, rough * multiple);
+      if (fit && (!best || fit.quality > best.quality)) best = fit;
+    }
+    return best;
+  }
+
+  function scoreGrid(times, trialPeriod) {
+    const last = times[times.length - 1];
+    const points = times.map(t => ({ t, k: Math.round((t - last) / trialPeriod) }));
+    const slopes = [];
+    for (let i = 0; i < points.length; i++) {
+      for (let j = i + 1; j < points.length; j++) {
+        if (points[j].k !== points[i].k) slopes.push((points[j].t - points[i].t) / (points[j].k - points[i].k));
+      }
+    }
+    const slope = slopes.length ? median(slopes) : trialPeriod;
+    const origin = median(points.map(pt => pt.t - pt.k * slope));
+    const residual = pt => Math.abs(pt.t - origin - pt.k * slope);
+
+    // At most one onset per beat, the closest, within CAL_OUTLIER of it
+    const byBeat = new Map();
+    for (const pt of points) {
+      if (residual(pt) > C.CAL_OUTLIER * slope) continue;
+      const other = byBeat.get(pt.k);
+      if (!other || residual(pt) < residual(other)) byBeat.set(pt.k, pt);
+    }
+    const kept = points.filter(pt => byBeat.get(pt.k) === pt);
+    if (kept.length < 2) return null;
+
+    const keptIntervals = [];
+    for (let i = 1; i < kept.length; i++) keptIntervals.push(kept[i].t - kept[i - 1].t);
+    const period = findDominantPeriod(keptIntervals);
+    if (period <= 0) return null;
+
+    const filled = kept.length / (kept[kept.length - 1].k - kept[0].k + 1);
+    const spread = Math.sqrt(kept.reduce((sum, pt) => sum + residual(pt) ** 2, 0) / kept.length) / slope;
+    const half = Math.ceil(kept.length / 2);
+    const early = fitTempo(kept.slice(0, half));
+    const late = fitTempo(kept.slice(kept.length - half));
+    const change = Number.isFinite(early) && Number.isFinite(late) ? 2 * Math.abs(early - late) / (early + late) : 0;
+    return {
+      period,
+      quality: (kept.length / points.length) * filled *
+        Math.max(0, 1 - spread / C.CAL_SPREAD_MAX) * Math.max(0, 1 - change / C.CAL_SPREAD_MAX),
+      kept: kept.map(pt => pt.t),
+      rejected: points.length - kept.length,
+      lastKept: kept[kept.length - 1] === points[points.length - 1]
+    };
+  }
+
+  /**
+   * Check a calibration against the first CAL_VERIFY_BEATS tracked onsets
+   * after it. It got the tempo wrong if CAL_VERIFY_MISSES of them are off
+   * the grid, or if the last CAL_BEATS + 1 of them make a steady grid of
+   * their own whose period is not a whole multiple of the tracked one
+   * (within the 15% findDominantPeriod() allows). Calibration then starts
+   * over on the onsets heard since.
+   * @returns {boolean} Whether calibration was restarted
+   */
+  function verifyCalibration(timestamp, offGrid) {
+    if (verifyOnsets === null) return false;
+    verifyOnsets.push(timestamp);
+    if (offGrid) verifyMisses++;
+
+    let disagrees = verifyMisses >= C.CAL_VERIFY_MISSES;
+    if (!disagrees && verifyOnsets.length >= C.CAL_BEATS + 1) {
+      const fit = scoreCalibration(verifyOnsets.slice(-(C.CAL_BEATS + 1)));
+      if (fit && fit.lastKept && fit.quality >= C.CAL_MIN_QUALITY) {
+        const ratio = Math.max(fit.period, period) / Math.min(fit.period, period);
+        disagrees = Math.abs(ratio - Math.round(ratio)) >= 0.15 || Math.round(ratio) > 4;
+      }
+    }
+
+    if (disagrees) {
+      calOnsets = verifyOnsets;
+      verifyOnsets = null;
+      state = State.CALIBRATING;
+      confidence = 0;
+      mapBeat = null;
+      calibrationQuality = null;
+      calibrationReason = null;
+      recalibrations++;
+      return true;
+    }
+    if (verifyOnsets.length >= C.CAL_VERIFY_BEATS) verifyOnsets = null;
+    return false;
+  }
+
+  /**
+   * Start the target-tempo grid on `time`, e.g. the onset that completed
+   * calibration. Offsets measured against the previous grid are dropped.
+   */
+  function anchorTargetGrid(time) {
+    targetPhase = time;
+    hitOffsets = [];
+    hitOffsetMs = null;
+  }
+
+  /**
+   * Signed offset (ms) of an on-grid onset from the nearest beat of the
+   * target-tempo grid.
+   */
+  function addHitOffset(timestamp) {
+    if (tempoMap) {
+      // The target grid is the map's, from the map beat it was anchored on
+      const beats = tempoMap.beatAtTime(timestamp - targetPhase + tempoMap.timeOfBeat(mapOrigin));
+      const nearest = Math.round(beats);
+      hitOffsetMs = timestamp - targetPhase - (tempoMap.timeOfBeat(nearest) - tempoMap.timeOfBeat(mapOrigin));
+    } else {
+      const beats = (timestamp - targetPhase) / targetPeriod;
+      hitOffsetMs = (beats - Math.round(beats)) * targetPeriod;
+    }
+    hitOffsets.push(hitOffsetMs);
+    if (hitOffsets.length > C.TIMING_HISTORY) hitOffsets.shift();
+  }
+
+  function resetSubdivisions() {
+    recentSubdivisions = [];
+    subdivision = 1;
+    subdivisionHits = 0;
+    swingPositions = [];
+    swingRatio = null;
+    targetSwingRatio = null;
+    swingBeat = null;
+    swingSampled = false;
+  }
+
+  function swingDrift() {
+    return swingRatio === null || targetSwingRatio === null ? null : swingRatio - targetSwingRatio;
+  }
+
+  /**
+   * Take a hit between two beats as a swung 8th if it is the only one
+   * between them and lands between SWING_MIN and SWING_MAX of the beat;
+   * a second hit in the same beat (16ths, a fill) withdraws it.
+   * @returns {number|null} Its position in the beat, if taken
+   */
+  function updateSwing(beatFraction) {
+    const beat = Math.floor(beatFraction);
+    const position = beatFraction - beat;
+    let sampled = null;
+
+    if (beat === swingBeat) {
+      if (swingSampled) swingPositions.pop();
+      swingSampled = false;
+    } else {
+      swingBeat = beat;
+      swingSampled = position >= C.SWING_MIN && position <= C.SWING_MAX;
+      if (swingSampled) {
+        sampled = position;
+        swingPositions.push(position);
+        if (swingPositions.length > C.SWING_HISTORY) swingPositions.shift();
+      }
+    }
+
+    if (swingPositions.length >= C.SWING_MIN_HITS) {
+      const sorted = [...swingPositions].sort((a, b) => a - b);
+      const mid = sorted.length >> 1;
+      swingRatio = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+      if (targetSwingRatio === null) targetSwingRatio = swingRatio;
+    } else {
+      swingRatio = null;
+    }
+    return sampled;
+  }
+
+  /**
+   * Remember where a tracked onset landed and report the finest
+   * subdivision heard at least SUBDIVISION_MIN_HITS times recently.
+   * Triplets win over 16ths they outnumber (both fall near ±0.3 beats).
+   */
+  function updateSubdivision(hitsPerBeat) {
+    recentSubdivisions.push(hitsPerBeat);
+    if (recentSubdivisions.length > SUBDIVISION_HISTORY) recentSubdivisions.shift();
+
+    const count = n => recentSubdivisions.filter(s => s === n).length;
+    if (count(3) >= C.SUBDIVISION_MIN_HITS && count(3) >= count(4)) subdivision = 3;
+    else if (count(4) >= C.SUBDIVISION_MIN_HITS) subdivision = 4;
+    else if (count(2) >= C.SUBDIVISION_MIN_HITS) subdivision = 2;
+    else subdivision = 1;
+  }
+
+  function mod(n, m) {
+    return ((n % m) + m) % m;
+  }
+
+  /**
+   * Start counting bars from the current grid origin. `beatsBefore` is
+   * how many beats the origin is after the assumed beat 1 (calibration
+   * starts on the first onset, which is usually the top of a bar).
+   */
+  function resetBars(beatsBefore = 0) {
+    downbeat = mod(-beatsBefore, meter.beatsPerBar);
+    accentScores = new Array(meter.beatsPerBar).fill(0);
+    downbeatConfidence = 0;
+    beatInBar = null;
+    barPosition = null;
+  }
+
+  /**
+   * Accumulate an on-grid onset's accent strength and move the downbeat
+   * to the most accented slot once it clearly stands out.
+   */
+  function updateDownbeat(gridBeat, strength) {
+    const slot = mod(gridBeat, meter.beatsPerBar);
+    for (let i = 0; i < accentScores.length; i++) accentScores[i] *= C.ACCENT_DECAY;
+    accentScores[slot] += strength;
+
+    const ranked = [...accentScores].sort((a, b) => b - a);
+    const best = accentScores.indexOf(ranked[0]);
+    downbeatConfidence = ranked[0] > 0 && ranked.length > 1 ? (ranked[0] - ranked[1]) / ranked[0] : 0;
+
+    if (best !== downbeat && accentScores[best] > accentScores[downbeat] * C.DOWNBEAT_SWITCH) {
+      downbeat = best;
+    }
+  }
+
+  // Whether drift is measured against the tempo map (it has been started)
+  function followingMap() {
+    return tempoMap !== null && mapBeat !== null;
+  }
+
+  /**
+   * Start following the tempo map with map beat `origin` on grid beat 0
+   * (the onset tracking starts on): the target is the map's tempo there.
+   */
+  function startTempoMap(origin) {
+    mapOrigin = origin;
+    mapBeat = origin;
+    targetPeriod = tempoMap.periodOfBeat(origin);
+    followMapMeter();
+  }
+
+  // Take the meter of the map section at mapBeat, if the map sets one
+  function followMapMeter() {
+    const sectionMeter = tempoMap.meterAt(mapBeat);
+    if (!sectionMeter) return;
+    const next = parseMeter(sectionMeter);
+    if (next.label === meter.label) return;
+    meter = next;
+    resetBars();
+  }
+
+  /**
+   * Move on to the map beat of grid beat `gridBeat`. The target becomes
+   * the map's tempo there, and the period is scaled by the map's tempo
+   * change since the last tracked beat (feed-forward, so a programmed
+   * ramp is not chased with ADAPT_FAST lag). The grid is rescaled around
+   * that beat so its beat numbers stay put.
+   */
+  function advanceTempoMap(gridBeat) {
+    const beat = mapOrigin + gridBeat;
+    if (beat <= mapBeat) return;
+
+    const ratio = tempoMap.periodOfBeat(beat) / tempoMap.periodOfBeat(mapBeat);
+    mapBeat = beat;
+    targetPeriod = tempoMap.periodOfBeat(beat);
+    if (ratio !== 1) {
+      const beatTime = phase + gridBeat * period;
+      period *= ratio;
+      phase = beatTime - gridBeat * period;
+      if (kalman) {
+        kalman.rescale(ratio);
+        period = kalman.period;
+        phase = kalman.phase;
+      }
+    }
+    followMapMeter();
+  }
+
+  /**
+   * Bar position from the map's bars, where it sets the meter: `beat` is
+   * the map beat of the tracked onset, `position` its exact map position.
+   */
+  function followMapBars(beat, position) {
+    const section = tempoMap.sectionAt(beat);
+    if (!section.meter) return;
+    beatInBar = mod(beat - section.barStart, meter.beatsPerBar) + 1;
+    barPosition = mod(position - section.barStart, meter.beatsPerBar) / meter.beatsPerBar;
+  }
+
+  // Look for section changes from the current target on
+  function resetSectionChange() {
+    sectionBeats = [];
+    sectionPeriod = targetPeriod;
+    pendingSectionPeriod = null;
+  }
+
+  // Measure drift against a new section's period, with the target grid on `time`
+  function retarget(newPeriod, time) {
+    targetPeriod = newPeriod;
+    anchorTargetGrid(time);
+  }
+
+  /**
+   * Add an on-grid beat and look for a new section: the last
+   * SECTION_CHANGE_BEATS beats at a tempo SECTION_CHANGE_BPM or more from
+   * the current section's, and steady (the tempos of their two halves
+   * within SECTION_STABLE_BPM, which a gradual drift is not).
+   * @returns {object|null} { fromBpm, toBpm, action } if one was found
+   */
+  function detectSectionChange(timestamp, gridBeat) {
+    sectionBeats.push({ t: timestamp, k: gridBeat });
+    if (sectionBeats.length > C.SECTION_CHANGE_BEATS) sectionBeats.shift();
+    if (sectionBeats.length < C.SECTION_CHANGE_BEATS || followingMap()) return null;
+
+    const half = sectionBeats.length >> 1;
+    const fromBpm = 60000 / sectionPeriod;
+    const toBpm = fitTempo(sectionBeats);
+    const halves = Math.abs(fitTempo(sectionBeats.slice(0, half)) - fitTempo(sectionBeats.slice(half)));
+    if (!(Math.abs(toBpm - fromBpm) >= C.SECTION_CHANGE_BPM && halves <= C.SECTION_STABLE_BPM)) return null;
+
+    sectionPeriod = 60000 / toBpm;
+    sectionBeats = [];
+    let action = 'kept';
+    if (sectionChange === 'auto') {
+      retarget(sectionPeriod, timestamp);
+      action = 'retargeted';
+    } else if (sectionChange === 'prompt') {
+      pendingSectionPeriod = sectionPeriod;
+      action = 'prompted';
+    }
+    return { fromBpm, toBpm, action };
+  }
+
   // ---- Public API ----
 
   function reset() {
@@ -232,6 +848,10 @@ export function createBeatTracker(options = {}) {
     confidence = 0;
     lastOnGridTime = 0;
     calOnsets = [];
+    calibrationQuality = null;
+    calibrationReason = null;
+    verifyOnsets = null;
+    recalibrations = 0;
     recentPeriods = [];
     onsetCount = 0;
     gridHits = 0;
@@ -239,6 +859,12 @@ export function createBeatTracker(options = {}) {
     recentBeatPositions = [];
     tempoMultiple = 1;
     tempoMultipleConfidence = 0;
+    armed = false;
+    mapBeat = null;
+    resetSectionChange();
+    resetBars();
+    resetSubdivisions();
+    anchorTargetGrid(0);
     state = State.CALIBRATING;
     emitUpdate();
   }
@@ -246,23 +872,33 @@ export function createBeatTracker(options = {}) {
   function enterWaiting() {
     state = State.WAITING;
     confidence = 0;
+    verifyOnsets = null;
+    pendingSectionPeriod = null;  // The song it was found in is over
     emitUpdate();
   }
 
-  function startSilenceWatch(getTime = () => performance.now()) {
-    if (silenceCheckInterval) clearInterval(silenceCheckInterval);
-    silenceCheckInterval = setInterval(() => {
-      if (state === State.IDLE) return;
+  /**
+   * Enter WAITING if nothing was heard for SILENCE_TIMEOUT_MS before `time`.
+   * Called periodically by the silence watch; offline analysis calls it
+   * directly with file time.
+   */
+  function checkSilence(time) {
+    if (state === State.IDLE) return;
 
-      const now = getTime();
-      const gap = now - lastOnsetTime;
+    const gap = time - lastOnsetTime;
 
-      if (lastOnsetTime > 0 && gap > C.SILENCE_TIMEOUT_MS) {
-        if (state === State.TRACKING || state === State.CALIBRATING) {
-          enterWaiting();
-        }
+    if (heardOnset && gap > C.SILENCE_TIMEOUT_MS) {
+      if (state === State.TRACKING || state === State.CALIBRATING) {
+        enterWaiting();
+      } else if (state === State.WAITING) {
+        countInHeard = 0;  // An interrupted count-in starts over
       }
-    }, 500);
+    }
+  }
+
+  function startSilenceWatch(getTime = now) {
+    if (silenceCheckInterval) clearInterval(silenceCheckInterval);
+    silenceCheckInterval = setInterval(() => checkSilence(getTime()), 500);
   }
 
   function stopSilenceWatch() {
@@ -272,17 +908,70 @@ export function createBeatTracker(options = {}) {
     }
   }
 
-  function addOnset(timestamp) {
+  /**
+   * Process an onset.
+   * @param {number} timestamp - Onset time (ms)
+   * @param {number} strength - Accent strength from the onset detector
+   *   (any consistent scale; used for downbeat estimation)
+   */
+  function addOnset(timestamp, strength = 1) {
     lastOnsetTime = timestamp;
+    heardOnset = true;
     onsetCount++;
 
     // Capture state before processing
     const periodBefore = period;
     const targetPeriodBefore = targetPeriod;
 
+    // Armed target: count-in, then track from this onset
+    if (state === State.WAITING && armed) {
+      if (countInHeard < countIn) {
+        countInHeard++;
+        traceOnset({
+          timestamp,
+          state,
+          event: 'count_in',
+          beatCount: countInHeard,
+          countIn,
+          onsetCount
+        });
+
+        emitUpdate();
+        return;
+      }
+
+      armed = false;
+      startTracking(timestamp);
+      lastOnGridTime = timestamp;
+      recentPeriods = [period];
+      updateDownbeat(0, strength);
+      beatInBar = 1;
+      barPosition = 0;
+
+      traceOnset({
+        timestamp,
+        state,
+        event: 'resume_with_target',
+        periodBefore,
+        periodAfter: period,
+        targetPeriodBefore,
+        targetPeriodAfter: targetPeriod,
+        currentBpm: 60000 / period,
+        targetBpm: 60000 / targetPeriod,
+        drift: 0,
+        confidence: confidence * 100,
+        onsetCount
+      });
+
+      emitUpdate();
+      return;
+    }
+
     // If waiting between songs, start fresh calibration
     if (state === State.WAITING) {
       calOnsets = [timestamp];
+      calibrationQuality = null;
+      calibrationReason = null;
       state = State.CALIBRATING;
 
       traceOnset({
@@ -305,13 +994,27 @@ export function createBeatTracker(options = {}) {
     if (state === State.CALIBRATING) {
       calOnsets.push(timestamp);
 
-      if (calOnsets.length < C.CAL_BEATS + 1) {
+      // Score the last CAL_BEATS + 1 onsets. They are accepted once they
+      // make a steady grid ending on a beat; after CAL_MAX_BEATS onsets
+      // without one, whatever grid they make is, or calibration starts over.
+      const window = calOnsets.slice(-(C.CAL_BEATS + 1));
+      const fit = window.length === C.CAL_BEATS + 1 ? scoreCalibration(window) : null;
+      calibrationQuality = fit ? fit.quality : null;
+      const timedOut = calOnsets.length >= C.CAL_MAX_BEATS + 1;
+      if (fit && fit.lastKept) {
+        if (fit.quality >= C.CAL_MIN_QUALITY) calibrationReason = 'stable';
+        else if (timedOut) calibrationReason = 'max_onsets';
+      }
+
+      if (!calibrationReason) {
+        if (timedOut) calOnsets = window;
         traceOnset({
           timestamp,
           state,
           event: 'calibrating',
           beatCount: calOnsets.length,
           calibrationNeeded: C.CAL_BEATS,
+          calibrationQuality: calibrationQuality === null ? null : Math.round(calibrationQuality * 100),
           onsetCount
         });
 
@@ -319,28 +1022,47 @@ export function createBeatTracker(options = {}) {
         return;
       }
 
-      // Compute intervals and find dominant period
       const intervals = [];
-      for (let i = 1; i < calOnsets.length; i++) {
-        intervals.push(calOnsets[i] - calOnsets[i - 1]);
+      for (let i = 1; i < window.length; i++) {
+        intervals.push(window[i] - window[i - 1]);
       }
 
-      const basePeriod = findDominantPeriod(intervals);
+      let basePeriod = fit.period;
+      // Kalman: fit the whole calibration, not just its median interval
+      if (kalman) basePeriod = kalman.fit(fit.kept, basePeriod);
 
       if (basePeriod > 0) {
         period = basePeriod;
         targetPeriod = basePeriod;
-        phase = timestamp;
-        confidence = 0.5;
+        phase = kalman ? kalman.phase : timestamp;
+        // Half confidence for a steady calibration, less for one taken as is
+        confidence = 0.5 * Math.min(1, calibrationQuality / C.CAL_MIN_QUALITY);
+        verifyOnsets = [];
+        verifyMisses = 0;
         recentPeriods = [basePeriod];
         lastOnGridTime = timestamp;  // Initialize for interval tracking
         state = State.TRACKING;
+        // Map beat 0 is the first calibration onset
+        const calibratedBeats = Math.round((timestamp - calOnsets[0]) / basePeriod);
+        if (tempoMap) startTempoMap(calibratedBeats);
+        resetSectionChange();
+        resetBars(calibratedBeats);
+        resetSubdivisions();
+        anchorTargetGrid(timestamp);
+        updateDownbeat(0, strength);
+        beatInBar = mod(-downbeat, meter.beatsPerBar) + 1;
+        barPosition = (beatInBar - 1) / meter.beatsPerBar;
+        if (tempoMap) followMapBars(mapOrigin, mapOrigin);
 
         traceOnset({
           timestamp,
           state,
           event: 'calibration_complete',
           intervals: intervals.join(';'),
+          calibrationQuality: Math.round(calibrationQuality * 100),
+          calibrationReason,
+          rejectedOnsets: fit.rejected,
+          recalibrations,
           basePeriod,
           periodAfter: period,
           targetPeriodAfter: targetPeriod,
@@ -369,8 +1091,83 @@ export function createBeatTracker(options = {}) {
     let impliedPeriod = 0;
     let onGrid = false;
     let event = 'off_grid';
+    hitOffsetMs = null;
+
+    // Clearly between the beats but on an 8th, 16th or triplet position
+    let sub = absOffset >= C.SUBDIVISION_TOLERANCE
+      ? nearestSubdivision(beatFraction, C.SUBDIVISION_TOLERANCE)
+      : null;
+
+    // Or on the swung 8th, if that is closer: a 60% swing is neither an
+    // 8th nor a triplet, and would otherwise be off the grid
+    if (swingRatio !== null && absOffset >= C.SUBDIVISION_TOLERANCE) {
+      const swungPosition = Math.floor(beatFraction) + swingRatio;
+      const error = Math.abs(beatFraction - swungPosition);
+      if (error < C.SUBDIVISION_TOLERANCE && (!sub || error < Math.abs(beatFraction - sub.position))) {
+        sub = { subdivision: sub ? sub.subdivision : 2, position: swungPosition, swing: true };
+      }
+    }
+
+    // Kalman: the innovation gate decides what is on the grid. A beat is
+    // tried first, then a subdivision; an onset that fits neither may be
+    // the start of a tempo change (see kalman.miss()), and is then taken
+    // as a beat with the widened covariance.
+    let measured = null;
+    if (kalman) {
+      const beat = kalman.measure(timestamp, nearestBeat);
+      measured = beat;
+      if (beat.accepted) {
+        sub = null;
+      } else if (sub) {
+        measured = kalman.measure(timestamp, sub.position, C.SUBDIVISION_WEIGHT);
+        if (!measured.accepted) sub = null;
+      }
+      if (!measured.accepted && kalman.miss(beat.innovationMs) && absOffset < C.GRID_TOLERANCE) {
+        measured = kalman.measure(timestamp, nearestBeat);
+      }
+    }
+    const onBeat = kalman ? measured.accepted && !sub : absOffset < C.GRID_TOLERANCE;
+
+    if (sub && kalman) {
+      event = 'on_subdivision';
+      subdivisionHits++;
+      period = kalman.period;
+      phase = kalman.phase;
+    } else if (sub) {
+      // ---- ON-SUBDIVISION HIT ----
+      // A busy kick pattern, not a rushed or dragged beat: nudge the grid
+      // with reduced weight instead of snapping a beat onto it
+      event = 'on_subdivision';
+      subdivisionHits++;
+
+      if (lastOnGridTime > 0) {
+        const interval = timestamp - lastOnGridTime;
+        const beatsSince = sub.swing
+          ? Math.round(interval / period - swingRatio) + swingRatio
+          : Math.round((interval / period) * sub.subdivision) / sub.subdivision;
+        // Too short an interval is dominated by timing noise
+        if (beatsSince >= 0.5) impliedPeriod = interval / beatsSince;
+      }
 
-    if (absOffset < C.GRID_TOLERANCE) {
+      if (impliedPeriod > C.MIN_PERIOD_MS && impliedPeriod < C.MAX_PERIOD_MS) {
+        period = period + C.ADAPT_FAST * C.SUBDIVISION_WEIGHT * (impliedPeriod - period);
+      }
+
+      // Re-anchor the grid on this onset, keeping part of its offset
+      const residual = (beatFraction - sub.position) * (1 - C.SUBDIVISION_WEIGHT);
+      phase = timestamp - (sub.position + residual) * period;
+      confidence = Math.min(1, confidence + 0.02);
+    } else if (onBeat && kalman) {
+      onGrid = true;
+      event = 'on_grid';
+      gridHits++;
+      period = kalman.period;
+      phase = kalman.phase;
+      recentPeriods.push(period);
+      if (recentPeriods.length > C.PERIOD_HISTORY) recentPeriods.shift();
+      lastOnGridTime = timestamp;
+      addHitOffset(timestamp);
+    } else if (onBeat) {
       // ---- ON-GRID HIT ----
       onGrid = true;
       event = 'on_grid';
@@ -396,7 +1193,8 @@ export function createBeatTracker(options = {}) {
 
         // NOTE: targetPeriod is NOT updated during tracking.
         // It remains fixed at the calibrated value so drift can be measured.
-        // Target only changes on: calibration, song gap, or explicit setTarget().
+        // Target only changes on: calibration, song gap, explicit setTarget(),
+        // a tempo map or an accepted section change.
 
         // Phase correction: snap grid toward this onset
         phase = timestamp - (nearestBeat * period) + (offset * period * 0.3);
@@ -411,12 +1209,51 @@ export function createBeatTracker(options = {}) {
 
       // Record this as the last on-grid beat
       lastOnGridTime = timestamp;
+      addHitOffset(timestamp);
     } else {
       // ---- OFF-GRID HIT ----
       gridMisses++;
       confidence = Math.max(0, confidence - 0.02);
     }
 
+    // Too many of the first onsets off the calibrated grid: calibrate again
+    if (verifyCalibration(timestamp, event === 'off_grid')) {
+      traceOnset({
+        timestamp,
+        state,
+        event: 'recalibrating',
+        nearestBeat,
+        offset: Math.round(offset * 1000) / 1000,
+        periodBefore,
+        targetPeriodBefore,
+        beatCount: calOnsets.length,
+        recalibrations,
+        onsetCount
+      });
+
+      emitUpdate();
+      return;
+    }
+
+    updateSubdivision(sub ? sub.subdivision : (onGrid ? 1 : 0));
+    const swingPosition = onGrid ? null : updateSwing(beatFraction);
+
+    // Tempo map: on to this onset's map beat (a subdivision is on the beat before it)
+    const trackedBeat = sub ? Math.floor(sub.position) : nearestBeat;
+    if (followingMap()) advanceTempoMap(trackedBeat);
+
+    // Position in the bar (downbeat from the accents of on-grid hits).
+    // A subdivision belongs to the beat before it, even past the halfway point.
+    if (onGrid) updateDownbeat(nearestBeat, strength);
+    const barBeats = mod(nearestBeat + offset - downbeat, meter.beatsPerBar);
+    beatInBar = mod(trackedBeat - downbeat, meter.beatsPerBar) + 1;
+    barPosition = barBeats / meter.beatsPerBar;
+    if (followingMap()) followMapBars(mapOrigin + trackedBeat, mapOrigin + beatFraction);
+
+    // A steady new tempo: keep, re-target or ask (sectionChange)
+    const newSection = onGrid ? detectSectionChange(timestamp, nearestBeat) : null;
+    if (newSection) event = 'section_change';
+
     // Track beat positions for tempo multiple detection
     if (onGrid && nearestBeat > 0) {
       recentBeatPositions.push(nearestBeat);
@@ -427,7 +1264,8 @@ export function createBeatTracker(options = {}) {
 
     // Half-time detection: player consistently hits every other beat
     // Look for pattern where nearestBeat values are predominantly even (2, 4, 6...)
-    if (recentBeatPositions.length >= 8 && gridHits > 8) {
+    // Only in even meters: in 3/4 or 7/8 every other beat crosses the bar line
+    if (recentBeatPositions.length >= 8 && gridHits > 8 && meter.beatsPerBar % 2 === 0) {
       const evenCount = recentBeatPositions.filter(b => b % 2 === 0).length;
       const evenRatio = evenCount / recentBeatPositions.length;
 
@@ -450,7 +1288,8 @@ export function createBeatTracker(options = {}) {
     }
 
     // Double-tempo detection: onsets consistently land at half-beat positions
-    if (absOffset > 0.35 && absOffset < 0.65 && gridMisses > gridHits * 0.5 && gridMisses > 6) {
+    // (not with a tempo map, whose tempo is known)
+    if (!tempoMap && !sub && absOffset > 0.35 && absOffset < 0.65 && gridMisses > gridHits * 0.5 && gridMisses > 6) {
       const halfPeriod = period / 2;
       if (halfPeriod > C.MIN_PERIOD_MS) {
         event = 'double_tempo_correction';
@@ -458,12 +1297,19 @@ export function createBeatTracker(options = {}) {
         targetPeriod = halfPeriod;
         recentPeriods = recentPeriods.map(p => p / 2);
         phase = timestamp;
+        if (kalman) kalman.start(timestamp, halfPeriod);
         gridHits = 0;
         gridMisses = 0;
         recentBeatPositions = [];
         tempoMultiple = 2;
         tempoMultipleConfidence = 0.7;
         confidence = Math.max(0.3, confidence - 0.2);
+        resetSectionChange();
+        resetBars();
+        resetSubdivisions();
+        anchorTargetGrid(timestamp);
+        beatInBar = 1;
+        barPosition = 0;
       }
     }
 
@@ -476,6 +1322,8 @@ export function createBeatTracker(options = {}) {
       }
     }
 
+    if (kalman) confidence = kalmanConfidence();
+
     // Calculate outputs
     const currentBpm = 60000 / period;
     const targetBpm = 60000 / targetPeriod;
@@ -499,19 +1347,153 @@ export function createBeatTracker(options = {}) {
       confidence: Math.round(confidence * 100),
       gridHits,
       gridMisses,
+      strength: Math.round(strength * 10000) / 10000,
+      beatInBar,
+      downbeat,
+      subdivisionPosition: sub ? Math.round(sub.position * 1000) / 1000 : null,
+      subdivision,
+      subdivisionHits,
+      swingPosition: swingPosition === null ? null : Math.round(swingPosition * 1000) / 1000,
+      swingRatio: swingRatio === null ? null : Math.round(swingRatio * 1000) / 1000,
+      hitOffsetMs: onGrid ? Math.round(hitOffsetMs * 10) / 10 : null,
+      ...(newSection && {
+        fromBpm: Math.round(newSection.fromBpm * 100) / 100,
+        toBpm: Math.round(newSection.toBpm * 100) / 100,
+        sectionAction: newSection.action
+      }),
+      ...(followingMap() && {
+        mapBeat,
+        section: tempoMap.sectionAt(mapBeat).name
+      }),
+      ...(kalman && {
+        innovationMs: Math.round(measured.innovationMs * 10) / 10,
+        innovationSd: Math.round(measured.innovationSd * 10) / 10,
+        driftUncertainty: Math.round(driftUncertainty() * 100) / 100
+      }),
       onsetCount
     });
 
     emitUpdate();
   }
 
-  function setTarget(bpm) {
-    targetPeriod = 60000 / bpm;
-    period = targetPeriod;
-    phase = performance.now();
+  function startTracking(time) {
+    phase = time;
     confidence = 0.7;
+    if (kalman) kalman.start(time, period);
     state = State.TRACKING;
     calOnsets = new Array(C.CAL_BEATS + 1).fill(0);
+    calibrationQuality = null;
+    calibrationReason = null;
+    verifyOnsets = null;
+    if (tempoMap) startTempoMap(0);
+    resetSectionChange();
+    resetSubdivisions();
+    anchorTargetGrid(time);
+  }
+
+  /**
+   * Set the target tempo directly (tap tempo, setlist), skipping calibration.
+   *
+   * While WAITING, or with `waitForOnset`, the target is armed instead of
+   * starting the grid now: the tracker stays WAITING, and the first onset
+   * after `countIn` count-in onsets starts TRACKING with the grid on it.
+   *
+   * @param {number} bpm - Target tempo
+   * @param {object} options
+   * @param {number} options.countIn - Count-in onsets to skip (armed only)
+   * @param {boolean} options.waitForOnset - Arm even when not WAITING
+   * @param {string} options.meter - Also change the meter (e.g. the song's)
+   * @param {object} options.tempoMap - The song's tempo map, see
+   *   setTempoMap(); its first tempo is then the target. Without one an
+   *   active map is cleared, so `bpm` is the target
+   */
+  function setTarget(bpm, {
+    countIn: beats = 0,
+    waitForOnset = state === State.WAITING,
+    meter: songMeter,
+    tempoMap: songTempoMap
+  } = {}) {
+    setTempoMap(songTempoMap ?? null);
+    targetPeriod = tempoMap ? tempoMap.periodOfBeat(0) : 60000 / bpm;
+    period = targetPeriod;
+    if (songMeter) meter = parseMeter(songMeter);
+    resetBars();
+
+    if (waitForOnset) {
+      armed = true;
+      countIn = beats;
+      countInHeard = 0;
+      confidence = 0;
+      state = State.WAITING;
+    } else {
+      armed = false;
+      startTracking(now());
+    }
+
+    emitUpdate();
+  }
+
+  /**
+   * Change the meter. Bar counting restarts from the current downbeat.
+   * @param {string} value - Time signature, see parseMeter()
+   */
+  function setMeter(value) {
+    const next = parseMeter(value);
+    if (next.label === meter.label) return;
+    const beat = downbeat;
+    meter = next;
+    resetBars();
+    downbeat = mod(beat, meter.beatsPerBar);
+    emitUpdate();
+  }
+
+  /**
+   * Measure drift against a tempo map instead of a single target tempo.
+   * Map beat 0 is the first calibration onset, or the first onset of an
+   * armed target; the map is followed from the next calibration or
+   * setTarget(). Section meters override the tracker's meter.
+   * @param {object} map - createTempoMap() result or its JSON, or null for none
+   */
+  function setTempoMap(map) {
+    const next = map && typeof map.tempoAt !== 'function' ? createTempoMap(map) : map || null;
+    // Section meters are checked here, tempo_map.js does not know them
+    for (const section of next ? next.sections : []) {
+      if (section.meter) parseMeter(section.meter);
+    }
+    tempoMap = next;
+    mapBeat = null;
+  }
+
+  /**
+   * Change what a section change does, see createBeatTracker() `sectionChange`.
+   * @param {string} mode - One of SECTION_CHANGE_MODES
+   */
+  function setSectionChange(mode) {
+    if (!SECTION_CHANGE_MODES.includes(mode)) {
+      throw new Error(`Unknown section change mode "${mode}" (${SECTION_CHANGE_MODES.join(', ')})`);
+    }
+    sectionChange = mode;
+    if (mode !== 'prompt') pendingSectionPeriod = null;
+  }
+
+  /**
+   * Accept the section change found in 'prompt' mode: its tempo becomes
+   * the target, with the target grid on the last on-grid beat.
+   */
+  function acceptSectionChange() {
+    if (pendingSectionPeriod === null) return;
+    retarget(pendingSectionPeriod, lastOnGridTime);
+    pendingSectionPeriod = null;
+    emitUpdate();
+  }
+
+  /**
+   * Dismiss the section change found in 'prompt' mode: drift stays
+   * measured against the target.
+   */
+  function dismissSectionChange() {
+    if (pendingSectionPeriod === null) return;
+    pendingSectionPeriod = null;
     emitUpdate();
   }
 
@@ -532,17 +1514,52 @@ export function createBeatTracker(options = {}) {
       gridMisses,
       onsetCount,
       calOnsets: [...calOnsets],
+      calibrationQuality,
+      calibrationReason,
+      recalibrations,
       recentPeriods: [...recentPeriods],
       tempoMultiple,
       tempoMultipleConfidence,
-      recentBeatPositions: [...recentBeatPositions]
+      recentBeatPositions: [...recentBeatPositions],
+      meter: meter.label,
+      downbeat,
+      accentScores: [...accentScores],
+      downbeatConfidence,
+      beatInBar,
+      subdivision,
+      subdivisionHits,
+      recentSubdivisions: [...recentSubdivisions],
+      swingRatio,
+      targetSwingRatio,
+      swingPositions: [...swingPositions],
+      targetPhase,
+      hitOffsets: [...hitOffsets],
+      tempoMap: tempoMap ? tempoMap.toJSON() : null,
+      mapBeat,
+      sectionChange,
+      sectionPeriod,
+      pendingSectionPeriod,
+      estimator,
+      driftUncertainty: driftUncertainty(),
+      armed,
+      countIn,
+      countInHeard
     };
   }
 
+  setSectionChange(initialSectionChange);
+  if (initialTempoMap) setTempoMap(initialTempoMap);
+
   return {
     addOnset,
     setTarget,
+    setMeter,
+    setTempoMap,
+    setSectionChange,
+    acceptSectionChange,
+    dismissSectionChange,
     reset,
+    checkSilence,
     startSilenceWatch,
     stopSilenceWatch,
     destroy,
@@ -552,196 +1569,29 @@ export function createBeatTracker(options = {}) {
 }
 
 // ============================================================================
-// SYNTHETIC ONSET GENERATORS
+// SCENARIO HELPERS
 // ============================================================================
 
-/**
- * Generate onset timestamps for a perfect tempo.
- * @param {number} bpm - Beats per minute
- * @param {number} beats - Number of beats to generate
- * @param {number} startTime - Start timestamp (ms)
- * @returns {number[]} Array of onset timestamps
- */
-export function generatePerfectTempo(bpm, beats, startTime = 0) {
-  const period = 60000 / bpm;
-  const onsets = [];
-  for (let i = 0; i < beats; i++) {
-    onsets.push(startTime + i * period);
-  }
-  return onsets;
-}
-
-/**
- * Generate onset timestamps with linear tempo drift.
- * @param {number} startBpm - Starting tempo
- * @param {number} endBpm - Ending tempo
- * @param {number} beats - Number of beats
- * @param {number} startTime - Start timestamp (ms)
- * @returns {number[]} Array of onset timestamps
- */
-export function generateLinearDrift(startBpm, endBpm, beats, startTime = 0) {
-  const onsets = [startTime];
-  let t = startTime;
-
-  for (let i = 1; i < beats; i++) {
-    // Linear interpolation of BPM
-    const progress = i / (beats - 1);
-    const currentBpm = startBpm + (endBpm - startBpm) * progress;
-    const period = 60000 / currentBpm;
-    t += period;
-    onsets.push(t);
-  }
-
-  return onsets;
-}
-
-/**
- * Generate onset timestamps with a sudden tempo change.
- * @param {number} bpm1 - First section tempo
- * @param {number} beats1 - Beats in first section
- * @param {number} bpm2 - Second section tempo
- * @param {number} beats2 - Beats in second section
- * @param {number} startTime - Start timestamp (ms)
- * @returns {object} { onsets, changeIndex }
- */
-export function generateSuddenChange(bpm1, beats1, bpm2, beats2, startTime = 0) {
-  const section1 = generatePerfectTempo(bpm1, beats1, startTime);
-  const lastTime = section1[section1.length - 1];
-  const period2 = 60000 / bpm2;
-  const section2 = generatePerfectTempo(bpm2, beats2, lastTime + period2);
-
-  return {
-    onsets: [...section1, ...section2],
-    changeIndex: beats1
-  };
-}
-
-/**
- * Generate onset timestamps with missed beats.
- * @param {number} bpm - Tempo
- * @param {number} beats - Total beats
- * @param {number[]} missIndices - Which beat indices to skip
- * @param {number} startTime - Start timestamp (ms)
- * @returns {number[]} Array of onset timestamps
- */
-export function generateWithMissedBeats(bpm, beats, missIndices, startTime = 0) {
-  const all = generatePerfectTempo(bpm, beats, startTime);
-  const missSet = new Set(missIndices);
-  return all.filter((_, i) => !missSet.has(i));
-}
-
-/**
- * Generate onset timestamps with timing jitter.
- * @param {number} bpm - Base tempo
- * @param {number} beats - Number of beats
- * @param {number} jitterMs - Maximum jitter in ms (uniform distribution)
- * @param {number} startTime - Start timestamp (ms)
- * @returns {number[]} Array of onset timestamps
- */
-export function generateWithJitter(bpm, beats, jitterMs, startTime = 0) {
-  const base = generatePerfectTempo(bpm, beats, startTime);
-  return base.map(t => t + (Math.random() - 0.5) * 2 * jitterMs);
-}
-
-// ============================================================================
-// TEST RUNNER
-// ============================================================================
+// The synthetic onset generators moved to scenario_generators.js and the
+// scenario runner to test/harness_runner.js; these exports keep code that
+// imports them from here working
+export const generatePerfectTempo = scenarioGenerators.generatePerfectTempo;
+export const generateLinearDrift = scenarioGenerators.generateLinearDrift;
+export const generateSuddenChange = scenarioGenerators.generateSuddenChange;
+export const generateWithMissedBeats = scenarioGenerators.generateWithMissedBeats;
+export const generateWithJitter = scenarioGenerators.generateWithJitter;
 
 /**
  * Run a test scenario against the beat tracker.
+ * @deprecated Import runScenario() from test/harness_runner.js. This loads
+ *   that module on first use (so built pages do not ship it) and therefore
+ *   returns a Promise.
  * @param {object} scenario - Test scenario definition
- * @param {object} options - Tracker options
- * @returns {object} Test results
+ * @param {object} options - Tracker options, see runScenario() in
+ *   test/harness_runner.js
+ * @returns {Promise<object>} Test results
  */
-export function runScenario(scenario, options = {}) {
-  const trace = createTraceBuffer(10000);
-  const updates = [];
-
-  const tracker = createBeatTracker({
-    onUpdate: (data) => updates.push({ ...data }),
-    trace,
-    constants: options.constants || {}
-  });
-
-  tracker.reset();
-
-  // Generate onsets based on scenario type
-  let onsets = scenario.onsets;
-
-  if (scenario.generator) {
-    const gen = scenario.generator;
-    switch (gen.type) {
-      case 'perfect':
-        onsets = generatePerfectTempo(gen.bpm, gen.beats, 0);
-        break;
-      case 'linear_drift':
-        onsets = generateLinearDrift(gen.start_bpm, gen.end_bpm, gen.beats, 0);
-        break;
-      case 'sudden_change':
-        const result = generateSuddenChange(gen.bpm1, gen.beats1, gen.bpm2, gen.beats2, 0);
-        onsets = result.onsets;
-        break;
-      case 'missed_beats':
-        onsets = generateWithMissedBeats(gen.bpm, gen.beats, gen.miss_indices, 0);
-        break;
-      case 'jitter':
-        onsets = generateWithJitter(gen.bpm, gen.beats, gen.jitter_ms, 0);
-        break;
-    }
-  }
-
-  // Feed onsets to tracker
-  for (const timestamp of onsets) {
-    tracker.addOnset(timestamp);
-  }
-
-  // Evaluate expectations
-  const results = {
-    scenario: scenario.name,
-    passed: true,
-    checks: [],
-    trace: trace.getAll(),
-    updates,
-    finalState: tracker.getState()
-  };
-
-  if (scenario.expectations) {
-    for (const exp of scenario.expectations) {
-      const afterIdx = exp.after_onset - 1;
-      if (afterIdx >= 0 && afterIdx < updates.length) {
-        const update = updates[afterIdx];
-        const check = {
-          after_onset: exp.after_onset,
-          expected: exp,
-          actual: {
-            drift: update.drift,
-            state: update.state,
-            confidence: update.confidence
-          },
-          passed: true
-        };
-
-        // Check drift bounds
-        if (exp.drift_min !== undefined && update.drift < exp.drift_min) {
-          check.passed = false;
-          check.error = `drift ${update.drift} < expected min ${exp.drift_min}`;
-        }
-        if (exp.drift_max !== undefined && update.drift > exp.drift_max) {
-          check.passed = false;
-          check.error = `drift ${update.drift} > expected max ${exp.drift_max}`;
-        }
-        if (exp.state !== undefined && update.state !== exp.state) {
-          check.passed = false;
-          check.error = `state ${update.state} !== expected ${exp.state}`;
-        }
-
-        results.checks.push(check);
-        if (!check.passed) results.passed = false;
-      }
-    }
-  }
-
-  tracker.destroy();
-
-  return results;
+export async function runScenario(scenario, options = {}) {
+  const harness = await import('../test/harness_runner.js');
+  return harness.runScenario(scenario, options);
 }
@@ -0,0 +1,233 @@
+/**
+ * Beat Drift Monitor - Click Track
+ *
+ * Reference metronome locked to the tracker's target tempo. Clicks follow
+ * the fixed targetPeriod from the grid point they were aligned to (the
+ * calibration phase or setTarget), not the drummer's current tempo, so
+ * the click stays a reference to drift against.
+ *
+ * The scheduling logic is pure (createClickScheduler) and works in the
+ * onset source's clock; createClickTrack() plays it through the Web Audio
+ * scheduler with a lookahead timer and echo-gates the onset detector
+ * around every audible click so the mic does not pick it up as an onset.
+ *
+ * @see audio_input.js for onset sources and their clocks
+ */
+
+// ============================================================================
+// DEFAULTS
+// ============================================================================
+
+// Beat levels: 2 = accent, 1 = normal, 0 = silent
+export const ACCENT_PATTERNS = {
+  '4/4': [2, 1, 1, 1],
+  '3/4': [2, 1, 1],
+  '6/8': [2, 1, 1, 1, 1, 1],
+  'backbeat': [1, 2, 1, 2],
+  'none': [1]
+};
+
+export const CLICK_DEFAULTS = {
+  volume: 0.5,
+  accents: ACCENT_PATTERNS['4/4'],
+  gapPlayBars: 0,      // Gap click: play this many bars...
+  gapMuteBars: 0,      // ...then mute this many (0 = always play)
+  lookaheadMs: 100,    // How far ahead clicks are scheduled
+  intervalMs: 25,      // Scheduler timer interval (0 = call tick() yourself)
+  gateBeforeMs: 10,    // Echo gate around each click (onset clock)
+  gateAfterMs: 60
+};
+
+// Click sound: short sine blip, well above the kick detector's lowpass
+export const CLICK_SOUND = {
+  accentFreq: 2000,    // Hz
+  normalFreq: 1500,    // Hz
+  accentGain: 1,
+  normalGain: 0.6,
+  decayMs: 30
+};
+
+// ============================================================================
+// SCHEDULER
+// ============================================================================
+
+/**
+ * Creates a click scheduler.
+ *
+ * @param {object} options - See CLICK_DEFAULTS (accents, gapPlayBars, gapMuteBars)
+ * @returns {object} Scheduler interface
+ */
+export function createClickScheduler(options = {}) {
+  let accents = options.accents || CLICK_DEFAULTS.accents;
+  let gapPlayBars = options.gapPlayBars ?? CLICK_DEFAULTS.gapPlayBars;
+  let gapMuteBars = options.gapMuteBars ?? CLICK_DEFAULTS.gapMuteBars;
+
+  let period = 0;
+  let nextTime = 0;
+  let beat = 0;  // Beats since start()
+
+  function isMutedBar(bar) {
+    if (!gapPlayBars || !gapMuteBars) return false;
+    return bar % (gapPlayBars + gapMuteBars) >= gapPlayBars;
+  }
+
+  /**
+   * Start clicking on a grid of `periodMs` through `phaseTime`, from the
+   * first grid point at or after `fromTime`.
+   */
+  function start(periodMs, phaseTime, fromTime = phaseTime) {
+    period = periodMs;
+    beat = 0;
+    nextTime = phaseTime + Math.ceil((fromTime - phaseTime) / period) * period;
+  }
+
+  /**
+   * Change tempo, keeping the next click where it is.
+   */
+  function setPeriod(periodMs) {
+    period = periodMs;
+  }
+
+  /**
+   * Move the grid onto `phaseTime` (e.g. a new calibration) without
+   * restarting the bar count.
+   */
+  function align(phaseTime) {
+    if (!period) return;
+    const lastTime = nextTime - period;
+    nextTime = phaseTime + Math.ceil((lastTime - phaseTime) / period + 0.5) * period;
+  }
+
+  /**
+   * Clicks due before `untilTime`, in order. Muted clicks (silent accent
+   * level or a gap bar) are included with `muted: true` for display.
+   * @returns {Array} { time, beat, bar, beatInBar, level, muted }
+   */
+  function next(untilTime) {
+    const clicks = [];
+    if (!period) return clicks;
+
+    while (nextTime < untilTime) {
+      const beatInBar = beat % accents.length;
+      const bar = Math.floor(beat / accents.length);
+      const level = accents[beatInBar];
+      clicks.push({
+        time: nextTime,
+        beat,
+        bar,
+        beatInBar,
+        level,
+        muted: level === 0 || isMutedBar(bar)
+      });
+      beat++;
+      nextTime += period;
+    }
+
+    return clicks;
+  }
+
+  function stop() {
+    period = 0;
+  }
+
+  return {
+    start,
+    setPeriod,
+    align,
+    next,
+    stop,
+    setAccents(pattern) { accents = pattern.length ? pattern : [1]; },
+    setGap(playBars, muteBars) { gapPlayBars = playBars; gapMuteBars = muteBars; },
+    get period() { return period; },
+    get running() { return period > 0; }
+  };
+}
+
+// ============================================================================
+// WEB AUDIO PLAYBACK
+// ============================================================================
+
+/**
+ * Creates a click track that plays through an AudioContext.
+ *
+ * @param {AudioContext} ctx - Audio context
+ * @param {object} source - Onset source from audio_input.js (clock + echo gate)
+ * @param {object} opts - See CLICK_DEFAULTS
+ * @param {function} opts.onClick - Called for every scheduled click (incl. muted)
+ * @returns {object} Click track interface
+ */
+export function createClickTrack(ctx, source, opts = {}) {
+  const O = { ...CLICK_DEFAULTS, ...opts };
+  const { onClick = () => {} } = opts;
+  const scheduler = createClickScheduler(O);
+
+  const output = ctx.createGain();
+  output.gain.value = O.volume;
+  output.connect(ctx.destination);
+
+  let timerId = null;
+
+  function playClick(click) {
+    const accent = click.level === 2;
+    const t = source.toContextTime(click.time);
+    const peak = accent ? CLICK_SOUND.accentGain : CLICK_SOUND.normalGain;
+
+    const osc = ctx.createOscillator();
+    const env = ctx.createGain();
+    osc.frequency.value = accent ? CLICK_SOUND.accentFreq : CLICK_SOUND.normalFreq;
+    env.gain.setValueAtTime(0, t);
+    env.gain.linearRampToValueAtTime(peak, t + 0.001);
+    env.gain.exponentialRampToValueAtTime(0.001, t + CLICK_SOUND.decayMs / 1000);
+    osc.connect(env);
+    env.connect(output);
+    osc.start(t);
+    osc.stop(t + CLICK_SOUND.decayMs / 1000 + 0.01);
+
+    if (source.gate) source.gate(click.time - O.gateBeforeMs, click.time + O.gateAfterMs);
+  }
+
+  /**
+   * Play the clicks due within the lookahead. Called by the timer; call
+   * it yourself with `intervalMs: 0`.
+   */
+  function tick() {
+    for (const click of scheduler.next(source.now() + O.lookaheadMs)) {
+      if (!click.muted) playClick(click);
+      onClick(click);
+    }
+  }
+
+  /**
+   * Start clicking at `periodMs`, on the grid through `phaseTime`
+   * (onset clock, e.g. the tracker's phase).
+   */
+  function start(periodMs, phaseTime = source.now()) {
+    scheduler.start(periodMs, phaseTime, source.now());
+    if (!timerId && O.intervalMs > 0) timerId = setInterval(tick, O.intervalMs);
+    tick();
+  }
+
+  function stop() {
+    scheduler.stop();
+    if (timerId) {
+      clearInterval(timerId);
+      timerId = null;
+    }
+  }
+
+  return {
+    start,
+    stop,
+    tick,
+    setPeriod: scheduler.setPeriod,
+    align: scheduler.align,
+    setAccents: scheduler.setAccents,
+    setGap: scheduler.setGap,
+    setVolume(volume) { output.gain.setTargetAtTime(volume, ctx.currentTime, 0.01); },
+    destroy() {
+      stop();
+      output.disconnect();
+    },
+    get running() { return scheduler.running; }
+  };
+}
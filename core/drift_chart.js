@@ -0,0 +1,184 @@
+/**
+ * Beat Drift Monitor - Drift Chart
+ *
+ * Drift-over-time chart of the TRACKING entries of a debug trace. The
+ * chart is built as a list of SVG shapes so the same drawing can be
+ * rendered into a DOM <svg> (test harness, offline analysis page) or
+ * serialized to an SVG file (Node CLI).
+ *
+ * When the target tempo changes during the trace (a tempo map), its curve
+ * is overlaid on a BPM scale of its own, labelled on the right.
+ *
+ * @see beat_tracker.js createTraceBuffer() for the trace format
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const TARGET_COLOR = '#d29922';
+
+// ============================================================================
+// CHART SHAPES
+// ============================================================================
+
+function message(w, h, text) {
+  return [{
+    tag: 'text',
+    attrs: { x: w / 2, y: h / 2, fill: '#8b949e', 'text-anchor': 'middle' },
+    text
+  }];
+}
+
+/**
+ * Build the drift chart as SVG shapes.
+ *
+ * @param {Array} trace - Trace entries
+ * @param {number} w - Width (px)
+ * @param {number} h - Height (px)
+ * @returns {Array} Shapes: { tag, attrs, text? }
+ */
+export function buildDriftChart(trace, w = 800, h = 200) {
+  if (!trace || trace.length === 0) return message(w, h, 'No data');
+
+  const trackingEntries = trace.filter(e => e.state === 'TRACKING' && e.drift !== null && e.drift !== undefined);
+
+  if (trackingEntries.length < 2) return message(w, h, 'Insufficient tracking data');
+
+  const shapes = [];
+  const targets = trackingEntries.map(e => e.targetBpm);
+  const minTarget = Math.min(...targets);
+  const maxTarget = Math.max(...targets);
+  const hasTargetCurve = maxTarget - minTarget >= 0.1;
+  const padding = { top: 20, right: hasTargetCurve ? 50 : 20, bottom: 30, left: 50 };
+  const plotW = w - padding.left - padding.right;
+  const plotH = h - padding.top - padding.bottom;
+
+  const drifts = trackingEntries.map(e => e.drift);
+  const range = Math.max(2, Math.max(Math.abs(Math.min(...drifts)), Math.abs(Math.max(...drifts)))) * 1.2;
+
+  const xScale = (i) => padding.left + (i / (trackingEntries.length - 1)) * plotW;
+  const yScale = (d) => padding.top + plotH / 2 - (d / range) * (plotH / 2);
+
+  // Grid lines
+  [-range, -range/2, 0, range/2, range].forEach(d => {
+    shapes.push({
+      tag: 'line',
+      attrs: {
+        x1: padding.left, y1: yScale(d), x2: w - padding.right, y2: yScale(d),
+        stroke: d === 0 ? '#30363d' : '#21262d',
+        'stroke-width': d === 0 ? 2 : 1
+      }
+    });
+    shapes.push({
+      tag: 'text',
+      attrs: { x: padding.left - 8, y: yScale(d) + 4, fill: '#8b949e', 'font-size': '10', 'text-anchor': 'end' },
+      text: d.toFixed(1)
+    });
+  });
+
+  // Target tempo curve, on its own BPM scale
+  if (hasTargetCurve) {
+    const margin = (maxTarget - minTarget) * 0.1;
+    const bpmScale = bpm => padding.top + plotH - ((bpm - minTarget + margin) / (maxTarget - minTarget + 2 * margin)) * plotH;
+    const targetPoints = trackingEntries.map((e, i) => `${i === 0 ? 'M' : 'L'} ${xScale(i).toFixed(1)} ${bpmScale(e.targetBpm).toFixed(1)}`);
+    shapes.push({
+      tag: 'path',
+      attrs: { d: targetPoints.join(' '), fill: 'none', stroke: TARGET_COLOR, 'stroke-width': '1', 'stroke-dasharray': '4 3' }
+    });
+    [minTarget, maxTarget].forEach(bpm => {
+      shapes.push({
+        tag: 'text',
+        attrs: { x: w - padding.right + 8, y: bpmScale(bpm) + 4, fill: TARGET_COLOR, 'font-size': '10', 'text-anchor': 'start' },
+        text: bpm.toFixed(1)
+      });
+    });
+    shapes.push({
+      tag: 'text',
+      attrs: { x: w - padding.right + 8, y: padding.top - 6, fill: TARGET_COLOR, 'font-size': '9', 'text-anchor': 'start' },
+      text: 'target'
+    });
+  }
+
+  // Path
+  const pathPoints = trackingEntries.map((e, i) => `${i === 0 ? 'M' : 'L'} ${xScale(i).toFixed(1)} ${yScale(e.drift).toFixed(1)}`);
+  shapes.push({
+    tag: 'path',
+    attrs: { d: pathPoints.join(' '), fill: 'none', stroke: '#c9d1d9', 'stroke-width': '1.5' }
+  });
+
+  // Last point
+  const lastEntry = trackingEntries[trackingEntries.length - 1];
+  const dotColor = Math.abs(lastEntry.drift) < 1 ? '#3fb950' : lastEntry.drift > 0 ? '#f85149' : '#58a6ff';
+  shapes.push({
+    tag: 'circle',
+    attrs: { cx: xScale(trackingEntries.length - 1), cy: yScale(lastEntry.drift), r: '4', fill: dotColor }
+  });
+
+  // Labels
+  shapes.push({
+    tag: 'text',
+    attrs: { x: w - padding.right, y: padding.top + 10, fill: '#f85149', 'font-size': '9', 'text-anchor': 'end' },
+    text: 'rush'
+  });
+  shapes.push({
+    tag: 'text',
+    attrs: { x: w - padding.right, y: h - padding.bottom - 5, fill: '#58a6ff', 'font-size': '9', 'text-anchor': 'end' },
+    text: 'drag'
+  });
+
+  return shapes;
+}
+
+// ============================================================================
+// RENDERERS
+// ============================================================================
+
+/**
+ * Draw the drift chart into an <svg> element, replacing its contents.
+ *
+ * @param {SVGElement} svg - Target element
+ * @param {Array} trace - Trace entries
+ * @param {number} w - Width (px)
+ * @param {number} h - Height (px)
+ */
+export function renderDriftChart(svg, trace, w, h) {
+  while (svg.firstChild) svg.removeChild(svg.firstChild);
+
+  for (const shape of buildDriftChart(trace, w, h)) {
+    const el = svg.ownerDocument.createElementNS(SVG_NS, shape.tag);
+    for (const [name, value] of Object.entries(shape.attrs)) {
+      el.setAttribute(name, value);
+    }
+    if (shape.text !== undefined) el.textContent = shape.text;
+    svg.appendChild(el);
+  }
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+}
+
+/**
+ * Serialize the drift chart as a standalone SVG document.
+ *
+ * @param {Array} trace - Trace entries
+ * @param {object} opts
+ * @param {number} opts.width - Width (px)
+ * @param {number} opts.height - Height (px)
+ * @param {string} opts.background - Background fill (harness page colour)
+ * @returns {string} SVG markup
+ */
+export function driftChartToSvg(trace, { width = 800, height = 200, background = '#0d1117' } = {}) {
+  const lines = [
+    `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">`,
+    `  <rect width="100%" height="100%" fill="${background}"/>`
+  ];
+
+  for (const shape of buildDriftChart(trace, width, height)) {
+    const attrs = Object.entries(shape.attrs).map(([k, v]) => `${k}="${escapeXml(v)}"`).join(' ');
+    lines.push(shape.text !== undefined
+      ? `  <${shape.tag} ${attrs}>${escapeXml(shape.text)}</${shape.tag}>`
+      : `  <${shape.tag} ${attrs}/>`);
+  }
+
+  lines.push('</svg>');
+  return lines.join('\n') + '\n';
+}
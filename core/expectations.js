@@ -0,0 +1,299 @@
+/**
+ * Beat Drift Monitor - Scenario Expectations
+ *
+ * Checks a tracked scenario against the `expectations` of its JSON, for
+ * both runners (test/run_tests.js and runScenario() in
+ * test/harness_runner.js).
+ *
+ * The original form checks one update:
+ *
+ *   { "after_onset": 20, "drift_min": 1.5, "drift_max": 2.5, "state": "TRACKING" }
+ *
+ * (also `beat_in_bar`, `subdivision`, `timing_mean_min`/`timing_mean_max`,
+ * `timing_std_max`). It reads the runner's update list, where the reset
+ * before the first onset is update 1.
+ *
+ * Every other form reads the state after each onset (update and trace
+ * entry of that onset, update fields first):
+ *
+ *   at_onset                    One onset: the update after onset N, so
+ *                               `at_onset` N reads what `after_onset` N + 1
+ *                               does while one update follows each onset
+ *   from_onset / to_onset       Onset range, inclusive (default: all onsets)
+ *   from_ms / to_ms             The same by onset time
+ *   at_ms                       The last onset at or before this time
+ *   mode                        "always" (default): every onset in the range
+ *                               passes; "eventually": at least one does
+ *   where                       { field: value | { min, max, equals, not, in } }
+ *                               on any update or trace field (camelCase or
+ *                               snake_case name); the drift_min/state/...
+ *                               keys above work here too
+ *   event                       Trace event name, counted over the range with
+ *                               count / count_min / count_max (default
+ *                               count_min 1); "silence_timeout" counts the
+ *                               runner's silence checks that entered WAITING
+ *
+ * Examples: converges to +2 within 12 beats of onset 10, and stays there:
+ *
+ *   { "from_onset": 10, "to_onset": 22, "mode": "eventually", "drift_min": 1.5, "drift_max": 2.5 }
+ *   { "from_onset": 22, "drift_min": 1.5, "drift_max": 2.5 }
+ *
+ * Never enters WAITING, half-time by onset 30, no double-tempo correction:
+ *
+ *   { "event": "silence_timeout", "count": 0 }
+ *   { "to_onset": 30, "mode": "eventually", "where": { "tempo_multiple_label": "half-time" } }
+ *   { "event": "double_tempo_correction", "count_max": 0 }
+ *
+ * `after_onset` only belongs to the original form; with any of the keys
+ * above it is an error. A ranged check's `after_onset` is the onset its
+ * error is reported at: the first failing onset, or the end of the range.
+ */
+
+export const EXPECTATION_MODES = ['always', 'eventually'];
+
+// Keys of the original form and the update field each one checks
+const FIELD_KEYS = {
+  drift_min: ['drift', 'min'],
+  drift_max: ['drift', 'max'],
+  state: ['state', 'equals'],
+  beat_in_bar: ['beatInBar', 'equals'],
+  subdivision: ['subdivisionLabel', 'equals'],
+  timing_mean_min: ['timingMeanMs', 'min'],
+  timing_mean_max: ['timingMeanMs', 'max'],
+  timing_std_max: ['timingStdMs', 'max']
+};
+
+// Any of these makes an expectation per-onset instead of the original form
+const PER_ONSET_KEYS = ['at_onset', 'from_onset', 'to_onset', 'from_ms', 'to_ms', 'at_ms', 'mode', 'where', 'event'];
+
+/**
+ * Whether an expectation is checked onset by onset (any key but the
+ * original form's), rather than on the runner's update list.
+ * @param {object} exp - Expectation
+ * @returns {boolean}
+ */
+export function isPerOnsetExpectation(exp) {
+  return PER_ONSET_KEYS.some(key => exp[key] !== undefined);
+}
+
+// ============================================================================
+// ORIGINAL FORM
+// ============================================================================
+
+function checkUpdate(exp, updates) {
+  const afterIdx = exp.after_onset - 1;
+  if (!(afterIdx >= 0 && afterIdx < updates.length)) {
+    return {
+      after_onset: exp.after_onset,
+      passed: false,
+      error: `Onset ${exp.after_onset} not found (only ${updates.length} updates)`
+    };
+  }
+
+  const update = updates[afterIdx];
+  const check = {
+    after_onset: exp.after_onset,
+    expected: exp,
+    actual: {
+      drift: update.drift,
+      state: update.state,
+      confidence: update.confidence,
+      beatInBar: update.beatInBar,
+      subdivision: update.subdivisionLabel,
+      timingMeanMs: update.timingMeanMs,
+      timingStdMs: update.timingStdMs
+    },
+    passed: true
+  };
+  const fail = (error) => { check.passed = false; check.error = error; };
+
+  if (exp.drift_min !== undefined && update.drift < exp.drift_min) {
+    fail(`drift ${update.drift} < expected min ${exp.drift_min}`);
+  }
+  if (exp.drift_max !== undefined && update.drift > exp.drift_max) {
+    fail(`drift ${update.drift} > expected max ${exp.drift_max}`);
+  }
+  if (exp.state !== undefined && update.state !== exp.state) {
+    fail(`state ${update.state} !== expected ${exp.state}`);
+  }
+  if (exp.beat_in_bar !== undefined && update.beatInBar !== exp.beat_in_bar) {
+    fail(`beat in bar ${update.beatInBar} !== expected ${exp.beat_in_bar}`);
+  }
+  if (exp.subdivision !== undefined && update.subdivisionLabel !== exp.subdivision) {
+    fail(`subdivision ${update.subdivisionLabel} !== expected ${exp.subdivision}`);
+  }
+  if (exp.timing_mean_min !== undefined && !(update.timingMeanMs >= exp.timing_mean_min)) {
+    fail(`timing mean ${update.timingMeanMs} ms < expected min ${exp.timing_mean_min}`);
+  }
+  if (exp.timing_mean_max !== undefined && !(update.timingMeanMs <= exp.timing_mean_max)) {
+    fail(`timing mean ${update.timingMeanMs} ms > expected max ${exp.timing_mean_max}`);
+  }
+  if (exp.timing_std_max !== undefined && !(update.timingStdMs <= exp.timing_std_max)) {
+    fail(`timing std ${update.timingStdMs} ms > expected max ${exp.timing_std_max}`);
+  }
+
+  return check;
+}
+
+// ============================================================================
+// RANGES, FIELDS AND EVENTS
+// ============================================================================
+
+const camelCase = name => name.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+
+// Onset range [from, to] (1-based) of an expectation, or an error
+function resolveRange(exp, onsets) {
+  const count = onsets.length;
+  const lastAtOrBefore = ms => {
+    let n = 0;
+    while (n < count && onsets[n] <= ms) n++;
+    return n;
+  };
+
+  let from = exp.from_onset ?? 1;
+  let to = exp.to_onset ?? count;
+  if (exp.after_onset !== undefined) {
+    return { error: 'after_onset reads the update list (original form); use at_onset with these keys', at: 0 };
+  }
+  if (exp.at_onset !== undefined) from = to = exp.at_onset;
+  if (exp.from_ms !== undefined) from = lastAtOrBefore(exp.from_ms - 1e-9) + 1;
+  if (exp.to_ms !== undefined) to = lastAtOrBefore(exp.to_ms);
+  if (exp.at_ms !== undefined) {
+    from = to = lastAtOrBefore(exp.at_ms);
+    if (to === 0) return { error: `no onset at or before ${exp.at_ms} ms`, at: 0 };
+  }
+
+  if (from < 1 || to > count || from > to) {
+    return { error: `onsets ${from}-${to} not found (only ${count} onsets)`, at: Math.min(Math.max(from, 0), count) };
+  }
+  return { from, to };
+}
+
+// The field conditions of an expectation: [{ field, spec }]
+function conditions(exp) {
+  const list = [];
+  for (const [key, [field, op]] of Object.entries(FIELD_KEYS)) {
+    if (exp[key] !== undefined) list.push({ field, spec: { [op]: exp[key] } });
+  }
+  for (const [field, spec] of Object.entries(exp.where || {})) {
+    const isSpec = spec !== null && typeof spec === 'object' && !Array.isArray(spec);
+    list.push({ field, spec: isSpec ? spec : { equals: spec } });
+  }
+  return list;
+}
+
+// Error for one field condition on a sample, or null if it holds
+function testCondition({ field, spec }, value) {
+  if (value === undefined) return `${field} missing`;
+  if (spec.min !== undefined && !(value >= spec.min)) return `${field} ${value} < expected min ${spec.min}`;
+  if (spec.max !== undefined && !(value <= spec.max)) return `${field} ${value} > expected max ${spec.max}`;
+  if (spec.equals !== undefined && value !== spec.equals) return `${field} ${value} !== expected ${spec.equals}`;
+  if (spec.in !== undefined && !spec.in.includes(value)) return `${field} ${value} not in expected [${spec.in.join(', ')}]`;
+  if (spec.not !== undefined && [].concat(spec.not).includes(value)) return `${field} ${value}, expected not ${spec.not}`;
+  return null;
+}
+
+function checkRange(exp, run) {
+  const { onsets, onsetUpdates, trace, silences = [] } = run;
+  const range = resolveRange(exp, onsets);
+  if (range.error) return { after_onset: range.at, expected: exp, passed: false, error: range.error };
+  const { from, to } = range;
+
+  const mode = exp.mode ?? 'always';
+  if (!EXPECTATION_MODES.includes(mode)) {
+    return { after_onset: to, expected: exp, passed: false, error: `unknown mode "${mode}" (${EXPECTATION_MODES.join(', ')})` };
+  }
+
+  const traceByOnset = new Map(trace.map(entry => [entry.onsetCount, entry]));
+  const valueAt = (n, field) => {
+    const sources = [onsetUpdates[n - 1] || {}, traceByOnset.get(n) || {}];
+    for (const source of sources) {
+      if (field in source) return source[field];
+      if (camelCase(field) in source) return source[camelCase(field)];
+    }
+    return undefined;
+  };
+
+  const check = { after_onset: to, expected: exp, actual: {}, passed: true };
+  const fail = (onset, error) => {
+    check.passed = false;
+    check.after_onset = onset;
+    check.error = error;
+  };
+
+  // Event occurrences
+  if (exp.event !== undefined) {
+    const seen = [];
+    for (let n = from; n <= to; n++) {
+      const event = exp.event === 'silence_timeout' ? silences.includes(n) : traceByOnset.get(n)?.event === exp.event;
+      if (event) seen.push(n);
+    }
+    const min = exp.count ?? exp.count_min ?? (exp.count_max === undefined ? 1 : 0);
+    const max = exp.count ?? exp.count_max ?? Infinity;
+    const where = seen.length ? ` (onsets ${seen.join(', ')})` : '';
+    check.actual.count = seen.length;
+    if (seen.length > max) {
+      fail(seen[max], `event ${exp.event} seen ${seen.length} times > expected max ${max}${where}`);
+      return check;
+    }
+    if (seen.length < min) {
+      fail(to, `event ${exp.event} seen ${seen.length} times < expected min ${min}${where}`);
+      return check;
+    }
+  }
+
+  // Field conditions, onset by onset
+  const list = conditions(exp);
+  if (!list.length) return check;
+  const errorAt = n => {
+    for (const condition of list) {
+      const error = testCondition(condition, valueAt(n, condition.field));
+      if (error) return error;
+    }
+    return null;
+  };
+  const actualAt = n => Object.fromEntries(list.map(({ field }) => [field, valueAt(n, field)]));
+
+  if (mode === 'always') {
+    for (let n = from; n <= to; n++) {
+      const error = errorAt(n);
+      if (error) {
+        check.actual = { ...check.actual, ...actualAt(n) };
+        fail(n, from === to ? error : `${error} (onsets ${from}-${to})`);
+        return check;
+      }
+    }
+    check.actual = { ...check.actual, ...actualAt(to) };
+  } else {
+    let lastError = null;
+    for (let n = from; n <= to; n++) {
+      lastError = errorAt(n);
+      if (!lastError) {
+        check.actual = { ...check.actual, ...actualAt(n), onset: n };
+        return check;
+      }
+    }
+    check.actual = { ...check.actual, ...actualAt(to) };
+    fail(to, `never met in onsets ${from}-${to}, last: ${lastError}`);
+  }
+
+  return check;
+}
+
+/**
+ * Check a scenario's expectations against a run.
+ * @param {object[]} expectations - Scenario `expectations`
+ * @param {object} run - What the runner recorded
+ * @param {object[]} run.updates - Every update, starting with the reset's
+ * @param {object[]} run.onsetUpdates - The update after each onset
+ * @param {object[]} run.trace - Trace entries (with onsetCount)
+ * @param {number[]} run.onsets - Onset times (ms)
+ * @param {number[]} run.silences - Onsets (1-based) before which the
+ *   silence check entered WAITING
+ * @returns {object[]} Checks: { after_onset, expected, actual, passed, error }
+ */
+export function checkExpectations(expectations = [], run) {
+  return expectations.map(exp => {
+    return isPerOnsetExpectation(exp) ? checkRange(exp, run) : checkUpdate(exp, run.updates);
+  });
+}
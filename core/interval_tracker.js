@@ -0,0 +1,207 @@
+/**
+ * Beat Drift Monitor - Interval Tracker (v1)
+ *
+ * The original v1 algorithm: the current tempo is the median of the last
+ * 8 inter-onset intervals and the target is the median interval of the
+ * first 9 onsets. There is no beat grid, so a missed beat or an off-beat
+ * hit goes straight into the intervals (only intervals outside 250-1500 ms
+ * are dropped).
+ *
+ * Kept as a tracker strategy (see tracker_strategies.js) so it can be
+ * compared with the PLL trackers on the same scenarios. It implements the
+ * common tracker interface; the silence watch (WAITING between songs)
+ * and armed targets were added for that, count-ins and meters are ignored.
+ *
+ * @see tracker_strategies.js for the common interface
+ */
+
+import { CONSTANTS, State } from './beat_tracker.js';
+
+export const INTERVAL_CONSTANTS = {
+  BPM_WINDOW: 8,           // Onsets in the current-tempo median
+  MIN_INTERVAL_MS: 250,    // Intervals outside this range are ignored
+  MAX_INTERVAL_MS: 1500,
+  MAX_ONSETS: 64
+};
+
+/**
+ * Creates an interval (v1) tracker.
+ *
+ * @param {object} options - See createBeatTracker() (onUpdate, trace, constants, now)
+ * @returns {object} Tracker interface
+ */
+export function createIntervalTracker(options = {}) {
+  const {
+    onUpdate = () => {},
+    trace = null,
+    constants = {},
+    now = () => performance.now()
+  } = options;
+
+  const C = { ...CONSTANTS, ...INTERVAL_CONSTANTS, ...constants };
+
+  let onsets = [];
+  let period = 0;
+  let targetPeriod = 0;
+  let state = State.IDLE;
+  let armed = false;
+  let onsetCount = 0;
+  let lastOnsetTime = 0;
+  let heardOnset = false;  // lastOnsetTime can be 0
+  let silenceCheckInterval = null;
+
+  function medianInterval(times) {
+    const intervals = [];
+    for (let i = 1; i < times.length; i++) {
+      const iv = times[i] - times[i - 1];
+      if (iv > C.MIN_INTERVAL_MS && iv < C.MAX_INTERVAL_MS) intervals.push(iv);
+    }
+    if (!intervals.length) return 0;
+    intervals.sort((a, b) => a - b);
+    return intervals[Math.floor(intervals.length / 2)];
+  }
+
+  function emitUpdate() {
+    const currentBpm = period > 0 ? 60000 / period : null;
+    const targetBpm = targetPeriod > 0 ? 60000 / targetPeriod : null;
+    const drift = currentBpm && targetBpm ? currentBpm - targetBpm : 0;
+
+    const data = {
+      state,
+      currentBpm: currentBpm ? Math.round(currentBpm * 10) / 10 : null,
+      targetBpm: targetBpm ? Math.round(targetBpm * 10) / 10 : null,
+      drift: Math.round(drift * 10) / 10,
+      confidence: state === State.TRACKING ? 100 : 0,
+      beatCount: Math.min(onsets.length, C.CAL_BEATS + 1),
+      calibrationNeeded: C.CAL_BEATS,
+      gridHits: 0,
+      gridMisses: 0,
+      period,
+      targetPeriod
+    };
+
+    onUpdate(data);
+    return data;
+  }
+
+  function traceOnset(timestamp, event, periodBefore) {
+    if (!trace) return;
+    const tracking = state === State.TRACKING && period > 0 && targetPeriod > 0;
+    trace.add({
+      timestamp,
+      state,
+      event,
+      periodBefore,
+      periodAfter: period,
+      targetPeriodAfter: targetPeriod,
+      currentBpm: period > 0 ? 60000 / period : null,
+      targetBpm: targetPeriod > 0 ? 60000 / targetPeriod : null,
+      drift: tracking ? Math.round((60000 / period - 60000 / targetPeriod) * 100) / 100 : null,
+      confidence: tracking ? 100 : 0,
+      onsetCount
+    });
+  }
+
+  function addOnset(timestamp) {
+    lastOnsetTime = timestamp;
+    heardOnset = true;
+    onsetCount++;
+    const periodBefore = period;
+
+    if (state === State.WAITING) {
+      // Next song: recalibrate, or track against the armed target
+      onsets = [timestamp];
+      period = armed ? targetPeriod : 0;
+      if (!armed) targetPeriod = 0;
+      state = armed ? State.TRACKING : State.CALIBRATING;
+      traceOnset(timestamp, armed ? 'resume_with_target' : 'resume_from_waiting', periodBefore);
+      armed = false;
+      emitUpdate();
+      return;
+    }
+
+    onsets.push(timestamp);
+    if (onsets.length > C.MAX_ONSETS) onsets.shift();
+
+    const current = onsets.length >= 3 ? medianInterval(onsets.slice(-C.BPM_WINDOW)) : 0;
+    if (current > 0) period = current;
+
+    let event = state === State.TRACKING ? 'interval' : 'calibrating';
+    if (state === State.CALIBRATING && onsets.length >= C.CAL_BEATS + 1) {
+      const calibrated = medianInterval(onsets.slice(0, C.CAL_BEATS + 1));
+      if (calibrated > 0) {
+        targetPeriod = calibrated;
+        state = State.TRACKING;
+        event = 'calibration_complete';
+      }
+    }
+
+    traceOnset(timestamp, event, periodBefore);
+    emitUpdate();
+  }
+
+  function setTarget(bpm, opts = {}) {
+    targetPeriod = 60000 / bpm;
+    if (opts.waitForOnset) {
+      state = State.WAITING;
+      armed = true;
+    } else {
+      period = targetPeriod;
+      state = State.TRACKING;
+    }
+    emitUpdate();
+  }
+
+  function reset() {
+    onsets = [];
+    period = 0;
+    targetPeriod = 0;
+    onsetCount = 0;
+    armed = false;
+    state = State.CALIBRATING;
+    emitUpdate();
+  }
+
+  function checkSilence(time) {
+    if (state !== State.TRACKING && state !== State.CALIBRATING) return;
+    if (heardOnset && time - lastOnsetTime > C.SILENCE_TIMEOUT_MS) {
+      state = State.WAITING;
+      emitUpdate();
+    }
+  }
+
+  function stopSilenceWatch() {
+    if (silenceCheckInterval) {
+      clearInterval(silenceCheckInterval);
+      silenceCheckInterval = null;
+    }
+  }
+
+  return {
+    addOnset,
+    setTarget,
+    reset,
+    checkSilence,
+    startSilenceWatch(getTime = now) {
+      stopSilenceWatch();
+      silenceCheckInterval = setInterval(() => checkSilence(getTime()), 500);
+    },
+    stopSilenceWatch,
+    destroy: stopSilenceWatch,
+    getState() {
+      return {
+        state,
+        period,
+        phase: onsets.length ? onsets[onsets.length - 1] : 0,
+        targetPeriod,
+        targetPhase: onsets.length ? onsets[0] : 0,
+        confidence: state === State.TRACKING ? 1 : 0,
+        gridHits: 0,
+        gridMisses: 0,
+        onsetCount,
+        armed,
+        meter: '4/4'
+      };
+    }
+  };
+}
@@ -0,0 +1,279 @@
+/**
+ * Beat Drift Monitor - MIDI Clock Output
+ *
+ * Sends MIDI beat clock (24 pulses per quarter note) with Start/Stop so
+ * loopers, drum machines and sequencers can sync to the band. In `follow`
+ * mode the clock runs at the tracker's current tempo and phase (the PLL's
+ * period and grid), so the gear follows the drummer; in `target` mode it
+ * runs at the fixed targetPeriod on the target grid, like the click track.
+ *
+ * Pulses are never moved once sent. When the tracker's grid changes, the
+ * pulses left in the current beat are spread evenly up to the re-aligned
+ * next beat, with the change per pulse limited (MAX_STRETCH) so a noisy
+ * onset cannot make the clock jump.
+ *
+ * The scheduling logic is pure (createMidiClockScheduler) and works in the
+ * onset source's clock; createMidiClock() sends it to a MIDI output with
+ * timestamps a lookahead ahead of time, so timer jitter does not reach the
+ * pulses. Any object with send(data, timestamp) works as the output (a
+ * Web MIDI MIDIOutput, or a mock in tests).
+ *
+ * @see click_track.js for the audible click on the target grid
+ */
+
+import { State } from './beat_tracker.js';
+
+// ============================================================================
+// DEFAULTS
+// ============================================================================
+
+export const MIDI_CLOCK_DEFAULTS = {
+  mode: 'follow',      // 'follow' the drummer's tempo, or the fixed 'target'
+  ppqn: 24,            // Pulses per quarter note (MIDI beat clock)
+  lookaheadMs: 100,    // How far ahead pulses are sent
+  intervalMs: 25,      // Scheduler timer interval (0 = call tick() yourself)
+  stopOnGap: true      // Send Stop when the tracker leaves TRACKING
+};
+
+export const MIDI_CLOCK_MODES = ['follow', 'target'];
+
+export const MIDI_CLOCK_MESSAGES = {
+  clock: 0xf8,
+  start: 0xfa,
+  stop: 0xfc
+};
+
+// Largest change of the pulse interval per re-alignment (fraction)
+const MAX_STRETCH = 0.25;
+
+// ============================================================================
+// SCHEDULER
+// ============================================================================
+
+/**
+ * Creates a MIDI clock pulse scheduler.
+ *
+ * Pulse k of the current beat lies on a straight line from the anchor
+ * (the last pulse sent when the grid last changed) to the next beat's
+ * first pulse, so re-aligning only bends the pulses not yet sent.
+ *
+ * @param {object} options - See MIDI_CLOCK_DEFAULTS (ppqn)
+ * @returns {object} Scheduler interface
+ */
+export function createMidiClockScheduler(options = {}) {
+  const ppqn = options.ppqn || MIDI_CLOCK_DEFAULTS.ppqn;
+
+  let period = 0;
+  let anchorPulse = 0;   // Pulse number...
+  let anchorTime = 0;    // ...and time the current line starts at
+  let beatPulse = 0;     // First pulse of the next beat...
+  let beatTime = 0;      // ...and its time
+  let nextPulse = 0;     // Next pulse to send
+  let lastTime = -Infinity;
+
+  function pulseTime(pulse) {
+    return anchorTime + (pulse - anchorPulse) * (beatTime - anchorTime) / (beatPulse - anchorPulse);
+  }
+
+  /**
+   * Start on a grid of `periodMs` through `phaseTime`: pulse 0 is the
+   * first grid point at or after `fromTime`.
+   * @returns {number} Time of pulse 0
+   */
+  function start(periodMs, phaseTime, fromTime = phaseTime) {
+    period = periodMs;
+    anchorPulse = 0;
+    anchorTime = phaseTime + Math.ceil((fromTime - phaseTime) / period) * period;
+    beatPulse = ppqn;
+    beatTime = anchorTime + period;
+    nextPulse = 0;
+    lastTime = -Infinity;
+    return anchorTime;
+  }
+
+  /**
+   * Follow a new tempo. With `phaseTime` the next beat moves to the grid
+   * point through `phaseTime` nearest to where it was due.
+   */
+  function setPeriod(periodMs, phaseTime) {
+    if (!period) return;
+    period = periodMs;
+
+    // Re-anchor at the last pulse sent so it stays where it was
+    if (nextPulse - 1 > anchorPulse) {
+      anchorPulse = nextPulse - 1;
+      anchorTime = lastTime;
+    }
+
+    const remaining = beatPulse - anchorPulse;
+    let target = phaseTime === undefined
+      ? beatTime
+      : phaseTime + Math.round((beatTime - phaseTime) / period) * period;
+
+    const spacing = period / ppqn;
+    target = Math.min(Math.max(target, anchorTime + remaining * spacing * (1 - MAX_STRETCH)),
+      anchorTime + remaining * spacing * (1 + MAX_STRETCH));
+    beatTime = target;
+  }
+
+  /**
+   * Pulses due before `untilTime`, in order.
+   * @returns {Array} { time, pulse, beat, pulseInBeat }
+   */
+  function next(untilTime) {
+    const pulses = [];
+    if (!period) return pulses;
+
+    while (pulseTime(nextPulse) < untilTime) {
+      const time = pulseTime(nextPulse);
+      pulses.push({
+        time,
+        pulse: nextPulse,
+        beat: Math.floor(nextPulse / ppqn),
+        pulseInBeat: nextPulse % ppqn
+      });
+      lastTime = time;
+
+      if (nextPulse === beatPulse) {
+        anchorPulse = beatPulse;
+        anchorTime = beatTime;
+        beatPulse += ppqn;
+        beatTime += period;
+      }
+      nextPulse++;
+    }
+
+    return pulses;
+  }
+
+  function stop() {
+    period = 0;
+  }
+
+  return {
+    start,
+    setPeriod,
+    next,
+    stop,
+    get period() { return period; },
+    get running() { return period > 0; }
+  };
+}
+
+// ============================================================================
+// MIDI OUTPUT
+// ============================================================================
+
+/**
+ * Creates a MIDI clock sending to a MIDI output.
+ *
+ * Times are on the onset source's clock (`now`); `toOutputTime` converts
+ * them to the output's timestamps (default: performance.now() time, as
+ * Web MIDI expects).
+ *
+ * @param {object} output - MIDIOutput, or anything with send(data, timestamp)
+ * @param {object} opts - See MIDI_CLOCK_DEFAULTS
+ * @param {function} opts.now - Onset source clock (ms)
+ * @param {function} opts.toOutputTime - Onset clock ms => output timestamp
+ * @param {function} opts.onMessage - Called with { data, time } for every message sent
+ * @returns {object} MIDI clock interface
+ */
+export function createMidiClock(output, opts = {}) {
+  const O = { ...MIDI_CLOCK_DEFAULTS, ...opts };
+  const { now = () => performance.now(), onMessage = () => {} } = opts;
+  const toOutputTime = opts.toOutputTime || (ms => performance.now() + (ms - now()));
+  const scheduler = createMidiClockScheduler(O);
+
+  let mode = O.mode;
+  let timerId = null;
+
+  function send(status, time) {
+    output.send([status], toOutputTime(time));
+    onMessage({ data: [status], time });
+  }
+
+  /**
+   * Send the pulses due within the lookahead. Called by the timer; call
+   * it yourself with `intervalMs: 0`.
+   */
+  function tick() {
+    for (const pulse of scheduler.next(now() + O.lookaheadMs)) {
+      // Start goes right before the first pulse, which is beat 1
+      if (pulse.pulse === 0) send(MIDI_CLOCK_MESSAGES.start, pulse.time);
+      send(MIDI_CLOCK_MESSAGES.clock, pulse.time);
+    }
+  }
+
+  /**
+   * Start (send Start, then pulses) on the next beat of the grid of
+   * `periodMs` through `phaseTime`.
+   */
+  function start(periodMs, phaseTime = now()) {
+    scheduler.start(periodMs, phaseTime, now());
+    if (!timerId && O.intervalMs > 0) timerId = setInterval(tick, O.intervalMs);
+    tick();
+  }
+
+  function stop() {
+    if (!scheduler.running) return;
+    scheduler.stop();
+    if (timerId) {
+      clearInterval(timerId);
+      timerId = null;
+    }
+    if (output.clear) output.clear();  // Drop pulses already queued ahead
+    send(MIDI_CLOCK_MESSAGES.stop, now());
+  }
+
+  /**
+   * Follow the tracker: start when it starts tracking, follow its tempo
+   * (or the target) while tracking, stop when it stops.
+   * @param {object} state - tracker.getState()
+   */
+  function update(state) {
+    if (state.state !== State.TRACKING) {
+      if (O.stopOnGap) stop();
+      return;
+    }
+
+    const [period, phase] = mode === 'target'
+      ? [state.targetPeriod, state.targetPhase]
+      : [state.period, state.phase];
+    if (!(period > 0)) return;
+
+    if (scheduler.running) {
+      scheduler.setPeriod(period, phase);
+    } else {
+      start(period, phase);
+    }
+  }
+
+  return {
+    start,
+    stop,
+    tick,
+    update,
+    setPeriod: scheduler.setPeriod,
+    setMode(value) {
+      if (!MIDI_CLOCK_MODES.includes(value)) throw new Error(`Unknown MIDI clock mode: ${value}`);
+      mode = value;
+    },
+    destroy: stop,
+    get mode() { return mode; },
+    get running() { return scheduler.running; }
+  };
+}
+
+/**
+ * Request Web MIDI access and list the outputs.
+ * @returns {Promise<MIDIOutput[]>} Outputs
+ */
+export async function requestMidiOutputs() {
+  if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+    throw new Error('Web MIDI is not supported in this browser');
+  }
+  const access = await navigator.requestMIDIAccess({ sysex: false });
+  const outputs = [];
+  access.outputs.forEach((out) => outputs.push(out));
+  return outputs;
+}
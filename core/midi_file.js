@@ -0,0 +1,520 @@
+/**
+ * Beat Drift Monitor - Standard MIDI Files
+ *
+ * Reads Standard MIDI Files (format 0 and 1) so e-kit performances can be
+ * run through the tracker offline. Note events are converted to ms through
+ * the file's tempo map and fed through the same kit mapping as live Web
+ * MIDI input (midi_input.js createMidiMapper), so a file and a live kit
+ * produce the same onsets.
+ *
+ *   const smf = parseMidiFile(readFileSync('take.mid'));
+ *   const { onsets, strengths } = midiFileOnsets(smf, { notes: [36] });
+ *
+ * A song's tempo map (set-tempo and time signature events, e.g. a DAW
+ * click track export) can be read as a target tempo map:
+ *
+ *   tracker.setTempoMap(midiFileTempoMap(smf));
+ *
+ * Also exports a tracked performance: traceToMidiFile() turns a debug
+ * trace into a tempo map that follows the drummer, a note per onset and
+ * markers for state changes, so a DAW grid lines up with a multitrack
+ * recording of the same take.
+ *
+ *   writeFileSync('take.mid', writeMidiFile(traceToMidiFile(trace.getAll())));
+ *
+ * @see midi_input.js for kit mappings
+ */
+
+import { createMidiMapper } from './midi_input.js';
+import { CONSTANTS, State, parseMeter } from './beat_tracker.js';
+import { createTempoMap } from './tempo_map.js';
+
+const DEFAULT_TEMPO = 500000;  // µs per quarter note (120 BPM)
+
+export const MIDI_EXPORT_DEFAULTS = {
+  division: 480,         // Ticks per quarter note
+  meter: '4/4',          // Time signature; song starts are put on a bar line
+  note: 36,              // Note for onsets (GM kick)
+  channel: 10,           // MIDI channel 1-16 (10 = GM drums)
+  noteTicks: 60,         // Note length
+  startTime: 0,          // Trace time (ms) at tick 0, e.g. the recording start
+  endTime: null,         // Trace time the recording ends (marks a final WAITING)
+  silenceTimeoutMs: CONSTANTS.SILENCE_TIMEOUT_MS  // When WAITING began after the last onset
+};
+
+// Trace events exported as markers
+export const MARKER_EVENTS = ['calibration_complete', 'double_tempo_correction', 'resume_with_target', 'section_change'];
+
+// Trace events of an onset that ended a WAITING gap
+const RESUME_EVENTS = ['resume_from_waiting', 'resume_with_target'];
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Read a variable-length quantity.
+ * @returns {number[]} [value, next offset]
+ */
+function readVarLen(bytes, offset) {
+  let value = 0;
+  let byte;
+  do {
+    if (offset >= bytes.length) throw new Error('Unexpected end of MIDI track');
+    byte = bytes[offset++];
+    value = (value << 7) | (byte & 0x7f);
+  } while (byte & 0x80);
+  return [value, offset];
+}
+
+function readString(bytes, start, length) {
+  return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+/**
+ * Parse one MTrk chunk into events with absolute ticks.
+ *
+ * Channel events: { tick, type: 'channel', data: [status, ...] }.
+ * Meta events: { tick, type: 'meta', metaType, data }, plus `tempo`
+ * (µs per quarter) for set-tempo and `text` for text/marker events.
+ */
+function parseTrack(bytes) {
+  const events = [];
+  let offset = 0;
+  let tick = 0;
+  let runningStatus = 0;
+
+  while (offset < bytes.length) {
+    let delta;
+    [delta, offset] = readVarLen(bytes, offset);
+    tick += delta;
+
+    let status = bytes[offset];
+    if (status & 0x80) {
+      offset++;
+    } else if (runningStatus) {
+      status = runningStatus;
+    } else {
+      throw new Error('MIDI data byte without a status');
+    }
+
+    if (status === 0xff) {
+      const metaType = bytes[offset++];
+      let length;
+      [length, offset] = readVarLen(bytes, offset);
+      const data = bytes.subarray(offset, offset + length);
+      offset += length;
+
+      const event = { tick, type: 'meta', metaType, data };
+      if (metaType === 0x51) event.tempo = (data[0] << 16) | (data[1] << 8) | data[2];
+      if (metaType >= 0x01 && metaType <= 0x07) event.text = readString(data, 0, data.length);
+      events.push(event);
+      if (metaType === 0x2f) break;  // End of track
+    } else if (status === 0xf0 || status === 0xf7) {
+      let length;
+      [length, offset] = readVarLen(bytes, offset);
+      offset += length;  // SysEx is skipped
+    } else {
+      runningStatus = status;
+      const dataBytes = (status & 0xf0) === 0xc0 || (status & 0xf0) === 0xd0 ? 1 : 2;
+      events.push({ tick, type: 'channel', data: [status, ...bytes.subarray(offset, offset + dataBytes)] });
+      offset += dataBytes;
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Parse a Standard MIDI File.
+ * @param {Uint8Array|ArrayBuffer} input - File contents
+ * @returns {object} { format, division, tracks: [[event, ...]] }
+ */
+export function parseMidiFile(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (bytes.length < 14 || readString(bytes, 0, 4) !== 'MThd') throw new Error('Not a Standard MIDI File');
+
+  const headerLength = view.getUint32(4);
+  const format = view.getUint16(8);
+  const trackCount = view.getUint16(10);
+  const division = view.getInt16(12);
+  if (format > 1) throw new Error(`MIDI format ${format} is not supported`);
+
+  const tracks = [];
+  let offset = 8 + headerLength;
+  while (tracks.length < trackCount && offset + 8 <= bytes.length) {
+    const type = readString(bytes, offset, 4);
+    const length = view.getUint32(offset + 4);
+    const start = offset + 8;
+    if (start + length > bytes.length) throw new Error('Truncated MIDI track');
+    if (type === 'MTrk') tracks.push(parseTrack(bytes.subarray(start, start + length)));
+    offset = start + length;
+  }
+
+  return { format, division, tracks };
+}
+
+// ============================================================================
+// TIMING
+// ============================================================================
+
+/**
+ * Build a tick -> ms converter from the file's tempo map (set-tempo meta
+ * events on any track). SMPTE divisions have a fixed tick length.
+ * @param {object} smf - parseMidiFile() result
+ * @returns {function} tick => ms
+ */
+export function createTickToMs(smf) {
+  if (smf.division < 0) {
+    const fps = -(smf.division >> 8);
+    const ticksPerFrame = smf.division & 0xff;
+    const msPerTick = 1000 / ((fps === 29 ? 29.97 : fps) * ticksPerFrame);
+    return tick => tick * msPerTick;
+  }
+
+  const tempos = smf.tracks
+    .flat()
+    .filter(e => e.tempo !== undefined)
+    .sort((a, b) => a.tick - b.tick);
+
+  // Segments: { tick, ms, tempo } where each tempo starts
+  const segments = [{ tick: 0, ms: 0, tempo: DEFAULT_TEMPO }];
+  for (const { tick, tempo } of tempos) {
+    const last = segments[segments.length - 1];
+    const ms = last.ms + ((tick - last.tick) * last.tempo) / (smf.division * 1000);
+    if (tick === last.tick) segments[segments.length - 1] = { tick, ms, tempo };
+    else segments.push({ tick, ms, tempo });
+  }
+
+  return (tick) => {
+    let i = segments.length - 1;
+    while (i > 0 && segments[i].tick > tick) i--;
+    const seg = segments[i];
+    return seg.ms + ((tick - seg.tick) * seg.tempo) / (smf.division * 1000);
+  };
+}
+
+/**
+ * The file's tempo map as a target tempo map (tempo_map.js). Beats are
+ * the time signature's unit (eighths in 6/8), so a tempo is in the
+ * tracker's beats per minute. Every tempo or time signature change
+ * starts a section at the nearest beat; a ramp drawn as many tempo
+ * events becomes many short sections. A marker names the sections from
+ * the next change at or after it.
+ * @param {object} smf - parseMidiFile() result
+ * @returns {object} createTempoMap() result
+ */
+export function midiFileTempoMap(smf) {
+  if (smf.division < 0) throw new Error('SMPTE-timed MIDI files have no tempo map');
+
+  const events = smf.tracks
+    .flat()
+    .filter(e => e.type === 'meta' && [0x51, 0x58, 0x06].includes(e.metaType))
+    .sort((a, b) => a.tick - b.tick);
+
+  // Changes: { beat, tempo, meter, unit, name } after all events at a tick;
+  // `meter` only where a time signature is
+  const changes = [{ beat: 0, tempo: DEFAULT_TEMPO, meter: null, unit: 4, name: null }];
+  let tick = 0;
+  let beat = 0;
+  for (const event of events) {
+    beat += ((event.tick - tick) * changes[changes.length - 1].unit) / (4 * smf.division);
+    tick = event.tick;
+
+    let last = changes[changes.length - 1];
+    if (Math.round(beat) !== last.beat) {
+      last = { ...last, beat: Math.round(beat), meter: null };
+      changes.push(last);
+    }
+    if (event.tempo !== undefined) last.tempo = event.tempo;
+    if (event.metaType === 0x58) {
+      last.unit = 2 ** event.data[1];
+      last.meter = `${event.data[0]}/${last.unit}`;
+    }
+    if (event.metaType === 0x06) last.name = event.text;
+  }
+
+  // Sections where the tempo or meter changes
+  const sections = [];
+  changes.forEach((change, i) => {
+    const prev = changes[i - 1];
+    const bpm = Math.round((60e6 / change.tempo) * (change.unit / 4) * 100) / 100;
+    if (prev && bpm === sections[sections.length - 1].bpm && !change.meter) return;
+    if (sections.length) sections[sections.length - 1].beats = change.beat - sections[sections.length - 1].start;
+    sections.push({ start: change.beat, bpm, meter: change.meter || undefined, name: change.name || undefined });
+  });
+
+  return createTempoMap({
+    sections: sections.map(({ start, ...section }) => section)
+  });
+}
+
+// ============================================================================
+// ONSETS
+// ============================================================================
+
+/**
+ * Onsets of the mapped kit notes in a MIDI file, in ms from the file start.
+ *
+ * @param {object} smf - parseMidiFile() result
+ * @param {object} options - Kit mapping (notes, channel, minInterOnsetMs), see createMidiMapper()
+ * @returns {object} { onsets, strengths, notes }
+ */
+export function midiFileOnsets(smf, options = {}) {
+  const tickToMs = createTickToMs(smf);
+  const onsets = [];
+  const strengths = [];
+  const notes = [];
+
+  const mapper = createMidiMapper({
+    ...options,
+    onOnset: (time, strength, note) => {
+      onsets.push(time);
+      strengths.push(strength);
+      notes.push(note);
+    }
+  });
+
+  // Merge the tracks in time order; stable sort keeps each track's order
+  const events = smf.tracks
+    .flat()
+    .filter(e => e.type === 'channel')
+    .sort((a, b) => a.tick - b.tick);
+
+  for (const event of events) {
+    mapper.handleMessage(event.data, tickToMs(event.tick));
+  }
+
+  return { onsets, strengths, notes };
+}
+
+// ============================================================================
+// WRITING
+// ============================================================================
+
+function writeVarLen(value, out) {
+  const bytes = [value & 0x7f];
+  while ((value >>= 7) > 0) bytes.unshift((value & 0x7f) | 0x80);
+  out.push(...bytes);
+}
+
+function writeUint32(value, out) {
+  out.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+}
+
+function metaData(event) {
+  if (event.tempo !== undefined) return [(event.tempo >> 16) & 0xff, (event.tempo >> 8) & 0xff, event.tempo & 0xff];
+  if (event.text !== undefined) return [...event.text].map(c => c.charCodeAt(0) & 0xff);
+  return [...event.data];
+}
+
+/**
+ * Encode one track's events (absolute ticks, any order) as an MTrk chunk.
+ */
+function encodeTrack(events) {
+  const sorted = events
+    .filter(e => !(e.type === 'meta' && e.metaType === 0x2f))
+    .sort((a, b) => a.tick - b.tick);
+  const endTick = Math.max(0, ...events.map(e => e.tick));
+  const body = [];
+  let tick = 0;
+
+  for (const event of [...sorted, { tick: endTick, type: 'meta', metaType: 0x2f, data: [] }]) {
+    writeVarLen(event.tick - tick, body);
+    tick = event.tick;
+    if (event.type === 'meta') {
+      const data = metaData(event);
+      body.push(0xff, event.metaType);
+      writeVarLen(data.length, body);
+      body.push(...data);
+    } else {
+      body.push(...event.data);
+    }
+  }
+
+  const chunk = [0x4d, 0x54, 0x72, 0x6b];  // MTrk
+  writeUint32(body.length, chunk);
+  return chunk.concat(body);
+}
+
+/**
+ * Encode a Standard MIDI File.
+ *
+ * Takes the parseMidiFile() shape: channel events `{ tick, type: 'channel',
+ * data }` and meta events `{ tick, type: 'meta', metaType, data }`, where
+ * `tempo` (set-tempo) or `text` may stand in for `data`. Events are sorted
+ * by tick (stable) and each track gets an end-of-track event.
+ *
+ * @param {object} smf - { format, division, tracks: [[event, ...]] }
+ * @returns {Uint8Array} File contents
+ */
+export function writeMidiFile(smf) {
+  const { format = 1, division = MIDI_EXPORT_DEFAULTS.division, tracks } = smf;
+  const bytes = [0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6];  // MThd
+  bytes.push(0, format, (tracks.length >> 8) & 0xff, tracks.length & 0xff, (division >> 8) & 0xff, division & 0xff);
+  for (const events of tracks) bytes.push(...encodeTrack(events));
+  return Uint8Array.from(bytes);
+}
+
+// ============================================================================
+// TRACE EXPORT
+// ============================================================================
+
+function isSongStart(entry) {
+  return RESUME_EVENTS.includes(entry.event) || (entry.event === 'calibrating' && entry.beatCount === 1);
+}
+
+/**
+ * Times (ms) at which the tracker entered WAITING. The trace has one entry
+ * per onset, so a gap shows up as the onset that resumed from it (or a
+ * count-in onset); WAITING began SILENCE_TIMEOUT_MS after the onset before.
+ */
+function waitingTimes(entries, options) {
+  const times = [];
+  const after = prev => (prev ? prev.timestamp + options.silenceTimeoutMs : options.startTime);
+
+  entries.forEach((entry, i) => {
+    const prev = entries[i - 1];
+    const waited = entry.state === State.WAITING || RESUME_EVENTS.includes(entry.event);
+    if (waited && !(prev && prev.state === State.WAITING)) {
+      times.push(Math.min(after(prev), entry.timestamp));
+    }
+  });
+
+  const last = entries[entries.length - 1];
+  if (options.endTime !== null && last && last.state !== State.WAITING &&
+      options.endTime - last.timestamp > options.silenceTimeoutMs) {
+    times.push(after(last));
+  }
+  return times;
+}
+
+function markerText(entry) {
+  if (entry.event === 'double_tempo_correction') return `${entry.event} (${entry.currentBpm.toFixed(1)} BPM)`;
+  if (entry.event === 'section_change') return `${entry.event} (${entry.fromBpm.toFixed(1)} → ${entry.toBpm.toFixed(1)} BPM)`;
+  return `${entry.event} (${entry.targetBpm.toFixed(1)} BPM)`;
+}
+
+/**
+ * Convert a tracker trace to a Standard MIDI File (format 1).
+ *
+ * Track 0 is the tempo map: each song starts on a bar line at its
+ * calibrated tempo (the gap before it is stretched to a whole number of
+ * bars), then the tempo follows the tracker's period after every onset.
+ * Markers show calibration, double-tempo corrections, armed setlist
+ * starts, section changes and WAITING. Track 1 has a note per onset, velocity from the
+ * onset's accent strength.
+ *
+ * Notes land at the onsets' trace times (to the nearest tick) through the
+ * tempo map, so the file lines up with a recording starting at
+ * `startTime`.
+ *
+ * @param {object[]} trace - Trace entries (createTraceBuffer().getAll())
+ * @param {object} options - See MIDI_EXPORT_DEFAULTS
+ * @returns {object} { format, division, tracks } for writeMidiFile()
+ */
+export function traceToMidiFile(trace, options = {}) {
+  const O = { ...MIDI_EXPORT_DEFAULTS, ...options };
+  const { beatsPerBar, unit } = parseMeter(O.meter);
+  const entries = trace.filter(e => e.timestamp >= O.startTime);
+
+  // µs per quarter note for a beat period; the meter's unit is the beat
+  const tempoOf = periodMs => Math.round(periodMs * 1000 * unit / 4);
+  const ticksPerBar = O.division * beatsPerBar * 4 / unit;
+
+  // Tempo segments: { time, tick, tempo } from `time` on
+  const segments = [{ time: O.startTime, tick: 0, tempo: DEFAULT_TEMPO }];
+  const tickAt = (time) => {
+    let i = segments.length - 1;
+    while (i > 0 && segments[i].time > time) i--;
+    const seg = segments[i];
+    return seg.tick + ((time - seg.time) * 1000 * O.division) / seg.tempo;
+  };
+
+  // New segment from `time`, starting on a whole tick. Its time is moved
+  // onto that tick so rounding does not add up over the segments.
+  function addSegment(time, tempo) {
+    const last = segments[segments.length - 1];
+    const tick = Math.round(tickAt(time));
+    if (tick === last.tick) {
+      last.tempo = tempo;
+    } else {
+      segments.push({ time: last.time + ((tick - last.tick) * last.tempo) / (1000 * O.division), tick, tempo });
+    }
+  }
+
+  /**
+   * Tempo from `time` on. A song start lands on a bar line: the gap since
+   * the onset before (`gapStart`) is stretched to the nearest whole number
+   * of bars at the song's tempo. A lead-in shorter than half a bar plays
+   * at the song's tempo and the song starts mid-bar.
+   */
+  function setTempo(time, tempo, gapStart) {
+    if (gapStart !== undefined) {
+      if (gapStart > segments[segments.length - 1].time) addSegment(gapStart, segments[segments.length - 1].tempo);
+      const gap = segments[segments.length - 1];
+      const gapTicks = ((time - gap.time) * 1000 * O.division) / tempo;
+      const bar = Math.max(Math.floor(gap.tick / ticksPerBar) + 1, Math.round((gap.tick + gapTicks) / ticksPerBar));
+      if (gap.tick === 0 && gapTicks < ticksPerBar / 2) {
+        gap.tempo = tempo;
+        return;
+      }
+      if (time > gap.time) {
+        gap.tempo = Math.round(((time - gap.time) * 1000 * O.division) / (bar * ticksPerBar - gap.tick));
+      }
+    } else if (tempo === segments[segments.length - 1].tempo) {
+      return;
+    }
+    addSegment(time, tempo);
+  }
+
+  entries.forEach((entry, i) => {
+    if (isSongStart(entry)) {
+      // Play the calibration beats at the tempo they calibrate to
+      const song = entries.slice(i).find((e, j) => e.state === State.TRACKING || (j > 0 && isSongStart(e)));
+      // A count-in is part of the song
+      let first = i;
+      while (first > 0 && entries[first - 1].state === State.WAITING) first--;
+      if (song && song.state === State.TRACKING && song.periodAfter > 0) {
+        setTempo(entries[first].timestamp, tempoOf(song.periodAfter), first > 0 ? entries[first - 1].timestamp : O.startTime);
+      }
+    } else if (entry.state === State.TRACKING && entry.periodAfter > 0) {
+      setTempo(entry.timestamp, tempoOf(entry.periodAfter));
+    }
+  });
+
+  // Conductor track: time signature, tempo map, markers
+  const conductor = [
+    { tick: 0, type: 'meta', metaType: 0x03, text: 'Tempo map' },
+    { tick: 0, type: 'meta', metaType: 0x58, data: [beatsPerBar, Math.log2(unit), 24, 8] },
+    ...segments.map(seg => ({ tick: seg.tick, type: 'meta', metaType: 0x51, tempo: seg.tempo }))
+  ];
+  const markers = [
+    ...waitingTimes(entries, O).map(time => ({ time, text: State.WAITING })),
+    ...entries.filter(e => MARKER_EVENTS.includes(e.event)).map(e => ({ time: e.timestamp, text: markerText(e) }))
+  ].sort((a, b) => a.time - b.time);
+  for (const { time, text } of markers) {
+    conductor.push({ tick: Math.round(tickAt(time)), type: 'meta', metaType: 0x06, text });
+  }
+
+  // Onset track
+  const status = 0x90 | (O.channel - 1);
+  const maxStrength = Math.max(0, ...entries.map(e => e.strength).filter(v => typeof v === 'number'));
+  const onsets = [{ tick: 0, type: 'meta', metaType: 0x03, text: 'Onsets' }];
+  for (const entry of entries) {
+    const tick = Math.round(tickAt(entry.timestamp));
+    const velocity = typeof entry.strength === 'number' && maxStrength > 0
+      ? Math.max(1, Math.round((127 * entry.strength) / maxStrength))
+      : 100;
+    onsets.push({ tick, type: 'channel', data: [status, O.note, velocity] });
+    onsets.push({ tick: tick + O.noteTicks, type: 'channel', data: [status, O.note, 0] });
+  }
+
+  if (O.endTime !== null) {
+    onsets.push({ tick: Math.round(tickAt(O.endTime)), type: 'meta', metaType: 0x2f, data: [] });
+  }
+
+  return { format: 1, division: O.division, tracks: [conductor, onsets] };
+}
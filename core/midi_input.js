@@ -0,0 +1,219 @@
+/**
+ * Beat Drift Monitor - MIDI Input
+ *
+ * Onset source for electronic kits: MIDI note-on events from the mapped
+ * kit notes (kick = 36 by default) become tracker onsets, timestamped with
+ * the event's own timestamp rather than when the message was handled.
+ * Velocity becomes the onset's accent strength (0-1) for downbeat
+ * estimation.
+ *
+ * The message handling is pure (createMidiMapper) so Standard MIDI Files
+ * can be run through the same mapping offline (see midi_file.js);
+ * createMidiOnsetSource() connects it to Web MIDI inputs.
+ *
+ * A kit mapping is the list of note numbers that count as onsets:
+ *
+ *   { "notes": [36, 35] }
+ *
+ * @see audio_input.js for the microphone onset sources
+ */
+
+import { performanceToContextTime } from './audio_input.js';
+
+// ============================================================================
+// DEFAULTS
+// ============================================================================
+
+export const MIDI_DEFAULTS = {
+  notes: [36],           // Kit notes that count as onsets (GM kick)
+  channel: null,         // MIDI channel 1-16, or null for any
+  minInterOnsetMs: 30    // Mapped notes closer than this are one onset (flams, kick + pedal)
+};
+
+// General MIDI percussion notes offered in the kit mapping UI
+export const GM_DRUM_NOTES = {
+  35: 'Acoustic Bass Drum',
+  36: 'Bass Drum',
+  37: 'Side Stick',
+  38: 'Snare',
+  40: 'Electric Snare',
+  41: 'Low Floor Tom',
+  42: 'Closed Hi-Hat',
+  43: 'High Floor Tom',
+  44: 'Pedal Hi-Hat',
+  45: 'Low Tom',
+  46: 'Open Hi-Hat',
+  47: 'Low-Mid Tom',
+  48: 'Hi-Mid Tom',
+  49: 'Crash',
+  50: 'High Tom',
+  51: 'Ride',
+  53: 'Ride Bell',
+  57: 'Crash 2'
+};
+
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+
+/**
+ * Validate a kit mapping.
+ * @param {object} kit - { notes, channel? }
+ * @returns {object} { notes, channel } with sorted, unique notes
+ */
+export function normalizeKit(kit) {
+  const notes = kit?.notes;
+  if (!Array.isArray(notes) || notes.length === 0) throw new Error('Kit needs at least one note');
+
+  for (const note of notes) {
+    if (!Number.isInteger(note) || note < 0 || note > 127) {
+      throw new Error(`Kit note ${note} must be a whole number from 0 to 127`);
+    }
+  }
+
+  const channel = kit.channel ?? null;
+  if (channel !== null && !(Number.isInteger(channel) && channel >= 1 && channel <= 16)) {
+    throw new Error('Kit channel must be 1-16');
+  }
+
+  return { notes: [...new Set(notes)].sort((a, b) => a - b), channel };
+}
+
+// ============================================================================
+// MAPPER
+// ============================================================================
+
+/**
+ * Creates a mapper from raw MIDI messages to onsets.
+ *
+ * @param {object} options
+ * @param {number[]} options.notes - Kit notes that count as onsets
+ * @param {number|null} options.channel - Only this channel (1-16), or any
+ * @param {number} options.minInterOnsetMs - Merge mapped notes closer than this
+ * @param {function} options.onOnset - (time ms, strength 0-1, note) for each onset
+ * @param {function} options.onNote - (note, velocity, time ms) for every note-on, mapped or not
+ * @returns {object} { handleMessage, setNotes, notes }
+ */
+export function createMidiMapper(options = {}) {
+  const {
+    channel = MIDI_DEFAULTS.channel,
+    minInterOnsetMs = MIDI_DEFAULTS.minInterOnsetMs,
+    onOnset = () => {},
+    onNote = () => {}
+  } = options;
+
+  let notes = new Set(options.notes || MIDI_DEFAULTS.notes);
+  let lastOnset = -Infinity;
+
+  /**
+   * Handle one MIDI message.
+   * @param {Uint8Array|number[]} data - Status byte and data bytes
+   * @param {number} time - Message time (ms)
+   */
+  function handleMessage(data, time) {
+    const type = data[0] & 0xf0;
+    if (type !== NOTE_ON && type !== NOTE_OFF) return;
+    if (channel !== null && (data[0] & 0x0f) !== channel - 1) return;
+
+    // Note-on with velocity 0 is a note-off
+    const velocity = type === NOTE_ON ? data[2] : 0;
+    if (velocity === 0) return;
+
+    const note = data[1];
+    onNote(note, velocity, time);
+
+    if (!notes.has(note) || time - lastOnset < minInterOnsetMs) return;
+    lastOnset = time;
+    onOnset(time, velocity / 127, note);
+  }
+
+  return {
+    handleMessage,
+    setNotes(list) { notes = new Set(list); },
+    get notes() { return [...notes]; }
+  };
+}
+
+/**
+ * Combine onsets from several sources (mic and MIDI) hearing the same
+ * kit: an onset within `windowMs` of the last accepted one is dropped.
+ *
+ * @param {function} onOnset - (time, strength) for each accepted onset
+ * @param {number} windowMs - Merge window
+ * @returns {function} (time, strength) => void
+ */
+export function createOnsetMerger(onOnset, windowMs = 50) {
+  let last = -Infinity;
+  return (time, strength) => {
+    if (time - last < windowMs) return;
+    last = time;
+    onOnset(time, strength);
+  };
+}
+
+// ============================================================================
+// WEB MIDI
+// ============================================================================
+
+/**
+ * Connects a mapper to every Web MIDI input (including ones plugged in
+ * later).
+ *
+ * MIDI event timestamps are performance.now() time. With `clock` (another
+ * onset source's now()) they are moved onto that clock by their age, so
+ * MIDI and mic onsets can feed the same tracker.
+ *
+ * @param {MIDIAccess} access - From navigator.requestMIDIAccess()
+ * @param {function} onOnset - (time ms, strength 0-1) for each onset
+ * @param {object} opts - Mapper options (notes, channel, minInterOnsetMs, onNote)
+ * @param {function} opts.clock - Clock for onset times (default performance.now)
+ * @param {AudioContext} opts.audioContext - For toContextTime() (click track)
+ * @returns {object} { stop, now, toContextTime, gate, setNotes, inputs, mode }
+ */
+export function createMidiOnsetSource(access, onOnset, opts = {}) {
+  const { clock = null, audioContext = null, ...mapperOptions } = opts;
+  const mapper = createMidiMapper({ ...mapperOptions, onOnset: (time, strength) => onOnset(time, strength) });
+  const now = clock || (() => performance.now());
+
+  function handleEvent(event) {
+    const time = clock ? clock() - (performance.now() - event.timeStamp) : event.timeStamp;
+    mapper.handleMessage(event.data, time);
+  }
+
+  function connectInputs() {
+    access.inputs.forEach((input) => { input.onmidimessage = handleEvent; });
+  }
+
+  connectInputs();
+  access.onstatechange = connectInputs;
+
+  return {
+    mode: 'midi',
+    now,
+    toContextTime: (ms) => performanceToContextTime(audioContext, ms),
+    gate() {},  // Nothing the app plays reaches a MIDI input
+    setNotes: mapper.setNotes,
+    inputs() {
+      const names = [];
+      access.inputs.forEach((input) => names.push(input.name));
+      return names;
+    },
+    stop() {
+      access.onstatechange = null;
+      access.inputs.forEach((input) => { input.onmidimessage = null; });
+    }
+  };
+}
+
+/**
+ * Request Web MIDI access and connect a MIDI onset source.
+ * @param {function} onOnset - (time ms, strength 0-1) for each onset
+ * @param {object} opts - See createMidiOnsetSource()
+ * @returns {Promise<object>} MIDI onset source
+ */
+export async function requestMidiOnsetSource(onOnset, opts = {}) {
+  if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+    throw new Error('Web MIDI is not supported in this browser');
+  }
+  const access = await navigator.requestMIDIAccess({ sysex: false });
+  return createMidiOnsetSource(access, onOnset, opts);
+}
@@ -0,0 +1,335 @@
+/**
+ * Beat Drift Monitor - Offline Analysis
+ *
+ * Runs decoded audio through the same onset detector -> beat tracker
+ * pipeline as the live app, faster than real time. Timestamps are file
+ * time in ms (0 = first sample). Onset lists (CSV, JSON or an exported
+ * trace) can be run through the tracker directly with analyzeOnsets().
+ *
+ * The result has the same shape as runScenario() results
+ * (test/harness_runner.js), so the harness chart, trace table and exports
+ * work on recordings unchanged. It also lists the tracker's state
+ * `transitions` ({ time, from, to }).
+ *
+ * summarizeAnalysis() and formatAnalysisSummary() give the summary and
+ * per-song report cards the command-line tools print.
+ *
+ * @see onset_detector.js, beat_tracker.js
+ */
+
+import { createBeatTracker, createTraceBuffer, State } from './beat_tracker.js';
+import { createOnsetDetector, blockRateOptions, RENDER_QUANTUM } from './onset_detector.js';
+import { decodeWav } from './wav.js';
+import { splitSongs, buildSongReport, formatSongReport } from './song_report.js';
+
+/**
+ * Mix channels down to mono.
+ * @param {Float32Array[]} channels - One array per channel
+ * @returns {Float32Array} Mono samples
+ */
+export function mixToMono(channels) {
+  if (channels.length === 1) return channels[0];
+
+  const mono = new Float32Array(channels[0].length);
+  for (const channel of channels) {
+    for (let i = 0; i < mono.length; i++) mono[i] += channel[i];
+  }
+  for (let i = 0; i < mono.length; i++) mono[i] /= channels.length;
+  return mono;
+}
+
+// ============================================================================
+// TRACKER SESSION
+// ============================================================================
+
+/**
+ * Create a tracker fed with file-time onsets, recording its trace, updates
+ * and state transitions. With `targetBpm` the target is armed at the start
+ * and again at every song gap, instead of calibrating. A `tempoMap` starts
+ * over at every calibration or armed target.
+ */
+function createAnalysisSession({ constants = {}, meter, targetBpm, tempoMap = null, sectionChange, traceSize = 100000 } = {}) {
+  const trace = createTraceBuffer(traceSize);
+  const updates = [];
+  const transitions = [];
+  let clock = 0;
+  let lastState = null;
+  let tracker = null;
+
+  tracker = createBeatTracker({
+    onUpdate: (data) => {
+      updates.push({ ...data });
+      if (data.state === lastState) return;
+
+      if (lastState !== null) transitions.push({ time: clock, from: lastState, to: data.state });
+      lastState = data.state;
+      if (targetBpm && data.state === State.WAITING && tracker) {
+        tracker.setTarget(targetBpm, { waitForOnset: true, tempoMap });
+      }
+    },
+    trace,
+    constants,
+    meter,
+    tempoMap,
+    sectionChange
+  });
+  tracker.reset();
+  if (targetBpm) tracker.setTarget(targetBpm, { waitForOnset: true, tempoMap });
+
+  return {
+    tracker,
+
+    // The live silence watch would have fired during any long gap
+    addOnset(time, strength) {
+      clock = time;
+      tracker.checkSilence(time);
+      tracker.addOnset(time, strength);
+    },
+
+    finish(name, endTime, extra) {
+      clock = endTime;
+      tracker.checkSilence(endTime);
+      const results = {
+        scenario: name,
+        passed: true,
+        checks: [],
+        trace: trace.getAll(),
+        updates,
+        transitions,
+        finalState: tracker.getState(),
+        ...extra
+      };
+      tracker.destroy();
+      return results;
+    }
+  };
+}
+
+// ============================================================================
+// AUDIO
+// ============================================================================
+
+/**
+ * Analyze mono PCM through the onset detector and beat tracker.
+ *
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @param {object} options
+ * @param {string} options.name - Label for the results (e.g. file name)
+ * @param {string} options.detectorMode - 'block' (AudioWorklet, default) or 'frame' (analyser fallback)
+ * @param {object} options.detector - Onset detector option overrides
+ * @param {object} options.constants - Tracker constant overrides
+ * @param {string} options.meter - Time signature for bar tracking (default '4/4')
+ * @param {number} options.targetBpm - Measure drift against this tempo instead of calibrating
+ * @param {object} options.tempoMap - Measure drift against this tempo map (tempo_map.js)
+ * @param {string} options.sectionChange - 'keep' (default) or 'auto' to
+ *   re-target on a steady new tempo, see createBeatTracker()
+ * @param {number} options.traceSize - Trace buffer size
+ * @returns {object} { scenario, passed, checks, trace, updates, transitions, finalState, onsets, durationMs }
+ */
+export function analyzeSamples(samples, sampleRate, options = {}) {
+  const {
+    name = 'recording',
+    detectorMode = 'block',
+    detector: detectorOptions = {},
+    ...sessionOptions
+  } = options;
+
+  const session = createAnalysisSession(sessionOptions);
+  const onsets = [];
+  const modeOptions = detectorMode === 'block' ? blockRateOptions(sampleRate) : {};
+  const detector = createOnsetDetector({
+    ...modeOptions,
+    ...detectorOptions,
+    sampleRate,
+    onOnset: (time, strength) => {
+      session.addOnset(time, strength);
+      onsets.push(time);
+    }
+  });
+
+  for (let i = 0; i < samples.length; i += RENDER_QUANTUM) {
+    detector.process(samples.subarray(i, i + RENDER_QUANTUM));
+  }
+  detector.flush();
+
+  const durationMs = (samples.length / sampleRate) * 1000;
+  return session.finish(name, durationMs, { onsets, durationMs });
+}
+
+/**
+ * Analyze a Web Audio AudioBuffer (e.g. from decodeAudioData()).
+ *
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {object} options - See analyzeSamples()
+ * @returns {object} Analysis results
+ */
+export function analyzeAudioBuffer(audioBuffer, options = {}) {
+  const channels = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    channels.push(audioBuffer.getChannelData(c));
+  }
+  return analyzeSamples(mixToMono(channels), audioBuffer.sampleRate, options);
+}
+
+/**
+ * Decode a WAV file and analyze it.
+ *
+ * @param {Uint8Array} bytes - WAV file contents
+ * @param {object} options - See analyzeSamples()
+ * @returns {object} Analysis results, plus the file's `sampleRate` and
+ *   `channelCount`
+ */
+export function analyzeWav(bytes, options = {}) {
+  const wav = decodeWav(bytes);
+  const results = analyzeSamples(mixToMono(wav.channels), wav.sampleRate, options);
+  return { ...results, sampleRate: wav.sampleRate, channelCount: wav.channels.length };
+}
+
+// ============================================================================
+// ONSET LISTS
+// ============================================================================
+
+/**
+ * Run a list of onset times through the beat tracker.
+ *
+ * @param {number[]} onsets - Onset times (ms), ascending
+ * @param {object} options
+ * @param {string} options.name - Label for the results
+ * @param {number[]} options.strengths - Accent strength per onset
+ * @param {object} options.constants - Tracker constant overrides
+ * @param {string} options.meter - Time signature for bar tracking
+ * @param {number} options.targetBpm - Measure drift against this tempo instead of calibrating
+ * @param {object} options.tempoMap - Measure drift against this tempo map (tempo_map.js)
+ * @param {string} options.sectionChange - 'keep' (default) or 'auto' to
+ *   re-target on a steady new tempo, see createBeatTracker()
+ * @param {number} options.traceSize - Trace buffer size
+ * @returns {object} Analysis results, see analyzeSamples()
+ */
+export function analyzeOnsets(onsets, options = {}) {
+  const { name = 'onsets', strengths = [], ...sessionOptions } = options;
+
+  const session = createAnalysisSession(sessionOptions);
+  onsets.forEach((time, i) => session.addOnset(time, strengths[i]));
+
+  const durationMs = onsets.length ? onsets[onsets.length - 1] : 0;
+  return session.finish(name, durationMs, { onsets: [...onsets], durationMs });
+}
+
+/**
+ * Parse an onset list. Accepted forms:
+ *
+ * - JSON: an array of times, `{ "onsets": [...] }`, an exported trace
+ *   (array of trace entries) or harness results (`{ "trace": [...] }`)
+ * - CSV: one time per line, or a header row with a `timestamp`, `time` or
+ *   `onset` column (and optionally `strength`), e.g. a trace CSV export
+ *
+ * Times are ms unless `seconds` is set (e.g. an Audacity label track,
+ * whose first tab-separated column is the label start). Trace entries also
+ * give each onset's accent strength.
+ *
+ * @param {string} text - File contents
+ * @param {object} options
+ * @param {boolean} options.seconds - Times are in seconds
+ * @returns {object} { onsets, strengths }
+ */
+export function parseOnsetList(text, { seconds = false } = {}) {
+  const scale = seconds ? 1000 : 1;
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    const list = Array.isArray(data) ? data : (data.onsets || data.trace);
+    if (!Array.isArray(list)) throw new Error('JSON needs an array of onsets, "onsets" or "trace"');
+    return fromRows(list.map(item => (typeof item === 'number' ? { timestamp: item } : item)), scale);
+  }
+
+  const lines = trimmed.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+  const cells = line => line.split(/[,;\t]/).map(c => c.trim().replace(/^"|"$/g, ''));
+  const first = cells(lines[0] || '');
+
+  if (first.length && Number.isFinite(Number(first[0]))) {
+    return fromRows(lines.map(line => ({ timestamp: Number(cells(line)[0]) })), scale);
+  }
+
+  const header = first.map(h => h.toLowerCase());
+  const timeCol = ['timestamp', 'time', 'onset'].map(h => header.indexOf(h)).find(i => i >= 0);
+  if (timeCol === undefined) throw new Error('CSV needs a timestamp, time or onset column');
+  const strengthCol = header.indexOf('strength');
+
+  return fromRows(lines.slice(1).map((line) => {
+    const row = cells(line);
+    return {
+      timestamp: Number(row[timeCol]),
+      strength: strengthCol >= 0 && row[strengthCol] !== '' ? Number(row[strengthCol]) : undefined
+    };
+  }), scale);
+}
+
+function fromRows(rows, scale) {
+  const valid = rows.filter(r => Number.isFinite(Number(r.timestamp)));
+  if (valid.length === 0) throw new Error('No onset times found');
+
+  return {
+    onsets: valid.map(r => Number(r.timestamp) * scale),
+    strengths: valid.map(r => (typeof r.strength === 'number' ? r.strength : undefined))
+  };
+}
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+
+/**
+ * Summary of an analysis result: how much was tracked, the last target,
+ * the drift range and the report card of every tracked song.
+ *
+ * @param {object} results - analyzeSamples() or analyzeOnsets() result
+ * @returns {object} { durationMs, onsets, trackedOnsets, targetBpm,
+ *   minDrift, maxDrift, finalDrift, finalState, meter, downbeatConfidence,
+ *   songs } - drift fields are null if nothing was tracked
+ */
+export function summarizeAnalysis(results) {
+  const tracking = results.trace.filter(e => e.state === State.TRACKING && typeof e.drift === 'number');
+  const drifts = tracking.map(e => e.drift);
+  const last = tracking[tracking.length - 1];
+
+  return {
+    durationMs: results.durationMs,
+    onsets: results.onsets.length,
+    trackedOnsets: tracking.length,
+    targetBpm: last ? last.targetBpm : null,
+    minDrift: last ? Math.min(...drifts) : null,
+    maxDrift: last ? Math.max(...drifts) : null,
+    finalDrift: last ? last.drift : null,
+    finalState: results.finalState.state,
+    meter: results.finalState.meter,
+    downbeatConfidence: results.finalState.downbeatConfidence,
+    songs: splitSongs(results.trace).map(entries => buildSongReport(entries)).filter(Boolean)
+  };
+}
+
+/**
+ * Plain-text summary and song report cards, as the command-line tools
+ * print them.
+ *
+ * @param {object} summary - summarizeAnalysis() result
+ * @returns {string[]} Lines
+ */
+export function formatAnalysisSummary(summary) {
+  const lines = [
+    `  Onsets:      ${summary.onsets}`,
+    `  Tracking:    ${summary.trackedOnsets} onsets`
+  ];
+  if (summary.targetBpm !== null) {
+    lines.push(`  Target:      ${summary.targetBpm.toFixed(1)} BPM`);
+    lines.push(`  Drift:       ${summary.minDrift.toFixed(2)} .. ${summary.maxDrift.toFixed(2)} BPM (final ${summary.finalDrift.toFixed(2)})`);
+  }
+  lines.push(`  Meter:       ${summary.meter} (downbeat confidence ${Math.round(summary.downbeatConfidence * 100)}%)`);
+  lines.push(`  Final state: ${summary.finalState}`);
+
+  summary.songs.forEach((report, i) => {
+    lines.push('', `Song ${i + 1} (${(report.startTime / 1000).toFixed(1)}s - ${(report.endTime / 1000).toFixed(1)}s)`);
+    lines.push(formatSongReport(report).replace(/^/gm, '  '));
+  });
+  return lines;
+}
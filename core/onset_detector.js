@@ -0,0 +1,311 @@
+/**
+ * Beat Drift Monitor - Onset Detector
+ *
+ * Energy-based kick drum onset detector. The detection logic is pure: it
+ * consumes blocks of PCM samples with a sample-accurate clock and returns
+ * onset timestamps, so it runs the same in the browser, in Node and in tests.
+ * Browser audio graph adapters live in audio_input.js.
+ *
+ * Pipeline per analysis frame:
+ *   lowpass (150 Hz) -> RMS over the last WINDOW samples -> compare against
+ *   the average of the last 40 frames (x1.5) and an absolute floor (0.004)
+ *   -> refractory period (100 ms) between onsets
+ *
+ * Echo gates (e.g. around the app's own click track) raise the threshold
+ * for a time window instead of muting it, so a hit that coincides with
+ * the click is still detected.
+ *
+ * @version 1.0.0
+ * @see ALGORITHM.md for specification
+ */
+
+// ============================================================================
+// DEFAULTS
+// ============================================================================
+
+export const ONSET_DEFAULTS = {
+  lowPassFreq: 150,          // Hz, isolates the kick drum
+  lowPassQ: 0.7,             // Web Audio BiquadFilterNode Q (dB for lowpass)
+  useFilter: true,           // Disable for line-in / pre-filtered input
+  energyThreshold: 1.5,      // Onset when energy > average * threshold
+  energyFloor: 0.004,        // Minimum RMS to count as an onset
+  minInterOnsetMs: 100,      // Refractory period between onsets
+  rearm: false,              // Require energy to drop below threshold between onsets
+  historyFrames: 40,         // Frames in the running energy average
+  windowSize: 2048,          // Samples per RMS window (AnalyserNode fftSize)
+  frameRate: 60,             // Analysis frames per second (rAF rate)
+  gateThreshold: 4,          // Threshold and floor multiplier inside echo gates
+  accentMs: 0                // Wait this long after an onset for its peak (accent strength)
+};
+
+export const RENDER_QUANTUM = 128;  // Samples per Web Audio render block
+
+/**
+ * Detector options for evaluating every render quantum (AudioWorklet)
+ * instead of every animation frame. The energy history keeps the same
+ * length in time as the 60 frames/s defaults; the shorter window sharpens
+ * onset timing.
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @returns {object} Options for createOnsetDetector()
+ */
+export function blockRateOptions(sampleRate) {
+  const blocksPerFrame = sampleRate / ONSET_DEFAULTS.frameRate / RENDER_QUANTUM;
+  return {
+    hopSize: RENDER_QUANTUM,
+    windowSize: 1024,
+    rearm: true,  // A decaying kick stays loud for many blocks; don't retrigger on it
+    accentMs: 20, // The threshold crossing is early in the attack; measure strength at the peak
+    historyFrames: Math.round(ONSET_DEFAULTS.historyFrames * blocksPerFrame)
+  };
+}
+
+// ============================================================================
+// LOWPASS FILTER
+// ============================================================================
+
+/**
+ * Creates a biquad lowpass filter matching Web Audio's BiquadFilterNode.
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @param {number} frequency - Cutoff frequency (Hz)
+ * @param {number} q - Resonance in dB (Web Audio lowpass convention)
+ * @returns {function} Per-sample filter function
+ */
+export function createLowpass(sampleRate, frequency, q) {
+  const w0 = 2 * Math.PI * frequency / sampleRate;
+  const alpha = Math.sin(w0) / (2 * Math.pow(10, q / 20));
+  const cosW0 = Math.cos(w0);
+
+  const a0 = 1 + alpha;
+  const b0 = ((1 - cosW0) / 2) / a0;
+  const b1 = (1 - cosW0) / a0;
+  const b2 = b0;
+  const a1 = (-2 * cosW0) / a0;
+  const a2 = (1 - alpha) / a0;
+
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+
+  return function filter(x) {
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    x2 = x1; x1 = x;
+    y2 = y1; y1 = y;
+    return y;
+  };
+}
+
+// ============================================================================
+// ONSET DETECTOR
+// ============================================================================
+
+/**
+ * Creates an onset detector instance.
+ *
+ * @param {object} options
+ * @param {number} options.sampleRate - Sample rate of the PCM input (Hz)
+ * @param {function} options.onOnset - Optional callback for each onset: (time ms, accent strength RMS)
+ * @param {number} options.startTime - Clock time of the first sample (ms)
+ * @param {number} options.hopSize - Samples between frames (default: sampleRate / frameRate)
+ * @returns {object} Onset detector interface
+ */
+export function createOnsetDetector(options = {}) {
+  const {
+    sampleRate = 44100,
+    onOnset = () => {},
+    startTime = 0
+  } = options;
+
+  const O = { ...ONSET_DEFAULTS, ...options };
+  const hopSize = options.hopSize || Math.round(sampleRate / O.frameRate);
+
+  // ---- State ----
+  let filter = createLowpass(sampleRate, O.lowPassFreq, O.lowPassQ);
+  let ring = new Float32Array(O.windowSize);  // last windowSize filtered samples
+  let writeIndex = 0;
+  let samplesSinceFrame = 0;
+  let energyHistory = [];
+  let lastOnsetTime = -Infinity;
+  let wasAbove = false;
+  let lastEnergy = 0;
+  let gates = [];  // [start, end] windows (ms), sorted by start
+  let pending = null;  // { time, strength } onset waiting out accentMs
+
+  // Sample clock: time = anchorTime + (sampleCount - anchorSample) / sampleRate
+  let sampleCount = 0;
+  let anchorSample = 0;
+  let anchorTime = startTime;
+
+  // ---- Internal helpers ----
+
+  function sampleTime(index) {
+    return anchorTime + ((index - anchorSample) * 1000) / sampleRate;
+  }
+
+  function gateFactor(timeMs) {
+    while (gates.length && gates[0][1] < timeMs) gates.shift();
+    return gates.length && gates[0][0] <= timeMs ? O.gateThreshold : 1;
+  }
+
+  function rms(buf) {
+    let sum = 0;
+    for (let i = 0; i < buf.length; i++) sum += buf[i] * buf[i];
+    return Math.sqrt(sum / buf.length);
+  }
+
+  function emit(onset) {
+    onOnset(onset.time, onset.strength);
+    return onset.time;
+  }
+
+  /**
+   * Evaluate one analysis frame. Returns the onset time, or null.
+   *
+   * When the frame spacing is known (PCM input), the onset time is
+   * interpolated to where the energy crossed the threshold between the
+   * previous frame and this one, rather than snapped to the frame.
+   *
+   * Each onset carries an accent strength: the peak RMS within accentMs
+   * of the onset. With accentMs > 0 the onset is reported (with its
+   * original time) once that window has passed.
+   */
+  function evaluate(energy, timeMs, frameMs = 0) {
+    let done = null;
+    if (pending) {
+      pending.strength = Math.max(pending.strength, energy);
+      if (timeMs >= pending.time + O.accentMs) {
+        done = emit(pending);
+        pending = null;
+      }
+    }
+
+    const onsetTime = detect(energy, timeMs, frameMs);
+    if (onsetTime === null) return done;
+
+    const onset = { time: onsetTime, strength: energy };
+    if (O.accentMs > 0) {
+      pending = onset;
+      return done;
+    }
+    return emit(onset);
+  }
+
+  function detect(energy, timeMs, frameMs) {
+    energyHistory.push(energy);
+    if (energyHistory.length > O.historyFrames) energyHistory.shift();
+
+    let avg = 0;
+    for (const e of energyHistory) avg += e;
+    avg /= energyHistory.length;
+
+    const threshold = Math.max(avg * O.energyThreshold, O.energyFloor) * gateFactor(timeMs);
+    const above = energy > threshold;
+    const armed = !O.rearm || !wasAbove;
+    const prevEnergy = lastEnergy;
+    wasAbove = above;
+    lastEnergy = energy;
+
+    if (!above || !armed) return null;
+
+    let onsetTime = timeMs;
+    if (frameMs > 0 && prevEnergy < threshold) {
+      const crossing = (threshold - prevEnergy) / (energy - prevEnergy);
+      onsetTime = timeMs - (1 - crossing) * frameMs;
+    }
+
+    if (onsetTime - lastOnsetTime <= O.minInterOnsetMs) return null;
+
+    lastOnsetTime = onsetTime;
+    return onsetTime;
+  }
+
+  // ---- Public API ----
+
+  /**
+   * Process a block of raw PCM samples.
+   * @param {Float32Array|number[]} block - Mono samples
+   * @param {number} blockStartTime - Optional clock time of block[0] (ms);
+   *   re-anchors the sample clock, otherwise it continues from the last block
+   * @returns {number[]} Onset timestamps (ms) reported in this block
+   */
+  function process(block, blockStartTime) {
+    if (blockStartTime !== undefined) {
+      anchorSample = sampleCount;
+      anchorTime = blockStartTime;
+    }
+
+    const onsets = [];
+    const frameMs = (hopSize * 1000) / sampleRate;
+
+    for (let i = 0; i < block.length; i++) {
+      ring[writeIndex] = O.useFilter ? filter(block[i]) : block[i];
+      writeIndex = (writeIndex + 1) % ring.length;
+      sampleCount++;
+      samplesSinceFrame++;
+
+      if (samplesSinceFrame >= hopSize) {
+        samplesSinceFrame = 0;
+        // Frame is stamped with the time of its last sample
+        const onsetTime = evaluate(rms(ring), sampleTime(sampleCount - 1), frameMs);
+        if (onsetTime !== null) onsets.push(onsetTime);
+      }
+    }
+
+    return onsets;
+  }
+
+  /**
+   * Process one pre-windowed frame (e.g. from an AnalyserNode, which has
+   * already been filtered by the audio graph).
+   * @param {Float32Array} frame - Time-domain samples
+   * @param {number} timeMs - Clock time of the frame (ms)
+   * @returns {number|null} Onset time (ms) if the frame is an onset
+   */
+  function processFrame(frame, timeMs) {
+    return evaluate(rms(frame), timeMs);
+  }
+
+  /**
+   * Report an onset still waiting for its accent window (end of input).
+   * @returns {number|null} Onset time (ms), if one was pending
+   */
+  function flush() {
+    if (!pending) return null;
+    const time = emit(pending);
+    pending = null;
+    return time;
+  }
+
+  /**
+   * Raise the threshold between two clock times (ms), e.g. around a click
+   * the app itself plays. Windows must be added in time order.
+   * @param {number} start - Gate start (ms)
+   * @param {number} end - Gate end (ms)
+   */
+  function gate(start, end) {
+    gates.push([start, end]);
+  }
+
+  function reset() {
+    filter = createLowpass(sampleRate, O.lowPassFreq, O.lowPassQ);
+    ring = new Float32Array(O.windowSize);
+    writeIndex = 0;
+    samplesSinceFrame = 0;
+    energyHistory = [];
+    lastOnsetTime = -Infinity;
+    wasAbove = false;
+    lastEnergy = 0;
+    gates = [];
+    pending = null;
+    sampleCount = 0;
+    anchorSample = 0;
+    anchorTime = startTime;
+  }
+
+  return {
+    process,
+    processFrame,
+    flush,
+    gate,
+    reset,
+    get currentTime() { return sampleTime(sampleCount); },
+    get options() { return { ...O, sampleRate, hopSize }; }
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * Beat Drift Monitor - Onset Detector AudioWorklet
+ *
+ * AudioWorkletProcessor that runs the core onset detector on every
+ * 128-sample render quantum. Onsets are stamped with the audio clock
+ * (currentFrame / sampleRate), so they are sample-accurate and unaffected
+ * by requestAnimationFrame throttling.
+ *
+ * Loaded by createWorkletOnsetSource() in audio_input.js; not imported
+ * directly by pages.
+ *
+ * Messages to main thread:  { type: 'onset', time, strength }   (AudioContext ms, accent RMS)
+ * Messages from main thread: { type: 'reset' }
+ *                            { type: 'gate', start, end }  (AudioContext ms)
+ */
+
+import { createOnsetDetector, blockRateOptions } from './onset_detector.js';
+
+class OnsetDetectorProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    // `sampleRate`, `currentFrame` are AudioWorkletGlobalScope globals
+    this.detector = createOnsetDetector({
+      ...blockRateOptions(sampleRate),
+      ...(options.processorOptions || {}),
+      sampleRate,
+      onOnset: (time, strength) => this.port.postMessage({ type: 'onset', time, strength })
+    });
+
+    this.port.onmessage = (event) => {
+      if (event.data.type === 'reset') this.detector.reset();
+      if (event.data.type === 'gate') this.detector.gate(event.data.start, event.data.end);
+    };
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (channel) {
+      this.detector.process(channel, (currentFrame * 1000) / sampleRate);
+    }
+    return true;
+  }
+}
+
+registerProcessor('onset-detector', OnsetDetectorProcessor);
@@ -0,0 +1,328 @@
+/**
+ * Beat Drift Monitor - PLL Tracker (v2)
+ *
+ * The v2 page's phase-locked loop, before it moved to core/beat_tracker.js:
+ * calibration by interval clustering, fixed-gain period and phase updates
+ * for on-grid hits, a confidence that rises by 0.05 per grid hit and falls
+ * by 0.02 per miss, and halving the period when onsets keep landing on the
+ * half beat. It has no subdivision, meter, count-in or tempo-multiple
+ * handling, and its half-tempo check never fires (countRecentSkips() was
+ * never implemented in v2).
+ *
+ * Kept as a tracker strategy (see tracker_strategies.js) so it can be
+ * compared with the current tracker on the same scenarios; the silence
+ * check and armed setlist targets were added for the common interface.
+ *
+ * @see tracker_strategies.js for the common interface
+ */
+
+import { CONSTANTS, State } from './beat_tracker.js';
+
+/**
+ * Creates a v2 PLL tracker.
+ *
+ * @param {object} options - See createBeatTracker() (onUpdate, trace, constants, now)
+ * @returns {object} Tracker interface
+ */
+export function createPllV2Tracker(options = {}) {
+  const {
+    onUpdate = () => {},
+    trace = null,
+    constants = {},
+    now = () => performance.now()
+  } = options;
+
+  const C = { ...CONSTANTS, ...constants };
+  const PERIOD_HISTORY = 12;
+
+  // Grid state
+  let period = 0;         // ms between beats (= 60000/bpm)
+  let phase = 0;          // timestamp of last "grid beat"
+  let targetPeriod = 0;   // slowly-adapting reference period
+  let targetPhase = 0;
+  let confidence = 0;     // 0-1, how locked-in we are
+
+  let calOnsets = [];
+  let state = State.IDLE;
+  let armed = false;
+
+  let lastOnsetTime = 0;
+  let heardOnset = false;  // lastOnsetTime can be 0
+  let silenceCheckInterval = null;
+  let recentPeriods = [];
+
+  let onsetCount = 0;
+  let gridHits = 0;
+  let gridMisses = 0;
+
+  // ==========================================================================
+  // OUTPUT
+  // ==========================================================================
+
+  function emitUpdate() {
+    const currentBpm = period > 0 ? 60000 / period : null;
+    const targetBpm = targetPeriod > 0 ? 60000 / targetPeriod : null;
+    const drift = currentBpm && targetBpm ? currentBpm - targetBpm : 0;
+
+    const data = {
+      state,
+      currentBpm: currentBpm ? Math.round(currentBpm * 10) / 10 : null,
+      targetBpm: targetBpm ? Math.round(targetBpm * 10) / 10 : null,
+      drift: Math.round(drift * 10) / 10,
+      confidence: Math.round(confidence * 100),
+      beatCount: calOnsets.length,
+      calibrationNeeded: C.CAL_BEATS,
+      gridHits,
+      gridMisses,
+      period,
+      targetPeriod
+    };
+
+    onUpdate(data);
+    return data;
+  }
+
+  function traceOnset(timestamp, event, periodBefore, offset = null) {
+    if (!trace) return;
+    const tracking = state === State.TRACKING && period > 0 && targetPeriod > 0;
+    trace.add({
+      timestamp,
+      state,
+      event,
+      periodBefore,
+      periodAfter: period,
+      targetPeriodAfter: targetPeriod,
+      offset,
+      hitOffsetMs: offset !== null && Math.abs(offset) < C.GRID_TOLERANCE ? offset * periodBefore : null,
+      currentBpm: period > 0 ? 60000 / period : null,
+      targetBpm: targetPeriod > 0 ? 60000 / targetPeriod : null,
+      drift: tracking ? Math.round((60000 / period - 60000 / targetPeriod) * 100) / 100 : null,
+      confidence: Math.round(confidence * 100),
+      onsetCount
+    });
+  }
+
+  // ==========================================================================
+  // CALIBRATION
+  // ==========================================================================
+
+  // Smallest cluster of intervals whose multiples explain the rest
+  function findDominantPeriod(intervals) {
+    const valid = [...intervals].sort((a, b) => a - b).filter(i => i > 200 && i < 2000);
+    if (valid.length === 0) return 0;
+
+    const candidates = valid.slice(0, Math.max(1, Math.ceil(valid.length * 0.6)));
+    const candidateMedian = candidates[Math.floor(candidates.length / 2)];
+
+    let score = 0;
+    for (const iv of valid) {
+      const ratio = iv / candidateMedian;
+      const nearestInt = Math.round(ratio);
+      if (Math.abs(ratio - nearestInt) < 0.15 && nearestInt >= 1 && nearestInt <= 4) score++;
+    }
+
+    return score >= valid.length * 0.5 ? candidateMedian : valid[Math.floor(valid.length / 2)];
+  }
+
+  function calibrate(timestamp, periodBefore) {
+    calOnsets.push(timestamp);
+
+    if (calOnsets.length < C.CAL_BEATS + 1) {
+      traceOnset(timestamp, 'calibrating', periodBefore);
+      return;
+    }
+
+    const intervals = [];
+    for (let i = 1; i < calOnsets.length; i++) {
+      intervals.push(calOnsets[i] - calOnsets[i - 1]);
+    }
+
+    const basePeriod = findDominantPeriod(intervals);
+    if (basePeriod > 0) {
+      period = basePeriod;
+      targetPeriod = basePeriod;
+      phase = timestamp;
+      targetPhase = timestamp;
+      confidence = 0.5;
+      recentPeriods = [basePeriod];
+      state = State.TRACKING;
+    }
+    traceOnset(timestamp, basePeriod > 0 ? 'calibration_complete' : 'calibrating', periodBefore);
+  }
+
+  // ==========================================================================
+  // TRACKING
+  // ==========================================================================
+
+  // v2 never implemented skip counting, so half-tempo correction never fires
+  function countRecentSkips() {
+    return 0;
+  }
+
+  function track(timestamp, periodBefore) {
+    const timeSincePhase = timestamp - phase;
+    const beatFraction = timeSincePhase / period;
+    const nearestBeat = Math.round(beatFraction);
+    const offset = beatFraction - nearestBeat;
+    const absOffset = Math.abs(offset);
+    let event;
+
+    if (absOffset < C.GRID_TOLERANCE) {
+      event = 'on_grid';
+      gridHits++;
+      const impliedPeriod = timeSincePhase / nearestBeat;
+
+      if (impliedPeriod > 200 && impliedPeriod < 1500 && nearestBeat > 0) {
+        period = period + C.ADAPT_FAST * (impliedPeriod - period);
+        targetPeriod = targetPeriod + C.ADAPT_SLOW * (period - targetPeriod);
+        phase = timestamp - (nearestBeat * period) + (offset * period * 0.3);
+
+        recentPeriods.push(impliedPeriod);
+        if (recentPeriods.length > PERIOD_HISTORY) recentPeriods.shift();
+        confidence = Math.min(1, confidence + 0.05);
+      }
+    } else {
+      event = 'off_grid';
+      gridMisses++;
+      confidence = Math.max(0, confidence - 0.02);
+    }
+
+    if (nearestBeat >= 2 && gridHits > 8 && countRecentSkips() > 0.6) {
+      period *= 2;
+      targetPeriod *= 2;
+      recentPeriods = recentPeriods.map(p => p * 2);
+      phase = timestamp;
+      confidence = Math.max(0.3, confidence - 0.2);
+    }
+
+    // Onsets keep landing on the half beat: the period is probably doubled
+    if (absOffset > 0.35 && absOffset < 0.65 && gridMisses > gridHits * 0.5 && gridMisses > 6) {
+      const halfPeriod = period / 2;
+      if (halfPeriod > 200) {
+        event = 'double_tempo_correction';
+        period = halfPeriod;
+        targetPeriod = halfPeriod;
+        recentPeriods = recentPeriods.map(p => p / 2);
+        phase = timestamp;
+        gridHits = 0;
+        gridMisses = 0;
+        confidence = Math.max(0.3, confidence - 0.2);
+      }
+    }
+
+    traceOnset(timestamp, event, periodBefore, offset);
+  }
+
+  function addOnset(timestamp) {
+    lastOnsetTime = timestamp;
+    heardOnset = true;
+    onsetCount++;
+    const periodBefore = period;
+
+    if (state === State.WAITING) {
+      if (armed) {
+        // Setlist target armed: this onset is beat 1 of the next song
+        armed = false;
+        period = targetPeriod;
+        phase = timestamp;
+        targetPhase = timestamp;
+        confidence = 0.7;
+        state = State.TRACKING;
+        traceOnset(timestamp, 'resume_with_target', periodBefore);
+      } else {
+        calOnsets = [timestamp];
+        state = State.CALIBRATING;
+        traceOnset(timestamp, 'resume_from_waiting', periodBefore);
+      }
+    } else if (state === State.CALIBRATING) {
+      calibrate(timestamp, periodBefore);
+    } else if (state === State.TRACKING && period > 0) {
+      track(timestamp, periodBefore);
+    } else {
+      return;
+    }
+
+    emitUpdate();
+  }
+
+  // ==========================================================================
+  // CONTROL
+  // ==========================================================================
+
+  function setTarget(bpm, opts = {}) {
+    targetPeriod = 60000 / bpm;
+    period = targetPeriod;
+    calOnsets = new Array(C.CAL_BEATS + 1).fill(0);  // Fake full calibration
+    if (opts.waitForOnset) {
+      state = State.WAITING;
+      armed = true;
+      confidence = 0;
+    } else {
+      phase = now();
+      targetPhase = phase;
+      confidence = 0.7;
+      state = State.TRACKING;
+    }
+    emitUpdate();
+  }
+
+  function reset() {
+    period = 0;
+    phase = 0;
+    targetPeriod = 0;
+    targetPhase = 0;
+    confidence = 0;
+    calOnsets = [];
+    recentPeriods = [];
+    onsetCount = 0;
+    gridHits = 0;
+    gridMisses = 0;
+    armed = false;
+    state = State.CALIBRATING;
+    emitUpdate();
+  }
+
+  function checkSilence(time) {
+    if (state !== State.TRACKING && state !== State.CALIBRATING) return;
+    if (heardOnset && time - lastOnsetTime > C.SILENCE_TIMEOUT_MS) {
+      state = State.WAITING;
+      confidence = 0;
+      emitUpdate();
+    }
+  }
+
+  function stopSilenceWatch() {
+    if (silenceCheckInterval) {
+      clearInterval(silenceCheckInterval);
+      silenceCheckInterval = null;
+    }
+  }
+
+  return {
+    addOnset,
+    setTarget,
+    reset,
+    checkSilence,
+    startSilenceWatch(getTime = now) {
+      stopSilenceWatch();
+      silenceCheckInterval = setInterval(() => checkSilence(getTime()), 500);
+    },
+    stopSilenceWatch,
+    destroy: stopSilenceWatch,
+    getState() {
+      return {
+        state,
+        period,
+        phase,
+        targetPeriod,
+        targetPhase,
+        confidence,
+        gridHits,
+        gridMisses,
+        onsetCount,
+        armed,
+        meter: '4/4'
+      };
+    }
+  };
+}
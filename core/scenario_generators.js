@@ -0,0 +1,575 @@
+/**
+ * Beat Drift Monitor - Scenario Generators
+ *
+ * Synthetic onsets for test scenarios, shared by both runners
+ * (test/run_tests.js and test/harness_runner.js, which the test harness
+ * uses), so the same scenario JSON produces the same onsets in the
+ * browser and on the command line.
+ *
+ * Every random choice comes from a PRNG seeded by the generator's `seed`
+ * (default 1, core/synth.js createRandom), so a scenario is repeatable and
+ * two scenarios differing only in `seed` are two takes of the same part.
+ *
+ * Generator types (snake_case fields, as in the scenario JSON):
+ *
+ *   perfect            bpm, beats
+ *   linear_drift       start_bpm, end_bpm, beats
+ *   exponential_drift  start_bpm, end_bpm, beats (quadratic tempo curve)
+ *   jitter             bpm, beats, jitter_ms (uniform ± jitter_ms)
+ *   missed_beats       bpm, beats, miss_indices
+ *   two_tempo          calibration_bpm, calibration_beats, play_bpm, play_beats
+ *   section_change     section1_bpm, section1_beats, section2_bpm, section2_beats
+ *   three_section      ... plus section3_bpm, section3_beats
+ *   sudden_change      bpm1, beats1, bpm2, beats2 (the harness's original name)
+ *   songs              songs [{ bpm, beats, count_in }], gap_ms (default 6000)
+ *   groove             bpm, play_bpm, bars, hits, beats_per_bar,
+ *                      calibration_beats, jitter_ms, offset_ms
+ *
+ * Human playing:
+ *
+ *   human              bpm, beats, timing_sd_ms (Gaussian timing),
+ *                      end_bpm (linear drift), wander_bpm (σ of a
+ *                      per-beat random walk of the tempo)
+ *   swing              bpm, play_bpm, bars, swing, end_swing, beats_per_bar,
+ *                      calibration_beats, timing_sd_ms: quarter-note
+ *                      calibration, then beats with a swung 8th between
+ *                      them at `swing` of the beat (0.5 straight, 0.667
+ *                      triplet shuffle), moving linearly to `end_swing`
+ *   fills              bpm, beats, fills [{ at_beat, beats, notes_per_beat,
+ *                      rush_ms }], dropouts [{ at_beat, beats }],
+ *                      timing_sd_ms: a fill replaces beats with
+ *                      `notes_per_beat` notes per beat (default 4),
+ *                      `rush_ms` early by its last note; a dropout leaves
+ *                      beats out
+ *   ghost_notes        bpm, beats, ghost_probability, ghost_strength,
+ *                      calibration_beats, timing_sd_ms: quiet 16ths between
+ *                      the beats after calibration, with accent strengths
+ *   tempo_map          beats (default the map's), bpm_offset, timing_sd_ms:
+ *                      plays the scenario's tempo map (or the generator's
+ *                      own `sections`), `bpm_offset` BPM off it at every beat
+ *
+ * Any type also takes `count_in` (beats) and `count_in_bpm` (default the
+ * tempo of the first onsets): stick clicks before the first onset; and
+ * `double_triggers` (onset indices, before the count-in) with
+ * `double_trigger_ms` (default 40): a stray second onset that long after
+ * each of those onsets, as from a retriggering pad or a bleeding mic.
+ *
+ * generateOnsets() returns the onsets in time order, however far the
+ * timing spread moves a hit.
+ */
+
+import { createRandom } from './synth.js';
+import { createTempoMap } from './tempo_map.js';
+
+const DEFAULT_CALIBRATION_BEATS = 8;  // CONSTANTS.CAL_BEATS
+const DEFAULT_GAP_MS = 6000;
+const DEFAULT_DOUBLE_TRIGGER_MS = 40;
+const GHOST_STRENGTH = 0.2;
+const BEAT_STRENGTH = 1;
+
+/**
+ * Standard normal sample from a uniform PRNG (Box-Muller).
+ * @param {function} random - Uniform [0, 1) source
+ * @returns {number} N(0, 1) sample
+ */
+export function gaussian(random) {
+  const u = 1 - random();  // (0, 1], log(0) is -Infinity
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// ============================================================================
+// STEADY AND DRIFTING TEMPO
+// ============================================================================
+
+/**
+ * Generate onset timestamps for a perfect tempo.
+ * @param {number} bpm - Beats per minute
+ * @param {number} beats - Number of beats to generate
+ * @param {number} startTime - Start timestamp (ms)
+ * @returns {number[]} Array of onset timestamps
+ */
+export function generatePerfectTempo(bpm, beats, startTime = 0) {
+  const period = 60000 / bpm;
+  const onsets = [];
+  for (let i = 0; i < beats; i++) {
+    onsets.push(startTime + i * period);
+  }
+  return onsets;
+}
+
+/**
+ * Generate onset timestamps with linear tempo drift.
+ * @param {number} startBpm - Starting tempo
+ * @param {number} endBpm - Ending tempo
+ * @param {number} beats - Number of beats
+ * @param {number} startTime - Start timestamp (ms)
+ * @returns {number[]} Array of onset timestamps
+ */
+export function generateLinearDrift(startBpm, endBpm, beats, startTime = 0) {
+  const onsets = [startTime];
+  let t = startTime;
+
+  for (let i = 1; i < beats; i++) {
+    // Linear interpolation of BPM
+    const progress = i / (beats - 1);
+    const currentBpm = startBpm + (endBpm - startBpm) * progress;
+    const period = 60000 / currentBpm;
+    t += period;
+    onsets.push(t);
+  }
+
+  return onsets;
+}
+
+/**
+ * Generate onset timestamps whose tempo change speeds up (quadratic curve).
+ * @param {number} startBpm - Starting tempo
+ * @param {number} endBpm - Ending tempo
+ * @param {number} beats - Number of beats
+ * @param {number} startTime - Start timestamp (ms)
+ * @returns {number[]} Array of onset timestamps
+ */
+export function generateExponentialDrift(startBpm, endBpm, beats, startTime = 0) {
+  const onsets = [startTime];
+  let t = startTime;
+
+  for (let i = 1; i < beats; i++) {
+    const progress = i / (beats - 1);
+    const expProgress = Math.pow(progress, 2); // Quadratic gives increasing rate
+    const currentBpm = startBpm + (endBpm - startBpm) * expProgress;
+    const period = 60000 / currentBpm;
+    t += period;
+    onsets.push(t);
+  }
+
+  return onsets;
+}
+
+/**
+ * Generate onset timestamps in sections of steady tempo. Each section's
+ * first beat is one of its own periods after the previous section's last.
+ * @param {object[]} sections - [{ bpm, beats }]
+ * @param {number} startTime - Start timestamp (ms)
+ * @returns {number[]} Array of onset timestamps
+ */
+export function generateSections(sections, startTime = 0) {
+  const onsets = [];
+  for (const { bpm, beats } of sections) {
+    const start = onsets.length ? onsets[onsets.length - 1] + 60000 / bpm : startTime;
+    onsets.push(...generatePerfectTempo(bpm, beats, start));
+  }
+  return onsets;
+}
+
+/**
+ * Generate onset timestamps with a sudden tempo change.
+ * @param {number} bpm1 - First section tempo
+ * @param {number} beats1 - Beats in first section
+ * @param {number} bpm2 - Second section tempo
+ * @param {number} beats2 - Beats in second section
+ * @param {number} startTime - Start timestamp (ms)
+ * @returns {object} { onsets, changeIndex }
+ */
+export function generateSuddenChange(bpm1, beats1, bpm2, beats2, startTime = 0) {
+  return {
+    onsets: generateSections([{ bpm: bpm1, beats: beats1 }, { bpm: bpm2, beats: beats2 }], startTime),
+    changeIndex: beats1
+  };
+}
+
+/**
+ * Generate onset timestamps with missed beats.
+ * @param {number} bpm - Tempo
+ * @param {number} beats - Total beats
+ * @param {number[]} missIndices - Which beat indices to skip
+ * @param {number} startTime - Start timestamp (ms)
+ * @returns {number[]} Array of onset timestamps
+ */
+export function generateWithMissedBeats(bpm, beats, missIndices, startTime = 0) {
+  const all = generatePerfectTempo(bpm, beats, startTime);
+  const missSet = new Set(missIndices);
+  return all.filter((_, i) => !missSet.has(i));
+}
+
+/**
+ * Generate onset timestamps with timing jitter.
+ * @param {number} bpm - Base tempo
+ * @param {number} beats - Number of beats
+ * @param {number} jitterMs - Maximum jitter in ms (uniform distribution)
+ * @param {number} startTime - Start timestamp (ms)
+ * @param {function} random - Uniform [0, 1) source (default seed 1)
+ * @returns {number[]} Array of onset timestamps
+ */
+export function generateWithJitter(bpm, beats, jitterMs, startTime = 0, random = createRandom(1)) {
+  const base = generatePerfectTempo(bpm, beats, startTime);
+  return base.map(t => t + (random() - 0.5) * 2 * jitterMs);
+}
+
+/**
+ * Songs separated by silent gaps. Each song is `count_in` stick clicks
+ * followed by `beats` beats, all at the song's `bpm`.
+ * @param {object[]} songs - [{ bpm, beats, count_in }]
+ * @param {number} gapMs - Silence between songs (ms)
+ * @param {number} startTime - Start timestamp (ms)
+ * @returns {number[]} Array of onset timestamps
+ */
+export function generateSongs(songs, gapMs = DEFAULT_GAP_MS, startTime = 0) {
+  const onsets = [];
+  let time = startTime;
+  for (const song of songs) {
+    const hits = generatePerfectTempo(song.bpm, (song.count_in || 0) + song.beats, time);
+    onsets.push(...hits);
+    time = hits[hits.length - 1] + gapMs;
+  }
+  return onsets;
+}
+
+/**
+ * Index (1-based onset number) of the last onset of each song of a
+ * `songs` generator.
+ * @param {object} generator - Songs generator
+ * @returns {number[]} Onset numbers
+ */
+export function songEndOnsets(generator) {
+  let count = (generator.count_in || 0);
+  return generator.songs.map(song => (count += (song.count_in || 0) + song.beats));
+}
+
+// ============================================================================
+// HUMAN PLAYING
+// ============================================================================
+
+/**
+ * A kick pattern with hits between the beats: `calibration_beats` quarter
+ * notes at `bpm`, then `bars` bars of `hits` (beat positions within the
+ * bar, e.g. 0.75 for the last 16th of beat 1) at `play_bpm`, with optional
+ * timing jitter and a constant `offset_ms` (negative = pushing).
+ * @param {object} generator - Groove generator
+ * @param {function} random - Uniform [0, 1) source
+ * @param {number} calibrationBeats - Default `calibration_beats`
+ * @returns {number[]} Array of onset timestamps
+ */
+export function generateGroove(generator, random, calibrationBeats = DEFAULT_CALIBRATION_BEATS) {
+  const {
+    bpm,
+    play_bpm: playBpm = bpm,
+    bars,
+    hits,
+    beats_per_bar: beatsPerBar = 4,
+    calibration_beats: calBeats = calibrationBeats,
+    jitter_ms: jitterMs = 0,
+    offset_ms: offsetMs = 0
+  } = generator;
+
+  const calibration = generatePerfectTempo(bpm, calBeats, 0);
+  const period = 60000 / playBpm;
+  const grooveStart = calibration[calibration.length - 1] + 60000 / bpm;
+
+  const groove = [];
+  for (let bar = 0; bar < bars; bar++) {
+    for (const hit of hits) {
+      const jitter = (random() - 0.5) * 2 * jitterMs;
+      groove.push(grooveStart + (bar * beatsPerBar + hit) * period + offsetMs + jitter);
+    }
+  }
+  return [...calibration, ...groove];
+}
+
+/**
+ * A drummer's beats: Gaussian timing around a tempo that drifts linearly
+ * from `bpm` to `end_bpm` and wanders by a random walk of `wander_bpm` σ
+ * per beat.
+ * @param {object} generator - Human generator
+ * @param {function} random - Uniform [0, 1) source
+ * @returns {number[]} Array of onset timestamps
+ */
+export function generateHuman(generator, random) {
+  const {
+    bpm,
+    beats,
+    end_bpm: endBpm = bpm,
+    timing_sd_ms: timingSd = 10,
+    wander_bpm: wanderBpm = 0
+  } = generator;
+
+  const grid = [];
+  let t = 0;
+  let wander = 0;
+  for (let i = 0; i < beats; i++) {
+    grid.push(t);
+    wander += wanderBpm * gaussian(random);
+    const progress = beats > 1 ? Math.min(1, (i + 1) / (beats - 1)) : 0;
+    t += 60000 / (bpm + (endBpm - bpm) * progress + wander);
+  }
+  return grid.map(time => time + timingSd * gaussian(random));
+}
+
+/**
+ * Swung 8ths: `calibration_beats` quarter notes at `bpm`, then `bars` bars
+ * of beats at `play_bpm` with an off-beat `swing` of the way to the next
+ * beat, the swing moving linearly to `end_swing` over the bars.
+ * @param {object} generator - Swing generator
+ * @param {function} random - Uniform [0, 1) source
+ * @param {number} calibrationBeats - Default `calibration_beats`
+ * @returns {object} { onsets, strengths } - off-beats are weaker
+ */
+export function generateSwing(generator, random, calibrationBeats = DEFAULT_CALIBRATION_BEATS) {
+  const {
+    bpm,
+    play_bpm: playBpm = bpm,
+    bars,
+    swing = 0.667,
+    end_swing: endSwing = swing,
+    beats_per_bar: beatsPerBar = 4,
+    calibration_beats: calBeats = calibrationBeats,
+    timing_sd_ms: timingSd = 0
+  } = generator;
+
+  const onsets = generatePerfectTempo(bpm, calBeats, 0);
+  const strengths = onsets.map(() => BEAT_STRENGTH);
+  const period = 60000 / playBpm;
+  const start = onsets[onsets.length - 1] + 60000 / bpm;
+  const totalBeats = bars * beatsPerBar;
+
+  for (let beat = 0; beat < totalBeats; beat++) {
+    const ratio = swing + (endSwing - swing) * (totalBeats > 1 ? beat / (totalBeats - 1) : 0);
+    onsets.push(start + beat * period + timingSd * gaussian(random));
+    strengths.push(BEAT_STRENGTH);
+    onsets.push(start + (beat + ratio) * period + timingSd * gaussian(random));
+    strengths.push(BEAT_STRENGTH * 0.6);
+  }
+  return { onsets, strengths };
+}
+
+/**
+ * Beats at `bpm` with fills and dropouts. A fill plays `notes_per_beat`
+ * notes per beat for its `beats` beats instead of the beats, rushing
+ * linearly to `rush_ms` early by its last note; the beat after it is on
+ * time again. A dropout plays nothing for its `beats` beats.
+ * @param {object} generator - Fills generator
+ * @param {function} random - Uniform [0, 1) source
+ * @returns {number[]} Array of onset timestamps
+ */
+export function generateFills(generator, random) {
+  const { bpm, beats, fills = [], dropouts = [], timing_sd_ms: timingSd = 0 } = generator;
+  const period = 60000 / bpm;
+  const within = (beat, { at_beat: at, beats: length = 1 }) => beat >= at && beat < at + length;
+
+  const onsets = [];
+  for (let beat = 0; beat < beats; beat++) {
+    if (dropouts.some(dropout => within(beat, dropout))) continue;
+
+    const fill = fills.find(f => within(beat, f));
+    if (!fill) {
+      onsets.push(beat * period + timingSd * gaussian(random));
+      continue;
+    }
+
+    const notes = fill.notes_per_beat || 4;
+    const length = (fill.beats || 1) * notes;
+    for (let n = 0; n < notes; n++) {
+      const index = (beat - fill.at_beat) * notes + n;
+      const rush = (fill.rush_ms || 0) * (length > 1 ? index / (length - 1) : 1);
+      onsets.push((beat + n / notes) * period - rush + timingSd * gaussian(random));
+    }
+  }
+  return onsets;
+}
+
+/**
+ * Beats at `bpm` with quiet ghost notes: after `calibration_beats` plain
+ * beats, each 16th between two beats is played with `ghost_probability`
+ * at `ghost_strength`.
+ * @param {object} generator - Ghost notes generator
+ * @param {function} random - Uniform [0, 1) source
+ * @param {number} calibrationBeats - Default `calibration_beats`
+ * @returns {object} { onsets, strengths }
+ */
+export function generateGhostNotes(generator, random, calibrationBeats = DEFAULT_CALIBRATION_BEATS) {
+  const {
+    bpm,
+    beats,
+    ghost_probability: probability = 0.3,
+    ghost_strength: ghostStrength = GHOST_STRENGTH,
+    calibration_beats: calBeats = calibrationBeats,
+    timing_sd_ms: timingSd = 0
+  } = generator;
+  const period = 60000 / bpm;
+
+  const onsets = [];
+  const strengths = [];
+  for (let beat = 0; beat < beats; beat++) {
+    onsets.push(beat * period + timingSd * gaussian(random));
+    strengths.push(BEAT_STRENGTH);
+    if (beat < calBeats || beat === beats - 1) continue;
+    for (const sixteenth of [0.25, 0.5, 0.75]) {
+      if (random() < probability) {
+        onsets.push((beat + sixteenth) * period + timingSd * gaussian(random));
+        strengths.push(ghostStrength);
+      }
+    }
+  }
+  return { onsets, strengths };
+}
+
+/**
+ * Prepend `count` stick clicks at `bpm`, the last one a beat before the
+ * first onset, and move everything so the first click is at 0.
+ * @returns {object} { onsets, strengths }
+ */
+function withCountIn({ onsets, strengths }, count, bpm) {
+  const period = 60000 / bpm;
+  const first = onsets.length ? onsets[0] : 0;
+  const clicks = generatePerfectTempo(bpm, count, first - count * period);
+  return {
+    onsets: [...clicks, ...onsets].map(t => t - clicks[0]),
+    strengths: strengths.length ? [...clicks.map(() => BEAT_STRENGTH), ...strengths] : []
+  };
+}
+
+/**
+ * Add a second onset `afterMs` after each onset in `indices`, with the
+ * same strength.
+ * @returns {object} { onsets, strengths }
+ */
+function withDoubleTriggers({ onsets, strengths }, indices, afterMs) {
+  const out = { onsets: [], strengths: [] };
+  onsets.forEach((t, i) => {
+    out.onsets.push(t);
+    if (strengths.length) out.strengths.push(strengths[i]);
+    if (!indices.includes(i)) return;
+    out.onsets.push(t + afterMs);
+    if (strengths.length) out.strengths.push(strengths[i]);
+  });
+  return out;
+}
+
+/**
+ * Beats following a tempo map (tempo_map.js), `bpm_offset` BPM faster
+ * than the map at every beat, with Gaussian timing.
+ * @param {object} generator - Tempo map generator
+ * @param {object} tempoMap - createTempoMap() result
+ * @param {function} random - Uniform [0, 1) source
+ * @returns {number[]} Array of onset timestamps
+ */
+export function generateFromTempoMap(generator, tempoMap, random) {
+  const { bpm_offset: offset = 0, timing_sd_ms: timingSd = 0 } = generator;
+  const beats = generator.beats ?? tempoMap.totalBeats;
+  if (!Number.isFinite(beats)) throw new Error('tempo_map generator needs beats for an open-ended map');
+
+  const grid = [];
+  let t = 0;
+  for (let i = 0; i < beats; i++) {
+    grid.push(t);
+    t += 60000 / (tempoMap.tempoAt(i) + offset);
+  }
+  return grid.map(time => time + timingSd * gaussian(random));
+}
+
+// ============================================================================
+// DISPATCH
+// ============================================================================
+
+function generateByType(generator, random, calibrationBeats, tempoMap) {
+  const g = generator;
+  switch (g.type) {
+    case 'perfect':
+      return generatePerfectTempo(g.bpm, g.beats, 0);
+
+    case 'linear_drift':
+      return generateLinearDrift(g.start_bpm, g.end_bpm, g.beats, 0);
+
+    case 'exponential_drift':
+      return generateExponentialDrift(g.start_bpm, g.end_bpm, g.beats, 0);
+
+    case 'jitter':
+      return generateWithJitter(g.bpm, g.beats, g.jitter_ms, 0, random);
+
+    case 'missed_beats':
+      return generateWithMissedBeats(g.bpm, g.beats, g.miss_indices, 0);
+
+    case 'two_tempo':
+      return generateSections([
+        { bpm: g.calibration_bpm, beats: g.calibration_beats },
+        { bpm: g.play_bpm, beats: g.play_beats }
+      ]);
+
+    case 'section_change':
+    case 'three_section':
+      return generateSections([1, 2, 3]
+        .filter(n => g[`section${n}_bpm`] !== undefined)
+        .map(n => ({ bpm: g[`section${n}_bpm`], beats: g[`section${n}_beats`] })));
+
+    case 'sudden_change':
+      return generateSuddenChange(g.bpm1, g.beats1, g.bpm2, g.beats2, 0).onsets;
+
+    case 'songs':
+      return generateSongs(g.songs, g.gap_ms ?? DEFAULT_GAP_MS, 0);
+
+    case 'groove':
+      return generateGroove(g, random, calibrationBeats);
+
+    case 'human':
+      return generateHuman(g, random);
+
+    case 'swing':
+      return generateSwing(g, random, calibrationBeats);
+
+    case 'fills':
+      return generateFills(g, random);
+
+    case 'ghost_notes':
+      return generateGhostNotes(g, random, calibrationBeats);
+
+    case 'tempo_map': {
+      const map = g.sections ? createTempoMap(g) : tempoMap;
+      if (!map) throw new Error('tempo_map generator needs the scenario\'s tempo_map or its own sections');
+      return generateFromTempoMap(g, map, random);
+    }
+
+    default:
+      throw new Error(`Unknown generator type: ${g.type}`);
+  }
+}
+
+/**
+ * Onsets and their strengths in time order. Gaussian timing (and a large
+ * uniform jitter) can push a hit past its neighbour, which a drummer's
+ * onset stream never does.
+ * @returns {object} { onsets, strengths }
+ */
+function inTimeOrder({ onsets, strengths }) {
+  const order = onsets.map((_, i) => i).sort((a, b) => onsets[a] - onsets[b]);
+  return {
+    onsets: order.map(i => onsets[i]),
+    strengths: strengths.length ? order.map(i => strengths[i]) : []
+  };
+}
+
+/**
+ * Onsets of a scenario generator, in time order.
+ * @param {object} generator - Scenario `generator` (see the generator types
+ *   in the module header)
+ * @param {object} options
+ * @param {number} options.calibrationBeats - Default `calibration_beats`
+ *   of the groove, swing and ghost note types (the tracker's CAL_BEATS)
+ * @param {object} options.tempoMap - The scenario's tempo map (tempo_map type)
+ * @returns {object} { onsets, strengths } - times (ms) from 0 and accent
+ *   strengths (empty if the type has no dynamics)
+ */
+export function generateOnsets(generator, { calibrationBeats = DEFAULT_CALIBRATION_BEATS, tempoMap = null } = {}) {
+  const random = createRandom(generator.seed ?? 1);
+  const generated = generateByType(generator, random, calibrationBeats, tempoMap);
+  let result = Array.isArray(generated) ? { onsets: generated, strengths: [] } : generated;
+
+  if (generator.double_triggers) {
+    result = withDoubleTriggers(result, generator.double_triggers, generator.double_trigger_ms ?? DEFAULT_DOUBLE_TRIGGER_MS);
+  }
+  result = inTimeOrder(result);
+  if (generator.count_in) {
+    const [first, second] = result.onsets;
+    const bpm = generator.count_in_bpm ?? (second !== undefined ? 60000 / (second - first) : 120);
+    result = withCountIn(result, generator.count_in, bpm);
+  }
+  return result;
+}
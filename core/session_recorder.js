@@ -0,0 +1,149 @@
+/**
+ * Beat Drift Monitor - Session Recorder
+ *
+ * Splits the tracker's output into one record per song: a session starts
+ * with the first onset of a calibration and ends when the tracker enters
+ * WAITING (song gap), is reset, or listening stops. Records are plain
+ * objects, ready for session_store.js.
+ *
+ * Feed it every onset (before passing it to the tracker) and every
+ * tracker update:
+ *
+ *   const recorder = createSessionRecorder({ onSession: (r) => store.save(r) });
+ *   onOnset:  recorder.addOnset(ts); tracker.addOnset(ts);
+ *   onUpdate: recorder.update(data);
+ *   on stop:  recorder.finish('stop');
+ */
+
+import { State } from './beat_tracker.js';
+
+export const SESSION_DEFAULTS = {
+  minTrackedBeats: 8,  // Shorter sessions (false starts, noise) are dropped
+  inTimeBpm: 1.5       // |drift| below this counts as in time (v3 display)
+};
+
+/**
+ * Summary statistics of a session record.
+ * @param {object} record - Session record
+ * @param {number} inTimeBpm - In-time drift threshold (BPM)
+ * @returns {object} Summary
+ */
+export function summarizeSession(record, inTimeBpm = SESSION_DEFAULTS.inTimeBpm) {
+  const drifts = record.drift.map(p => p.drift);
+  const n = drifts.length;
+  const mean = (values) => values.reduce((a, b) => a + b, 0) / (values.length || 1);
+  const gridTotal = record.gridHits + record.gridMisses;
+
+  return {
+    beats: record.onsets.length,
+    trackedBeats: n,
+    durationMs: record.onsets.length > 1 ? record.onsets[record.onsets.length - 1] - record.onsets[0] : 0,
+    meanDrift: mean(drifts),
+    meanAbsDrift: mean(drifts.map(Math.abs)),
+    maxRush: n ? Math.max(0, ...drifts) : 0,
+    maxDrag: n ? Math.min(0, ...drifts) : 0,
+    inTimeRatio: n ? drifts.filter(d => Math.abs(d) < inTimeBpm).length / n : 0,
+    meanConfidence: mean(record.drift.map(p => p.confidence)),
+    gridHitRatio: gridTotal ? record.gridHits / gridTotal : 0
+  };
+}
+
+/**
+ * Creates a session recorder.
+ *
+ * @param {object} options
+ * @param {function} options.onSession - Called with each completed record
+ * @param {function} options.clock - Wall clock for startedAt/endedAt (epoch ms)
+ * @param {function} options.getSong - Name of the song being played (setlist), or null
+ * @param {number} options.minTrackedBeats - See SESSION_DEFAULTS
+ * @returns {object} Session recorder interface
+ */
+export function createSessionRecorder(options = {}) {
+  const {
+    onSession = () => {},
+    clock = () => Date.now(),
+    getSong = () => null,
+    minTrackedBeats = SESSION_DEFAULTS.minTrackedBeats,
+    inTimeBpm = SESSION_DEFAULTS.inTimeBpm
+  } = options;
+
+  let current = null;
+  let lastOnset = null;
+
+  function begin() {
+    current = {
+      startedAt: clock(),
+      endedAt: null,
+      endReason: null,
+      song: getSong(),
+      targetBpm: null,
+      onsets: [],
+      drift: [],
+      gridHits: 0,
+      gridMisses: 0,
+      tempoMultipleChanges: [],
+      summary: null
+    };
+  }
+
+  function addOnset(timestamp) {
+    if (!current) begin();
+    current.onsets.push(timestamp);
+    lastOnset = timestamp;
+  }
+
+  function update(data) {
+    if (!current) return null;
+
+    // Song gap, or reset() (the only update with an empty calibration)
+    if (data.state === State.WAITING) return finish('gap');
+    if (data.state === State.IDLE || (data.state === State.CALIBRATING && data.beatCount === 0)) {
+      return finish('reset');
+    }
+
+    if (data.state !== State.TRACKING || data.currentBpm === null) return null;
+
+    current.targetBpm = data.targetBpm;
+    current.gridHits = data.gridHits;
+    current.gridMisses = data.gridMisses;
+    current.drift.push({
+      time: lastOnset,
+      drift: data.drift,
+      bpm: data.currentBpm,
+      targetBpm: data.targetBpm,
+      confidence: data.confidence
+    });
+
+    const changes = current.tempoMultipleChanges;
+    const lastMultiple = changes.length ? changes[changes.length - 1].tempoMultiple : 1;
+    if (data.tempoMultiple !== lastMultiple) {
+      changes.push({ time: lastOnset, tempoMultiple: data.tempoMultiple, label: data.tempoMultipleLabel });
+    }
+
+    return null;
+  }
+
+  /**
+   * End the current session. Returns the record, or null if there was no
+   * session or it was too short to keep.
+   * @param {string} reason - 'gap', 'reset' or 'stop'
+   */
+  function finish(reason = 'stop') {
+    const record = current;
+    current = null;
+    if (!record || record.drift.length < minTrackedBeats) return null;
+
+    record.endedAt = clock();
+    record.endReason = reason;
+    record.summary = summarizeSession(record, inTimeBpm);
+    onSession(record);
+    return record;
+  }
+
+  return {
+    addOnset,
+    update,
+    finish,
+    get current() { return current; }
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * Beat Drift Monitor - Session Store
+ *
+ * Persists session records (session_recorder.js) in IndexedDB so past
+ * songs survive page reloads. Every method returns a promise.
+ *
+ *   const store = await openSessionStore();
+ *   await store.save(record);          // -> id
+ *   const sessions = await store.list();  // newest first
+ */
+
+const DB_VERSION = 1;
+const STORE = 'sessions';
+
+export const DEFAULT_DB_NAME = 'beat-drift-monitor';
+
+/**
+ * Wrap an IDBRequest in a promise.
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Opens (and if needed creates) the session database.
+ *
+ * @param {string} name - Database name
+ * @param {IDBFactory} idb - IndexedDB implementation (default: global indexedDB)
+ * @returns {Promise<object>} Session store interface
+ */
+export function openSessionStore(name = DEFAULT_DB_NAME, idb = globalThis.indexedDB) {
+  if (!idb) return Promise.reject(new Error('IndexedDB is not available'));
+
+  const request = idb.open(name, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const sessions = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+    sessions.createIndex('startedAt', 'startedAt');
+  };
+
+  return promisify(request).then((db) => {
+    function run(mode, fn) {
+      return promisify(fn(db.transaction(STORE, mode).objectStore(STORE)));
+    }
+
+    return {
+      /** Save a record; resolves to its id. */
+      save(record) {
+        return run('readwrite', s => s.put(record)).then((id) => {
+          record.id = id;
+          return id;
+        });
+      },
+
+      /** All records, newest first. */
+      list() {
+        return run('readonly', s => s.index('startedAt').getAll()).then(all => all.reverse());
+      },
+
+      get(id) {
+        return run('readonly', s => s.get(id));
+      },
+
+      delete(id) {
+        return run('readwrite', s => s.delete(id));
+      },
+
+      clear() {
+        return run('readwrite', s => s.clear());
+      },
+
+      close() {
+        db.close();
+      }
+    };
+  });
+}
@@ -0,0 +1,246 @@
+/**
+ * Beat Drift Monitor - Setlist
+ *
+ * A setlist is an ordered list of songs with known target tempos. Instead
+ * of recalibrating from the first 8 beats after every song gap, the
+ * setlist controller advances to the next song when the tracker enters
+ * WAITING and arms its tempo with setTarget(), so drift is measured
+ * against the tempo the song is supposed to be played at.
+ *
+ * Setlist JSON (import/export):
+ *
+ *   {
+ *     "name": "Friday",
+ *     "songs": [
+ *       { "name": "Opener", "bpm": 128, "meter": "4/4", "countIn": 4 },
+ *       { "name": "Waltz", "bpm": 96, "meter": "3/4" },
+ *       { "name": "Closer", "tempoMap": { "sections": [
+ *         { "bpm": 140, "beats": 64 }, { "bpm": 110, "ramp": 16 }
+ *       ] } }
+ *     ]
+ *   }
+ *
+ * A song's `tempoMap` (tempo_map.js) is the target beat by beat; its
+ * `bpm` defaults to the map's first tempo.
+ *
+ * The text form used by the v3 editor has one song per line:
+ *
+ *   Opener, 128, 4/4, 4
+ *   Waltz, 96, 3/4
+ *
+ * @see beat_tracker.js setTarget() for armed targets and count-in
+ */
+
+import { State, parseMeter } from './beat_tracker.js';
+import { createTempoMap } from './tempo_map.js';
+
+const MIN_BPM = 30;
+const MAX_BPM = 300;
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Validate and normalize one song.
+ * @param {object} song - { name, bpm, meter?, countIn?, tempoMap? }
+ * @param {number} index - Position in the setlist (for error messages)
+ * @returns {object} Normalized song
+ */
+export function normalizeSong(song, index = 0) {
+  const label = `Song ${index + 1}`;
+  if (!song || typeof song !== 'object') throw new Error(`${label}: not an object`);
+
+  let tempoMap = null;
+  if (song.tempoMap) {
+    try {
+      tempoMap = typeof song.tempoMap.tempoAt === 'function' ? song.tempoMap : createTempoMap(song.tempoMap);
+      for (const section of tempoMap.sections) {
+        if (section.meter) parseMeter(section.meter);
+      }
+    } catch (err) {
+      throw new Error(`${label}: ${err.message}`);
+    }
+  }
+
+  const bpm = Number(song.bpm ?? tempoMap?.tempoAt(0));
+  if (!Number.isFinite(bpm) || bpm < MIN_BPM || bpm > MAX_BPM) {
+    throw new Error(`${label}: bpm must be between ${MIN_BPM} and ${MAX_BPM}`);
+  }
+
+  let meter = null;
+  if (song.meter) {
+    try {
+      meter = parseMeter(song.meter).label;
+    } catch (err) {
+      throw new Error(`${label}: meter must look like "4/4"`);
+    }
+  }
+
+  const countIn = Number(song.countIn || 0);
+  if (!Number.isInteger(countIn) || countIn < 0) {
+    throw new Error(`${label}: countIn must be a whole number of beats`);
+  }
+
+  return {
+    name: String(song.name || `Song ${index + 1}`).trim(),
+    bpm,
+    meter,
+    countIn,
+    tempoMap
+  };
+}
+
+/**
+ * Parse a setlist from JSON text or an already-parsed object. A bare
+ * array of songs is accepted too.
+ * @param {string|object} input - Setlist JSON
+ * @returns {object} { name, songs }
+ */
+export function parseSetlist(input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  const songs = Array.isArray(data) ? data : data?.songs;
+  if (!Array.isArray(songs)) throw new Error('Setlist needs a "songs" array');
+
+  return {
+    name: (!Array.isArray(data) && data.name) || '',
+    songs: songs.map(normalizeSong)
+  };
+}
+
+/**
+ * Serialize a setlist as JSON, omitting unset optional fields.
+ * @param {object} setlist - { name, songs }
+ * @returns {string} JSON
+ */
+export function serializeSetlist(setlist) {
+  const songs = setlist.songs.map((song) => {
+    const out = { name: song.name, bpm: song.bpm };
+    if (song.meter) out.meter = song.meter;
+    if (song.countIn) out.countIn = song.countIn;
+    if (song.tempoMap) out.tempoMap = song.tempoMap;
+    return out;
+  });
+  return JSON.stringify({ name: setlist.name || '', songs }, null, 2);
+}
+
+/**
+ * Parse the one-song-per-line text form: `name, bpm[, meter][, count-in]`.
+ * Blank lines and lines starting with # are ignored; song names may
+ * contain commas.
+ * @param {string} text - Setlist text
+ * @returns {object[]} Normalized songs
+ */
+export function parseSetlistText(text) {
+  const songs = [];
+
+  for (const line of text.split('\n')) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+
+    const parts = line.split(',').map(p => p.trim());
+    const bpmIndex = parts.findIndex((p, i) => i > 0 && p !== '' && Number.isFinite(Number(p)));
+    if (bpmIndex < 0) throw new Error(`Song ${songs.length + 1}: no BPM in "${line.trim()}"`);
+
+    const song = { name: parts.slice(0, bpmIndex).join(', '), bpm: Number(parts[bpmIndex]) };
+    for (const field of parts.slice(bpmIndex + 1)) {
+      if (field.includes('/')) song.meter = field;
+      else if (field !== '') song.countIn = Number(field);
+    }
+    songs.push(normalizeSong(song, songs.length));
+  }
+
+  return songs;
+}
+
+/**
+ * Format songs in the one-song-per-line text form.
+ * @param {object[]} songs - Songs
+ * @returns {string} Setlist text
+ */
+export function formatSetlistText(songs) {
+  return songs.map((song) => {
+    const fields = [song.name, song.bpm];
+    if (song.meter) fields.push(song.meter);
+    if (song.countIn) fields.push(song.countIn);
+    return fields.join(', ');
+  }).join('\n');
+}
+
+// ============================================================================
+// CONTROLLER
+// ============================================================================
+
+/**
+ * Creates a setlist controller.
+ *
+ * Call update() with every tracker update. When the tracker enters WAITING
+ * (song gap) the controller advances to the next song and arms its tempo;
+ * after the last song the tracker falls back to calibration.
+ *
+ * @param {object} options
+ * @param {object[]} options.songs - Normalized songs
+ * @param {function} options.setTarget - (bpm, { countIn, meter, tempoMap, waitForOnset }) => void, usually tracker.setTarget
+ * @param {function} options.onSongChange - Called with (song, index, reason)
+ * @returns {object} Setlist controller interface
+ */
+export function createSetlistController(options = {}) {
+  const {
+    setTarget,
+    onSongChange = () => {}
+  } = options;
+
+  let songs = options.songs || [];
+  let index = 0;
+  let lastState = null;
+  let selecting = false;  // Ignore the WAITING update our own setTarget() emits
+
+  /**
+   * Make song `i` current and arm its tempo for the next onset.
+   * @param {number} i - Song index
+   * @param {string} reason - 'start', 'auto', 'next', 'previous' or 'select'
+   */
+  function select(i, reason = 'select') {
+    if (!songs.length) return null;
+
+    index = Math.max(0, Math.min(songs.length - 1, i));
+    const song = songs[index];
+
+    selecting = true;
+    try {
+      setTarget(song.bpm, {
+        countIn: song.countIn,
+        meter: song.meter || undefined,
+        tempoMap: song.tempoMap,
+        waitForOnset: true
+      });
+    } finally {
+      selecting = false;
+    }
+
+    onSongChange(song, index, reason);
+    return song;
+  }
+
+  function update(data) {
+    const entered = data.state === State.WAITING && lastState !== State.WAITING;
+    lastState = data.state;
+
+    if (selecting || !entered) return;
+    if (index + 1 < songs.length) select(index + 1, 'auto');
+  }
+
+  return {
+    update,
+    select,
+    start() { return select(0, 'start'); },
+    next() { return select(index + 1, 'next'); },
+    previous() { return select(index - 1, 'previous'); },
+    load(list) {
+      songs = list;
+      index = 0;
+    },
+    get songs() { return songs; },
+    get index() { return index; },
+    get current() { return songs[index] || null; }
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * Beat Drift Monitor - Song Report
+ *
+ * End-of-song report card computed from the tracker's debug trace: drift,
+ * time spent rushing and dragging, the longest stable stretch, grid hits,
+ * timing spread and a 0-100 stability score. Everything here is a pure
+ * function of trace entries, so the live app, the CLI and the test harness
+ * compute the same report.
+ *
+ *   const songs = splitSongs(trace.getAll());
+ *   const report = buildSongReport(songs[songs.length - 1]);
+ *   console.log(formatSongReport(report));
+ */
+
+import { State, summarizeOffsets } from './beat_tracker.js';
+
+export const REPORT_DEFAULTS = {
+  driftThreshold: 1.5,  // |drift| (BPM) at or beyond this counts as rushing/dragging
+  timingSpreadMs: 30,   // Timing standard deviation that scores zero
+  // Score = weighted sum of in-time ratio, grid hit ratio and timing tightness
+  weights: { inTime: 0.5, grid: 0.2, timing: 0.3 }
+};
+
+// Trace events that start tracking a new song
+const SONG_START_EVENTS = ['calibration_complete', 'resume_with_target'];
+
+/**
+ * Split a trace into songs: the tracking entries from each calibration
+ * (or armed setlist target) until the tracker stops tracking. Tracking
+ * ended by a `recalibrating` event was on a wrong calibration and is
+ * dropped; the song starts at the calibration after it.
+ * @param {object[]} trace - Trace entries (createTraceBuffer().getAll())
+ * @returns {object[][]} Trace entries per song
+ */
+export function splitSongs(trace) {
+  const songs = [];
+  let current = null;
+
+  for (const entry of trace) {
+    if (entry.event === 'recalibrating' && current) {
+      songs.splice(songs.indexOf(current), 1);
+      current = null;
+    } else if (SONG_START_EVENTS.includes(entry.event)) {
+      current = [entry];
+      songs.push(current);
+    } else if (entry.state === State.TRACKING) {
+      if (current) current.push(entry);
+    } else {
+      current = null;  // Song gap, count-in or recalibration
+    }
+  }
+
+  return songs;
+}
+
+/**
+ * Build the report card for one song.
+ *
+ * Drift is time-weighted: each onset's drift holds until the next onset.
+ * Subdivision hits count as grid hits.
+ *
+ * @param {object[]} entries - Trace entries of one song (see splitSongs)
+ * @param {object} options - Overrides for REPORT_DEFAULTS
+ * @returns {object|null} Report, or null if nothing was tracked
+ */
+export function buildSongReport(entries, options = {}) {
+  const { driftThreshold, timingSpreadMs, weights } = { ...REPORT_DEFAULTS, ...options };
+  const tracked = (entries || []).filter(e => typeof e.drift === 'number');
+  if (tracked.length === 0) return null;
+
+  const first = tracked[0];
+  const last = tracked[tracked.length - 1];
+  const durationMs = last.timestamp - first.timestamp;
+  const drifts = tracked.map(e => e.drift);
+  const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+
+  let rushingMs = 0;
+  let draggingMs = 0;
+  let runStart = null;
+  let runBeats = 0;
+  let longestStableMs = 0;
+  let longestStableBeats = 0;
+
+  tracked.forEach((e, i) => {
+    const next = tracked[i + 1];
+    const dt = next ? next.timestamp - e.timestamp : 0;
+
+    if (e.drift >= driftThreshold) rushingMs += dt;
+    else if (e.drift <= -driftThreshold) draggingMs += dt;
+
+    if (Math.abs(e.drift) < driftThreshold) {
+      if (runStart === null) {
+        runStart = e.timestamp;
+        runBeats = 0;
+      }
+      runBeats++;
+      const runMs = (next ? next.timestamp : e.timestamp) - runStart;
+      if (runMs > longestStableMs || (runMs === longestStableMs && runBeats > longestStableBeats)) {
+        longestStableMs = runMs;
+        longestStableBeats = runBeats;
+      }
+    } else {
+      runStart = null;
+    }
+  });
+
+  const count = event => tracked.filter(e => e.event === event).length;
+  const subdivisionHits = count('on_subdivision');
+  const gridHits = count('on_grid') + count('section_change') + subdivisionHits;
+  const gridMisses = count('off_grid') + count('double_tempo_correction');
+  const gridHitRatio = gridHits + gridMisses > 0 ? gridHits / (gridHits + gridMisses) : 0;
+
+  const timing = summarizeOffsets(tracked.map(e => e.hitOffsetMs).filter(o => typeof o === 'number'));
+  const inTimeRatio = durationMs > 0 ? (durationMs - rushingMs - draggingMs) / durationMs : 1;
+  const timingScore = timing.stdMs === null ? 0 : Math.max(0, 1 - timing.stdMs / timingSpreadMs);
+  const score = 100 * (weights.inTime * inTimeRatio + weights.grid * gridHitRatio + weights.timing * timingScore)
+    / (weights.inTime + weights.grid + weights.timing);
+
+  return {
+    startTime: first.timestamp,
+    endTime: last.timestamp,
+    durationMs,
+    beats: tracked.length,
+    targetBpm: last.targetBpm,
+    meanDrift: mean(drifts),
+    meanAbsDrift: mean(drifts.map(Math.abs)),
+    maxRush: Math.max(0, ...drifts),
+    maxDrag: Math.min(0, ...drifts),
+    driftThreshold,
+    rushingMs,
+    draggingMs,
+    inTimeRatio,
+    longestStableMs,
+    longestStableBeats,
+    gridHits,
+    gridMisses,
+    subdivisionHits,
+    gridHitRatio,
+    timingMeanMs: timing.meanMs,
+    timingStdMs: timing.stdMs,
+    timingWorstMs: timing.worstMs,
+    score: Math.round(score)
+  };
+}
+
+/**
+ * Plain-text report card, one stat per line.
+ * @param {object} report - buildSongReport() result
+ * @returns {string} Text
+ */
+export function formatSongReport(report) {
+  const signed = (value, digits = 1) => {
+    const rounded = Number(value.toFixed(digits)) || 0;  // No "-0.0"
+    return (rounded > 0 ? '+' : '') + rounded.toFixed(digits);
+  };
+  const seconds = ms => (ms / 1000).toFixed(1) + ' s';
+  const percent = ratio => Math.round(ratio * 100) + '%';
+
+  const lines = [
+    `Score:         ${report.score}/100`,
+    `Duration:      ${seconds(report.durationMs)}, ${report.beats} onsets at ${report.targetBpm.toFixed(1)} BPM`,
+    `Drift:         mean ${signed(report.meanDrift, 2)} BPM, max rush ${signed(report.maxRush)}, max drag ${signed(report.maxDrag)}`,
+    `Rushing:       ${seconds(report.rushingMs)} (drift ≥ +${report.driftThreshold})`,
+    `Dragging:      ${seconds(report.draggingMs)} (drift ≤ -${report.driftThreshold})`,
+    `In time:       ${percent(report.inTimeRatio)}`,
+    `Stable run:    ${seconds(report.longestStableMs)} (${report.longestStableBeats} onsets)`,
+    `Grid hits:     ${report.gridHits}/${report.gridHits + report.gridMisses} (${percent(report.gridHitRatio)})`
+  ];
+
+  if (report.timingStdMs !== null) {
+    lines.push(`Timing:        mean ${signed(report.timingMeanMs)} ms, spread ±${report.timingStdMs.toFixed(1)} ms, worst ${signed(report.timingWorstMs)} ms`);
+  }
+
+  return lines.join('\n');
+}
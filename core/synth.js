@@ -0,0 +1,235 @@
+/**
+ * Beat Drift Monitor - Test Audio Synthesis
+ *
+ * Renders deterministic drum/band audio around a list of beat onsets so
+ * the onset detector and tracker can be tested against the kind of signal
+ * a microphone next to a drum kit actually picks up: the kick, plus bleed
+ * from snare and hi-hat, cymbal wash, bass guitar and room noise.
+ *
+ * Each element is scheduled relative to the beat onsets:
+ *
+ *   { type: 'snare', gain: 0.3, offset: 0.5 }     // halfway between beats
+ *   { type: 'hihat', gain: 0.1, subdivision: 2 }  // 8th notes
+ *   { type: 'cymbal', gain: 0.3, every: 16 }      // crash every 16 beats
+ *   { type: 'noise', level: 0.02 }                // continuous room noise
+ *   { type: 'click', times: [...], gain: 0.5 }    // click track at fixed times
+ *
+ * Any element can take explicit `times` (ms) instead of being scheduled
+ * around the beats, and `dynamics`, gain multipliers cycled over its hits
+ * (e.g. [1, 0.5, 0.5, 0.5] accents every 4th kick). All randomness comes
+ * from a seeded generator, so renders are repeatable.
+ */
+
+import { CLICK_SOUND } from './click_track.js';
+
+// ============================================================================
+// ELEMENT DEFAULTS
+// ============================================================================
+
+export const ELEMENT_DEFAULTS = {
+  kick:   { gain: 0.8, offset: 0 },
+  snare:  { gain: 0.5, offset: 0.5 },
+  hihat:  { gain: 0.2, offset: 0, subdivision: 2 },
+  cymbal: { gain: 0.3, offset: 0, every: 16 },
+  bass:   { gain: 0.4, offset: 0, sustain: 0.9, notes: [55, 55, 73.42, 82.41] },
+  noise:  { level: 0.02, cutoff: 1000, hum_hz: 0, hum_level: 0 },
+  click:  { gain: 0.5, accents: [2, 1, 1, 1] }
+};
+
+const DEFAULT_TAIL_MS = 1000;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Seeded PRNG (mulberry32), uniform in [0, 1).
+ * @param {number} seed - Integer seed
+ * @returns {function} Random number generator
+ */
+export function createRandom(seed = 1) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Times (ms) an element plays at, relative to the beat onsets.
+ * `offset` and subdivisions are fractions of the interval to the next beat.
+ */
+export function scheduleHits(onsets, { offset = 0, subdivision = 1, every = 1 } = {}) {
+  const hits = [];
+  for (let i = 0; i < onsets.length; i += every) {
+    const interval = i + 1 < onsets.length
+      ? onsets[i + 1] - onsets[i]
+      : onsets[i] - onsets[i - 1] || 500;
+    for (let k = 0; k < subdivision; k++) {
+      hits.push(onsets[i] + (offset + k / subdivision) * interval);
+    }
+  }
+  return hits;
+}
+
+/**
+ * One-pole highpass coefficient for a cutoff frequency.
+ */
+function highpassCoeff(cutoff, sampleRate) {
+  const rc = 1 / (2 * Math.PI * cutoff);
+  return rc / (rc + 1 / sampleRate);
+}
+
+/**
+ * Add a decaying highpassed noise burst (snare wires, hi-hat, cymbal).
+ */
+function addNoiseBurst(out, start, length, gain, decay, cutoff, sampleRate, random) {
+  const a = highpassCoeff(cutoff, sampleRate);
+  let prevIn = 0;
+  let prevOut = 0;
+  for (let i = 0; i < length && start + i < out.length; i++) {
+    const x = random() * 2 - 1;
+    prevOut = a * (prevOut + x - prevIn);
+    prevIn = x;
+    if (start + i >= 0) out[start + i] += gain * Math.exp(-(i / sampleRate) * decay) * prevOut;
+  }
+}
+
+// ============================================================================
+// ELEMENT RENDERERS
+// ============================================================================
+
+const renderers = {
+  // Decaying sine with a pitch drop
+  kick(out, hits, el, sampleRate) {
+    const length = Math.round(0.15 * sampleRate);
+    for (const t of hits) {
+      const start = Math.round((t / 1000) * sampleRate);
+      let phase = 0;
+      for (let i = 0; i < length && start + i < out.length; i++) {
+        const time = i / sampleRate;
+        const freq = 50 + 100 * Math.exp(-time * 30);
+        phase += (2 * Math.PI * freq) / sampleRate;
+        out[start + i] += el.gain * Math.exp(-time * 25) * Math.sin(phase);
+      }
+    }
+  },
+
+  // Tonal body around 185 Hz plus bright noise from the snare wires
+  snare(out, hits, el, sampleRate, random) {
+    const length = Math.round(0.25 * sampleRate);
+    for (const t of hits) {
+      const start = Math.round((t / 1000) * sampleRate);
+      for (let i = 0; i < length && start + i < out.length; i++) {
+        const time = i / sampleRate;
+        out[start + i] += el.gain * 0.5 * Math.exp(-time * 20) * Math.sin(2 * Math.PI * 185 * time);
+      }
+      addNoiseBurst(out, start, length, el.gain, 15, 1000, sampleRate, random);
+    }
+  },
+
+  hihat(out, hits, el, sampleRate, random) {
+    const length = Math.round(0.05 * sampleRate);
+    for (const t of hits) {
+      addNoiseBurst(out, Math.round((t / 1000) * sampleRate), length, el.gain, 80, 6000, sampleRate, random);
+    }
+  },
+
+  cymbal(out, hits, el, sampleRate, random) {
+    const length = Math.round(2 * sampleRate);
+    for (const t of hits) {
+      addNoiseBurst(out, Math.round((t / 1000) * sampleRate), length, el.gain, 2, 3000, sampleRate, random);
+    }
+  },
+
+  // Plucked note per hit, held until shortly before the next one
+  bass(out, hits, el, sampleRate) {
+    const attack = 0.005 * sampleRate;
+    const release = 0.01 * sampleRate;
+    hits.forEach((t, n) => {
+      const next = hits[n + 1] ?? t + (n > 0 ? t - hits[n - 1] : 500);
+      const length = Math.round(((next - t) / 1000) * el.sustain * sampleRate);
+      const start = Math.round((t / 1000) * sampleRate);
+      const freq = el.notes[n % el.notes.length];
+      for (let i = 0; i < length && start + i < out.length; i++) {
+        const time = i / sampleRate;
+        const env = Math.min(1, i / attack) * Math.min(1, (length - i) / release) * Math.exp(-time * 3);
+        const w = 2 * Math.PI * freq * time;
+        out[start + i] += el.gain * env * (Math.sin(w) + 0.5 * Math.sin(2 * w) + 0.3 * Math.sin(3 * w)) / 1.8;
+      }
+    });
+  },
+
+  // The app's own click track (same sound as click_track.js) heard by the mic
+  click(out, hits, el, sampleRate) {
+    const decay = Math.log(1000) / (CLICK_SOUND.decayMs / 1000);
+    const length = Math.round((CLICK_SOUND.decayMs / 1000) * sampleRate);
+    hits.forEach((t, n) => {
+      const accent = el.accents[n % el.accents.length] === 2;
+      const freq = accent ? CLICK_SOUND.accentFreq : CLICK_SOUND.normalFreq;
+      const peak = el.gain * (accent ? CLICK_SOUND.accentGain : CLICK_SOUND.normalGain);
+      const start = Math.round((t / 1000) * sampleRate);
+      for (let i = 0; i < length && start + i < out.length; i++) {
+        const time = i / sampleRate;
+        const env = Math.min(1, time / 0.001) * Math.exp(-time * decay);
+        out[start + i] += peak * env * Math.sin(2 * Math.PI * freq * time);
+      }
+    });
+  },
+
+  // Continuous lowpassed noise, optionally with mains hum
+  noise(out, hits, el, sampleRate, random) {
+    const a = 1 - Math.exp((-2 * Math.PI * el.cutoff) / sampleRate);
+    // Scale so the filtered noise RMS is roughly `level`
+    const norm = Math.sqrt(3 * (2 - a) / a);
+    let y = 0;
+    for (let i = 0; i < out.length; i++) {
+      y += a * (random() * 2 - 1 - y);
+      out[i] += el.level * norm * y;
+      if (el.hum_hz) out[i] += el.hum_level * Math.sin((2 * Math.PI * el.hum_hz * i) / sampleRate);
+    }
+  }
+};
+
+// ============================================================================
+// MIX
+// ============================================================================
+
+/**
+ * Render a mix of elements around beat onsets.
+ *
+ * @param {number[]} onsets - Beat times (ms)
+ * @param {object[]} elements - Element specs ({ type, ...overrides }); default kick only
+ * @param {object} opts
+ * @param {number} opts.sampleRate - Sample rate (Hz)
+ * @param {number} opts.seed - Seed for noise-based elements
+ * @param {number} opts.tailMs - Audio after the last onset (ms)
+ * @returns {Float32Array} Mono samples
+ */
+export function renderMix(onsets, elements = [{ type: 'kick' }], { sampleRate = 44100, seed = 1, tailMs = DEFAULT_TAIL_MS } = {}) {
+  const lengthMs = onsets[onsets.length - 1] + tailMs;
+  const out = new Float32Array(Math.ceil((lengthMs / 1000) * sampleRate));
+  const random = createRandom(seed);
+
+  for (const spec of elements) {
+    const render = renderers[spec.type];
+    if (!render) throw new Error(`Unknown audio element: ${spec.type}`);
+
+    const el = { ...ELEMENT_DEFAULTS[spec.type], ...spec };
+    const hits = spec.times || (spec.type === 'noise' ? [] : scheduleHits(onsets, el));
+
+    if (el.dynamics) {
+      el.dynamics.forEach((level, k) => {
+        const group = hits.filter((_, n) => n % el.dynamics.length === k);
+        render(out, group, { ...el, gain: el.gain * level }, sampleRate, random);
+      });
+    } else {
+      render(out, hits, el, sampleRate, random);
+    }
+  }
+
+  return out;
+}
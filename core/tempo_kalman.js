@@ -0,0 +1,216 @@
+/**
+ * Beat Drift Monitor - Tempo Kalman Filter
+ *
+ * Tempo and phase as a state with uncertainty, for the core tracker's
+ * `estimator: 'kalman'` mode (beat_tracker.js). The state is the time of
+ * an anchor beat and the period, with their 2×2 covariance:
+ *
+ *   x = [anchorTime, period]     beat n lies at anchorTime + (n - anchorBeat) · period
+ *
+ * An onset heard at grid position `position` (beats from the grid origin,
+ * fractional for subdivisions) first moves the anchor to the nearest whole
+ * beat n, adding process noise per beat moved (the period random-walks,
+ * the phase wanders), then measures z = anchorTime + (position - n) · period
+ * with timing noise R. The onset is accepted only if its innovation lies
+ * within KALMAN_GATE standard deviations of the prediction; a rejected
+ * onset changes nothing. When a beat misses the gate further out than the
+ * beat before it, on the same side (a real tempo change, not a ghost note
+ * or a subdivision), the covariance is widened to cover the observed
+ * drift, so the beat is accepted with a large gain.
+ *
+ * Calibration onsets start the filter with a least-squares fit of a
+ * straight grid, whose covariance is R (XᵀX)⁻¹.
+ *
+ * Since the gain follows the covariance, lock is fast right after
+ * calibration or a tempo change (large uncertainty) and steady once the
+ * tempo is known (small uncertainty).
+ */
+
+/**
+ * Creates a tempo Kalman filter.
+ *
+ * @param {object} C - Tracker constants (KALMAN_*, MIN/MAX_PERIOD_MS)
+ * @returns {object} Filter interface
+ */
+export function createTempoKalman(C) {
+  let anchorTime = 0;
+  let anchorBeat = 0;
+  let period = 0;
+  let P = [[0, 0], [0, 0]];  // Covariance of [anchorTime, period]
+  let lastBeatMs = null;     // Innovation of the last beat, accepted or missed
+
+  /**
+   * Start on a grid with beat 0 at `time`. The initial uncertainty is one
+   * timing σ in phase and `periodSd` in period.
+   */
+  function start(time, periodMs, periodSd = periodMs * C.KALMAN_TEMPO_NOISE * 4) {
+    anchorTime = time;
+    anchorBeat = 0;
+    period = periodMs;
+    P = [[C.KALMAN_TIMING_MS ** 2, 0], [0, periodSd ** 2]];
+    lastBeatMs = null;
+  }
+
+  /**
+   * Start from calibration onsets: least-squares fit of t = a + k · period,
+   * each onset on the nearest beat k of `roughPeriod` (so missed beats
+   * are skipped). Onsets more than KALMAN_GATE timing σ off a robust first
+   * line (median of the pairwise slopes) are left out of the fit, so an
+   * extra hit or a late first onset does not tilt it. Beat 0 is the last
+   * onset.
+   * @returns {number} Fitted period (ms)
+   */
+  function fit(times, roughPeriod) {
+    const last = times[times.length - 1];
+    const all = times.map(t => ({ t, k: Math.round((t - last) / roughPeriod) }));
+
+    const slopes = [];
+    for (let i = 0; i < all.length; i++) {
+      for (let j = i + 1; j < all.length; j++) {
+        if (all[j].k !== all[i].k) slopes.push((all[j].t - all[i].t) / (all[j].k - all[i].k));
+      }
+    }
+    const robust = slopes.length ? median(slopes) : roughPeriod;
+    const a = median(all.map(pt => pt.t - pt.k * robust));
+    const points = all.filter(pt => Math.abs(pt.t - a - pt.k * robust) <= C.KALMAN_GATE * C.KALMAN_TIMING_MS);
+
+    const line = fitLine(points);
+    if (!line) {
+      start(last, roughPeriod);
+      return roughPeriod;
+    }
+
+    period = line.period;
+    anchorTime = line.a;
+    anchorBeat = 0;
+    const R = C.KALMAN_TIMING_MS ** 2;
+    P = [[R * line.skk / line.det, -R * line.sk / line.det], [-R * line.sk / line.det, R * points.length / line.det]];
+    lastBeatMs = null;
+    return period;
+  }
+
+  // Least squares t = a + k · period over { t, k } points (null if degenerate)
+  function fitLine(points) {
+    const n = points.length;
+    const sk = points.reduce((s, pt) => s + pt.k, 0);
+    const skk = points.reduce((s, pt) => s + pt.k * pt.k, 0);
+    const st = points.reduce((s, pt) => s + pt.t, 0);
+    const skt = points.reduce((s, pt) => s + pt.k * pt.t, 0);
+    const det = n * skk - sk * sk;
+    if (det <= 0) return null;
+    const fitted = (n * skt - sk * st) / det;
+    return { period: fitted, a: (st - fitted * sk) / n, sk, skk, det };
+  }
+
+  function median(values) {
+    const sorted = [...values].sort((x, y) => x - y);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  // State and covariance moved `beats` whole beats ahead, with process noise
+  function predict(beats) {
+    const n = Math.abs(beats);
+    const q = C.KALMAN_TEMPO_NOISE * period;
+    return {
+      time: anchorTime + beats * period,
+      P: [
+        [P[0][0] + 2 * beats * P[0][1] + beats * beats * P[1][1] + n * C.KALMAN_PHASE_NOISE_MS ** 2,
+          P[0][1] + beats * P[1][1]],
+        [P[1][0] + beats * P[1][1], P[1][1] + n * q * q]
+      ]
+    };
+  }
+
+  /**
+   * Measure an onset at grid `position` (beats from the origin).
+   * @param {number} timestamp - Onset time (ms)
+   * @param {number} position - Grid position it is heard as
+   * @param {number} weight - Measurement weight (< 1 = noisier, e.g. subdivisions)
+   * @returns {object} { accepted, innovationMs, innovationSd }
+   */
+  function measure(timestamp, position, weight = 1) {
+    const beat = Math.round(position);
+    const h = position - beat;  // Fraction of a beat from the new anchor
+    const prior = predict(beat - anchorBeat);
+    const Pp = prior.P;
+
+    const predicted = prior.time + h * period;
+    const innovationMs = timestamp - predicted;
+    const R = C.KALMAN_TIMING_MS ** 2 / (weight * weight);
+    // S = H P Hᵀ + R with H = [1, h]
+    const S = Pp[0][0] + 2 * h * Pp[0][1] + h * h * Pp[1][1] + R;
+    const innovationSd = Math.sqrt(S);
+
+    if (Math.abs(innovationMs) > C.KALMAN_GATE * innovationSd) {
+      return { accepted: false, innovationMs, innovationSd };
+    }
+
+    // K = P Hᵀ / S
+    const k0 = (Pp[0][0] + h * Pp[0][1]) / S;
+    const k1 = (Pp[1][0] + h * Pp[1][1]) / S;
+
+    anchorTime = prior.time + k0 * innovationMs;
+    anchorBeat = beat;
+    period = Math.min(C.MAX_PERIOD_MS, Math.max(C.MIN_PERIOD_MS, period + k1 * innovationMs));
+
+    // P = (I - K H) P⁻
+    const a = Pp[0][0] + h * Pp[1][0];  // (H P⁻)₀
+    const b = Pp[0][1] + h * Pp[1][1];  // (H P⁻)₁
+    P = [
+      [Pp[0][0] - k0 * a, Pp[0][1] - k0 * b],
+      [Pp[1][0] - k1 * a, Pp[1][1] - k1 * b]
+    ];
+    P[1][0] = P[0][1];
+    if (h === 0) lastBeatMs = innovationMs;
+
+    return { accepted: true, innovationMs, innovationSd };
+  }
+
+  /**
+   * A beat missed the gate by `innovationMs` (and no subdivision fitted).
+   * If the beat before it was off the same way by less, the beats are
+   * running away from the prediction: a tempo change. The covariance is
+   * then widened to cover it.
+   * @returns {boolean} Whether it was widened (measure the beat again)
+   */
+  function miss(innovationMs) {
+    if (lastBeatMs !== null && Math.sign(innovationMs) === Math.sign(lastBeatMs) &&
+        Math.abs(innovationMs) > Math.abs(lastBeatMs)) {
+      const step = innovationMs - lastBeatMs;
+      P = [
+        [Math.max(P[0][0], innovationMs ** 2), 0],
+        [0, Math.max(P[1][1], (C.KALMAN_MANEUVER * step) ** 2)]
+      ];
+      lastBeatMs = innovationMs;
+      return true;
+    }
+    lastBeatMs = innovationMs;
+    return false;
+  }
+
+  /**
+   * Scale the period by `ratio` for a programmed tempo change (tempo
+   * map), keeping the anchor beat where it is. The period's uncertainty
+   * scales with it.
+   */
+  function rescale(ratio) {
+    period = Math.min(C.MAX_PERIOD_MS, Math.max(C.MIN_PERIOD_MS, period * ratio));
+    P = [[P[0][0], P[0][1] * ratio], [P[1][0] * ratio, P[1][1] * ratio * ratio]];
+  }
+
+  return {
+    start,
+    fit,
+    measure,
+    miss,
+    rescale,
+    /** Grid origin: time of beat 0 on the current grid */
+    get phase() { return anchorTime - anchorBeat * period; },
+    get period() { return period; },
+    /** σ of the anchor beat time (ms) */
+    get phaseSd() { return Math.sqrt(Math.max(0, P[0][0])); },
+    /** σ of the period (ms) */
+    get periodSd() { return Math.sqrt(Math.max(0, P[1][1])); }
+  };
+}
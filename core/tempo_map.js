@@ -0,0 +1,178 @@
+/**
+ * Beat Drift Monitor - Tempo Maps
+ *
+ * A tempo map is the tempo a song is supposed to be played at, beat by
+ * beat: sections with a BPM, optionally ramping to it from the section
+ * before, and optionally a meter. The tracker measures drift against the
+ * map's tempo at the current beat instead of a single target, so a
+ * programmed accelerando or a ritardando at the end is not drift.
+ *
+ *   {
+ *     "meter": "4/4",
+ *     "sections": [
+ *       { "name": "Verse", "bpm": 120, "beats": 32 },
+ *       { "name": "Bridge", "bpm": 132, "beats": 16, "ramp": 8 },
+ *       { "name": "Outro", "bpm": 96, "ramp": 16, "meter": "3/4" }
+ *     ]
+ *   }
+ *
+ * `ramp` is the number of beats at the start of a section over which the
+ * tempo moves in a straight line from the previous section's BPM to its
+ * own. Beat 0 is the first beat of the song; a section's `beats` may be
+ * left out on the last one, which then lasts forever. A section with a
+ * `meter` starts on beat 1 of a bar; one without keeps the meter and the
+ * bars of the section before it (the first one takes the map's `meter`).
+ *
+ * Maps from Standard MIDI Files: midi_file.js midiFileTempoMap().
+ *
+ * @see beat_tracker.js setTempoMap()
+ */
+
+const MIN_BPM = 20;
+const MAX_BPM = 400;
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+function normalizeSection(section, index, last, previous, defaultMeter) {
+  const label = `Tempo map section ${index + 1}`;
+  if (!section || typeof section !== 'object') throw new Error(`${label}: not an object`);
+
+  const bpm = Number(section.bpm);
+  if (!Number.isFinite(bpm) || bpm < MIN_BPM || bpm > MAX_BPM) {
+    throw new Error(`${label}: bpm must be between ${MIN_BPM} and ${MAX_BPM}`);
+  }
+
+  const beats = section.beats === undefined && last ? Infinity : Number(section.beats);
+  if (beats !== Infinity && (!Number.isInteger(beats) || beats < 1)) {
+    throw new Error(`${label}: beats must be a whole number of beats`);
+  }
+
+  const ramp = previous ? Number(section.ramp || 0) : 0;
+  if (!Number.isInteger(ramp) || ramp < 0 || ramp > beats) {
+    throw new Error(`${label}: ramp must be a whole number of beats, at most the section's`);
+  }
+
+  const start = previous ? previous.start + previous.beats : 0;
+  return {
+    name: String(section.name || `Section ${index + 1}`),
+    bpm,
+    fromBpm: previous && ramp > 0 ? previous.bpm : bpm,
+    beats,
+    ramp,
+    meter: section.meter || (previous ? previous.meter : defaultMeter),
+    start,
+    barStart: section.meter || !previous ? start : previous.barStart  // Beat 1 of a bar
+  };
+}
+
+// ============================================================================
+// TEMPO MAP
+// ============================================================================
+
+/**
+ * Creates a tempo map.
+ *
+ * @param {string|object|Array} spec - Tempo map JSON, `{ meter?, sections }`,
+ *   or a bare array of sections
+ * @returns {object} Tempo map interface
+ */
+export function createTempoMap(spec) {
+  const data = typeof spec === 'string' ? JSON.parse(spec) : spec;
+  const list = Array.isArray(data) ? data : data?.sections;
+  if (!Array.isArray(list) || list.length === 0) throw new Error('Tempo map needs a "sections" array');
+
+  const defaultMeter = (!Array.isArray(data) && data.meter) || null;
+  const sections = [];
+  list.forEach((section, i) => {
+    sections.push(normalizeSection(section, i, i === list.length - 1, sections[i - 1], defaultMeter));
+  });
+
+  // times[n]: ms from beat 0 to beat n, extended as far as asked for
+  const times = [0];
+
+  function sectionAt(beat) {
+    let i = sections.length - 1;
+    while (i > 0 && sections[i].start > beat) i--;
+    return sections[i];
+  }
+
+  /**
+   * Tempo (BPM) at a beat; fractional beats fall between ramp steps.
+   */
+  function tempoAt(beat) {
+    const b = Math.max(0, beat);
+    const section = sectionAt(b);
+    const into = b - section.start;
+    if (into >= section.ramp) return section.bpm;
+    return section.fromBpm + (section.bpm - section.fromBpm) * (into / section.ramp);
+  }
+
+  /**
+   * Length (ms) of beat n, from its onset to the next beat's.
+   */
+  function periodOfBeat(n) {
+    return 60000 / tempoAt(Math.floor(n));
+  }
+
+  function extendTo(n) {
+    while (times.length <= n) {
+      times.push(times[times.length - 1] + periodOfBeat(times.length - 1));
+    }
+  }
+
+  /**
+   * Time (ms) of a beat from beat 0. Before beat 0 the first tempo continues.
+   */
+  function timeOfBeat(beat) {
+    if (beat < 0) return beat * periodOfBeat(0);
+    const n = Math.floor(beat);
+    extendTo(n);
+    return times[n] + (beat - n) * periodOfBeat(n);
+  }
+
+  /**
+   * Beat (fractional) at a time (ms) from beat 0; the inverse of timeOfBeat().
+   */
+  function beatAtTime(ms) {
+    if (ms < 0) return ms / periodOfBeat(0);
+    while (times[times.length - 1] <= ms) extendTo(times.length);
+    let lo = 0;
+    let hi = times.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] <= ms) lo = mid;
+      else hi = mid;
+    }
+    return lo + (ms - times[lo]) / periodOfBeat(lo);
+  }
+
+  return {
+    tempoAt,
+    periodOfBeat,
+    timeOfBeat,
+    beatAtTime,
+    sectionAt,
+    /** Meter of the section a beat is in (null if the map sets none) */
+    meterAt: beat => sectionAt(beat).meter,
+    get sections() { return sections.map(s => ({ ...s })); },
+    /** Beats in the map (Infinity if the last section is open-ended) */
+    get totalBeats() {
+      const last = sections[sections.length - 1];
+      return last.start + last.beats;
+    },
+    /** The map as JSON (setlist export) */
+    toJSON() {
+      return {
+        sections: sections.map((s, i) => {
+          const out = { name: s.name, bpm: s.bpm };
+          if (s.beats !== Infinity) out.beats = s.beats;
+          if (s.ramp) out.ramp = s.ramp;
+          if (s.meter && (i === 0 || s.barStart === s.start)) out.meter = s.meter;
+          return out;
+        })
+      };
+    }
+  };
+}
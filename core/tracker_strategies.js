@@ -0,0 +1,99 @@
+/**
+ * Beat Drift Monitor - Tracker Strategies
+ *
+ * Registry of the tempo tracking algorithms, so they can be run on the same
+ * onsets and compared (test/run_tests.js --tracker=..., the test harness).
+ * Every strategy is a factory taking the createBeatTracker() options and
+ * returning the same interface:
+ *
+ *   options: { onUpdate, trace, constants, now, meter, tempoMap, sectionChange }
+ *
+ *   addOnset(timestamp, strength)  Feed one onset (ms)
+ *   checkSilence(time)             Enter WAITING after SILENCE_TIMEOUT_MS without onsets
+ *   setTarget(bpm, opts)           Fixed target; { waitForOnset } arms it for the next song
+ *   reset()                        Back to CALIBRATING
+ *   getState()                     { state, period, phase, targetPeriod, targetPhase,
+ *                                    confidence (0-1), gridHits, gridMisses, onsetCount,
+ *                                    armed, meter }
+ *   startSilenceWatch(now), stopSilenceWatch(), destroy()
+ *   setMeter(meter)                Optional; only the core tracker follows meters
+ *   setTempoMap(map)               Optional; only the core tracker follows tempo
+ *                                  maps (the others ignore `tempoMap`)
+ *   setSectionChange(mode), acceptSectionChange(), dismissSectionChange()
+ *                                  Optional; only the core tracker detects
+ *                                  section changes (the others ignore
+ *                                  `sectionChange`)
+ *
+ * Updates passed to onUpdate carry at least state, currentBpm, targetBpm,
+ * drift (BPM, 0.1 steps), confidence (0-100), beatCount, calibrationNeeded,
+ * gridHits, gridMisses, period and targetPeriod. Trace entries carry at
+ * least timestamp, state, event, periodAfter, targetPeriodAfter, currentBpm,
+ * targetBpm, drift, confidence and onsetCount; the event names
+ * calibrating, calibration_complete, on_grid, off_grid and
+ * resume_with_target mean the same in every strategy, so song splitting
+ * and report cards work on any of them.
+ *
+ * Only the core tracker scores its calibration: its updates also carry
+ * calibrationQuality, calibrationReason and recalibrations, and its trace
+ * has recalibrating events.
+ *
+ * Strategies read the CONSTANTS they share (CAL_BEATS, GRID_TOLERANCE,
+ * SILENCE_TIMEOUT_MS, ...) and ignore the ones they do not use.
+ */
+
+import { createBeatTracker } from './beat_tracker.js';
+import { createPllV2Tracker } from './pll_v2_tracker.js';
+import { createIntervalTracker } from './interval_tracker.js';
+import { createAutocorrelationTracker } from './autocorrelation_tracker.js';
+
+export const DEFAULT_TRACKER = 'core';
+
+export const TRACKER_STRATEGIES = {
+  core: {
+    label: 'PLL (core)',
+    description: 'Phase-locked beat grid with subdivisions, meter and tempo multiples',
+    create: createBeatTracker
+  },
+  kalman: {
+    label: 'Kalman (core)',
+    description: 'The core tracker with a tempo/phase Kalman filter instead of fixed gains',
+    create: options => createBeatTracker({ ...options, estimator: 'kalman' })
+  },
+  'v2-pll': {
+    label: 'PLL (v2)',
+    description: 'The v2 page\'s fixed-gain PLL, before the core tracker',
+    create: createPllV2Tracker
+  },
+  'v1-interval': {
+    label: 'Interval median (v1)',
+    description: 'Median of the last 8 inter-onset intervals, no beat grid',
+    create: createIntervalTracker
+  },
+  autocorrelation: {
+    label: 'Autocorrelation',
+    description: 'Comb filter over the pairwise onset intervals of the last 12 onsets',
+    create: createAutocorrelationTracker
+  }
+};
+
+/**
+ * Names of the registered strategies, default first.
+ * @returns {string[]} Names
+ */
+export function trackerNames() {
+  return Object.keys(TRACKER_STRATEGIES);
+}
+
+/**
+ * Create a tracker by strategy name.
+ * @param {string} name - Key of TRACKER_STRATEGIES (default 'core')
+ * @param {object} options - createBeatTracker() options
+ * @returns {object} Tracker interface
+ */
+export function createTracker(name = DEFAULT_TRACKER, options = {}) {
+  const strategy = TRACKER_STRATEGIES[name];
+  if (!strategy) {
+    throw new Error(`Unknown tracker "${name}" (${trackerNames().join(', ')})`);
+  }
+  return strategy.create(options);
+}
@@ -0,0 +1,133 @@
+/**
+ * Beat Drift Monitor - WAV Decoder
+ *
+ * Minimal RIFF/WAVE reader for offline analysis in Node, where there is no
+ * decodeAudioData(). Supports integer PCM (8/16/24/32-bit) and IEEE float
+ * (32/64-bit), including WAVE_FORMAT_EXTENSIBLE headers.
+ *
+ * @see offline_analysis.js
+ */
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Decode a WAV file.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @returns {object} { sampleRate, channels: Float32Array[], length }
+ */
+export function decodeWav(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const tag = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+  if (bytes.length < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') {
+    throw new Error('Not a WAV file (missing RIFF/WAVE header)');
+  }
+
+  let fmt = null;
+  let dataOffset = -1;
+  let dataLength = 0;
+
+  // Walk chunks; each is padded to an even length
+  for (let offset = 12; offset + 8 <= bytes.length; ) {
+    const id = tag(offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      let format = view.getUint16(body, true);
+      if (format === FORMAT_EXTENSIBLE && size >= 26) {
+        format = view.getUint16(body + 24, true);  // First two bytes of the SubFormat GUID
+      }
+      fmt = {
+        format,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true)
+      };
+    } else if (id === 'data') {
+      dataOffset = body;
+      dataLength = Math.min(size, bytes.length - body);
+      if (fmt) break;
+    }
+
+    offset = body + size + (size % 2);
+  }
+
+  if (!fmt) throw new Error('WAV file has no fmt chunk');
+  if (dataOffset < 0) throw new Error('WAV file has no data chunk');
+
+  const readSample = sampleReader(view, fmt);
+  const bytesPerSample = fmt.bitsPerSample / 8;
+  const frameSize = bytesPerSample * fmt.channels;
+  const length = Math.floor(dataLength / frameSize);
+
+  const channels = [];
+  for (let c = 0; c < fmt.channels; c++) {
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      samples[i] = readSample(dataOffset + i * frameSize + c * bytesPerSample);
+    }
+    channels.push(samples);
+  }
+
+  return { sampleRate: fmt.sampleRate, channels, length };
+}
+
+/**
+ * Returns a function reading one sample at a byte offset as -1..1.
+ */
+function sampleReader(view, { format, bitsPerSample }) {
+  if (format === FORMAT_FLOAT) {
+    if (bitsPerSample === 32) return (o) => view.getFloat32(o, true);
+    if (bitsPerSample === 64) return (o) => view.getFloat64(o, true);
+  }
+
+  if (format === FORMAT_PCM) {
+    switch (bitsPerSample) {
+      case 8:  return (o) => (view.getUint8(o) - 128) / 128;
+      case 16: return (o) => view.getInt16(o, true) / 32768;
+      case 24: return (o) => ((view.getUint8(o + 2) << 24 | view.getUint8(o + 1) << 16 | view.getUint8(o) << 8) >> 8) / 8388608;
+      case 32: return (o) => view.getInt32(o, true) / 2147483648;
+    }
+  }
+
+  throw new Error(`Unsupported WAV encoding (format ${format}, ${bitsPerSample}-bit)`);
+}
+
+/**
+ * Encode mono samples as a 16-bit PCM WAV file.
+ *
+ * @param {Float32Array} samples - Samples in -1..1
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @returns {Uint8Array} File contents
+ */
+export function encodeWav(samples, sampleRate) {
+  const bytes = new Uint8Array(44 + samples.length * 2);
+  const view = new DataView(bytes.buffer);
+  const writeTag = (offset, s) => { for (let i = 0; i < 4; i++) bytes[offset + i] = s.charCodeAt(i); };
+
+  writeTag(0, 'RIFF');
+  view.setUint32(4, bytes.length - 8, true);
+  writeTag(8, 'WAVE');
+  writeTag(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, FORMAT_PCM, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeTag(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, Math.round(s * 32767), true);
+  }
+
+  return bytes;
+}
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Beat Drift Monitor - Offline Audio Analysis
+ *
+ * Runs a WAV recording through the onset detector and beat tracker, the
+ * same pipeline the live app uses, and writes the debug trace and a
+ * drift-over-time chart. A report card (score, rushing/dragging time,
+ * grid hits, timing spread) is printed for each tracked song.
+ *
+ * Usage:
+ *   node scripts/analyze_audio.js take1.wav                     # Print summary
+ *   node scripts/analyze_audio.js take1.wav --trace=take1.json  # Write trace JSON
+ *   node scripts/analyze_audio.js take1.wav --csv=take1.csv     # Write trace CSV
+ *   node scripts/analyze_audio.js take1.wav --chart=take1.svg   # Write drift chart
+ *   node scripts/analyze_audio.js take1.wav --midi=take1.mid    # Write tempo map + onsets (SMF)
+ *   node scripts/analyze_audio.js take1.wav --detector=frame    # Analyser-rate detection
+ *   node scripts/analyze_audio.js take1.wav --meter=3/4         # Bar tracking meter
+ *
+ * FLAC and other compressed formats can be analyzed in the browser
+ * (test/test_harness.html, "Analyze Recording"), which decodes with
+ * decodeAudioData().
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { basename } from 'path';
+
+import { createTraceBuffer } from '../core/beat_tracker.js';
+import { analyzeWav, summarizeAnalysis, formatAnalysisSummary } from '../core/offline_analysis.js';
+import { driftChartToSvg } from '../core/drift_chart.js';
+import { writeMidiFile, traceToMidiFile } from '../core/midi_file.js';
+
+const USAGE = 'Usage: node scripts/analyze_audio.js <file.wav> [--trace=out.json] [--csv=out.csv] [--chart=out.svg] [--midi=out.mid] [--detector=block|frame] [--meter=4/4]';
+
+const OPTIONS = ['trace', 'csv', 'chart', 'midi', 'detector', 'meter'];
+
+function main() {
+  const args = process.argv.slice(2);
+
+  const unknown = args.find(a => a.startsWith('--') && !OPTIONS.includes(a.slice(2).split('=')[0]));
+  if (unknown) {
+    console.error(`Unknown option: ${unknown}\n${USAGE}`);
+    process.exit(1);
+  }
+
+  const input = args.find(a => !a.startsWith('--'));
+  const traceOut = args.find(a => a.startsWith('--trace='))?.split('=')[1];
+  const csvOut = args.find(a => a.startsWith('--csv='))?.split('=')[1];
+  const chartOut = args.find(a => a.startsWith('--chart='))?.split('=')[1];
+  const midiOut = args.find(a => a.startsWith('--midi='))?.split('=')[1];
+  const detectorMode = args.find(a => a.startsWith('--detector='))?.split('=')[1] || 'block';
+  const meter = args.find(a => a.startsWith('--meter='))?.split('=')[1];
+
+  if (!input) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  let bytes;
+  try {
+    bytes = readFileSync(input);
+  } catch (err) {
+    console.error(`Error reading ${input}: ${err.message}`);
+    process.exit(1);
+  }
+
+  let results;
+  const started = Date.now();
+  try {
+    results = analyzeWav(bytes, { name: basename(input), detectorMode, meter });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  const elapsed = Date.now() - started;
+
+  console.log(`\n${results.scenario}: ${(results.durationMs / 1000).toFixed(1)}s, ${results.sampleRate} Hz, ${results.channelCount} ch (analyzed in ${elapsed} ms)`);
+  console.log(formatAnalysisSummary(summarizeAnalysis(results)).join('\n'));
+
+  if (traceOut) {
+    writeFileSync(traceOut, JSON.stringify(results.trace, null, 2));
+    console.log(`  Wrote trace to ${traceOut}`);
+  }
+  if (csvOut) {
+    const trace = createTraceBuffer(results.trace.length);
+    results.trace.forEach(e => trace.add(e));
+    writeFileSync(csvOut, trace.toCSV());
+    console.log(`  Wrote CSV to ${csvOut}`);
+  }
+  if (chartOut) {
+    writeFileSync(chartOut, driftChartToSvg(results.trace));
+    console.log(`  Wrote chart to ${chartOut}`);
+  }
+  if (midiOut) {
+    const smf = traceToMidiFile(results.trace, { meter: results.finalState.meter, endTime: results.durationMs });
+    writeFileSync(midiOut, writeMidiFile(smf));
+    console.log(`  Wrote MIDI file to ${midiOut}`);
+  }
+}
+
+main();
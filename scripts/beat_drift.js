@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+
+/**
+ * Beat Drift Monitor - beat-drift CLI
+ *
+ * Headless drift analysis of a take: runs an onset list or a WAV recording
+ * through the beat tracker and prints a drift timeline, a summary with a
+ * report card per song, and the tracker's state transitions.
+ *
+ * Input (by extension):
+ *   .wav         Audio, through the onset detector first
+ *   .json        Array of onset times (ms), { "onsets": [...] }, or an
+ *                exported trace / harness results (tracker is re-run)
+ *   .csv         One time (ms) per line, or a trace CSV export
+ *   .txt         Audacity label track (seconds)
+ *   .mid         Standard MIDI File (e-kit), mapped kit notes are onsets
+ *
+ * Usage:
+ *   node scripts/beat_drift.js take1.wav
+ *   node scripts/beat_drift.js onsets.csv --target-bpm=120
+ *   node scripts/beat_drift.js trace.json --constants='{"GRID_TOLERANCE":0.2}'
+ *   node scripts/beat_drift.js take1.wav --constants=tuned.json --format=json --out=take1.json
+ *   node scripts/beat_drift.js take1.wav --midi=take1.mid
+ *   node scripts/beat_drift.js take1.wav --tempo-map=song.mid
+ *   node scripts/beat_drift.js take1.wav --section-change=auto
+ *
+ * Options:
+ *   --format=text|csv|json  Output format (default text; csv is the timeline)
+ *   --out=FILE              Write to FILE instead of stdout
+ *   --midi=FILE             Also write a Standard MIDI File: tempo map, onsets, markers
+ *   --target-bpm=BPM        Measure drift against BPM instead of calibrating
+ *   --tempo-map=FILE        Measure drift against a tempo map (core/tempo_map.js
+ *                           JSON, or a MIDI file's tempo and time signatures)
+ *   --section-change=keep|auto  On a steady new tempo, keep the target (default)
+ *                           or re-target to it; both list the section changes
+ *   --constants=JSON|FILE   Tracker constant overrides
+ *   --meter=3/4             Time signature for bar tracking
+ *   --detector=block|frame  Onset detector rate for WAV input
+ *   --notes=36,35           Kit notes for MIDI input (default 36)
+ *   --seconds               Onset times are in seconds
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { basename, extname } from 'path';
+
+import { CONSTANTS, SECTION_CHANGE_MODES, parseMeter } from '../core/beat_tracker.js';
+import {
+  analyzeWav,
+  analyzeOnsets,
+  parseOnsetList,
+  summarizeAnalysis,
+  formatAnalysisSummary
+} from '../core/offline_analysis.js';
+import { parseMidiFile, midiFileOnsets, writeMidiFile, traceToMidiFile, midiFileTempoMap } from '../core/midi_file.js';
+import { createTempoMap } from '../core/tempo_map.js';
+import { MIDI_DEFAULTS, normalizeKit } from '../core/midi_input.js';
+
+const USAGE = 'Usage: node scripts/beat_drift.js <onsets.csv|onsets.json|trace.json|labels.txt|take.wav|take.mid> ' +
+  '[--format=text|csv|json] [--out=FILE] [--midi=FILE] [--target-bpm=BPM] [--tempo-map=FILE] [--section-change=keep|auto] ' +
+  '[--constants=JSON|FILE] ' +
+  '[--meter=4/4] [--detector=block|frame] [--notes=36,35] [--seconds]';
+
+const FORMATS = ['text', 'csv', 'json'];
+
+// Every option, as named after the `--` (see Options above)
+const OPTIONS = ['format', 'out', 'midi', 'target-bpm', 'tempo-map', 'section-change', 'constants',
+  'meter', 'detector', 'notes', 'seconds'];
+
+// No one to answer a 'prompt' offline
+const SECTION_CHANGE_CLI_MODES = SECTION_CHANGE_MODES.filter(mode => mode !== 'prompt');
+
+// Drift timeline columns: [header, trace field]
+const TIMELINE_COLUMNS = [
+  ['time_ms', 'timestamp'],
+  ['state', 'state'],
+  ['event', 'event'],
+  ['current_bpm', 'currentBpm'],
+  ['target_bpm', 'targetBpm'],
+  ['drift', 'drift'],
+  ['confidence', 'confidence'],
+  ['beat_in_bar', 'beatInBar'],
+  ['hit_offset_ms', 'hitOffsetMs']
+];
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+/**
+ * Tracker constant overrides from inline JSON or a JSON file.
+ */
+function loadConstants(value) {
+  let constants;
+  try {
+    constants = JSON.parse(value.trim().startsWith('{') ? value : readFileSync(value, 'utf-8'));
+  } catch (err) {
+    fail(`Error reading constants: ${err.message}`);
+  }
+
+  for (const [key, v] of Object.entries(constants)) {
+    if (!(key in CONSTANTS)) fail(`Unknown constant: ${key}`);
+    if (typeof v !== 'number') fail(`Constant ${key} must be a number`);
+  }
+  return constants;
+}
+
+/**
+ * Target tempo map from tempo map JSON or a MIDI file's tempo events.
+ */
+function loadTempoMap(file) {
+  try {
+    if (['.mid', '.midi'].includes(extname(file).toLowerCase())) {
+      return midiFileTempoMap(parseMidiFile(readFileSync(file)));
+    }
+    return createTempoMap(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    fail(`Error reading tempo map: ${err.message}`);
+  }
+}
+
+function parseArgs(args) {
+  const unknown = args.find(a => a.startsWith('--') && !OPTIONS.includes(a.slice(2).split('=')[0]));
+  if (unknown) fail(`Unknown option: ${unknown}\n${USAGE}`);
+
+  const flag = name => args.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+
+  const options = {
+    input: args.find(a => !a.startsWith('--')),
+    format: flag('format') || 'text',
+    out: flag('out'),
+    midi: flag('midi'),
+    detectorMode: flag('detector') || 'block',
+    meter: flag('meter'),
+    seconds: args.includes('--seconds'),
+    constants: flag('constants') ? loadConstants(flag('constants')) : {},
+    targetBpm: flag('target-bpm') ? Number(flag('target-bpm')) : undefined,
+    tempoMap: flag('tempo-map') ? loadTempoMap(flag('tempo-map')) : null,
+    sectionChange: flag('section-change') || 'keep',
+    notes: MIDI_DEFAULTS.notes
+  };
+
+  if (flag('notes')) {
+    try {
+      options.notes = normalizeKit({ notes: flag('notes').split(',').map(Number) }).notes;
+    } catch (err) {
+      fail(err.message);
+    }
+  }
+
+  if (!options.input) fail(USAGE);
+  if (!FORMATS.includes(options.format)) fail(`Unknown format: ${options.format} (${FORMATS.join(', ')})`);
+  if (options.targetBpm !== undefined && !(options.targetBpm > 0)) fail('--target-bpm must be a positive number');
+  if (options.meter !== undefined) {
+    try {
+      parseMeter(options.meter);
+    } catch {
+      fail(`Unknown meter: ${options.meter} (expected e.g. 4/4 or 7/8)`);
+    }
+  }
+  if (!SECTION_CHANGE_CLI_MODES.includes(options.sectionChange)) {
+    fail(`Unknown section change mode: ${options.sectionChange} (${SECTION_CHANGE_CLI_MODES.join(', ')})`);
+  }
+  if (!existsSync(options.input)) fail(`No such file: ${options.input}`);
+
+  return options;
+}
+
+// ============================================================================
+// ANALYSIS
+// ============================================================================
+
+function analyze(options) {
+  const { input, constants, meter, targetBpm, tempoMap, sectionChange } = options;
+  const name = basename(input);
+
+  if (extname(input).toLowerCase() === '.wav') {
+    return analyzeWav(readFileSync(input), {
+      name, detectorMode: options.detectorMode, constants, meter, targetBpm, tempoMap, sectionChange
+    });
+  }
+
+  if (['.mid', '.midi'].includes(extname(input).toLowerCase())) {
+    const { onsets, strengths } = midiFileOnsets(parseMidiFile(readFileSync(input)), { notes: options.notes });
+    return analyzeOnsets(onsets, { name, strengths, constants, meter, targetBpm, tempoMap, sectionChange });
+  }
+
+  const seconds = options.seconds || extname(input).toLowerCase() === '.txt';
+  const { onsets, strengths } = parseOnsetList(readFileSync(input, 'utf-8'), { seconds });
+  return analyzeOnsets(onsets, { name, strengths, constants, meter, targetBpm, tempoMap, sectionChange });
+}
+
+/**
+ * Summary, per-song reports and timeline of an analysis result.
+ */
+function summarize(results) {
+  const { songs, ...summary } = summarizeAnalysis(results);
+
+  return {
+    input: results.scenario,
+    summary,
+    songs,
+    transitions: results.transitions,
+    sectionChanges: results.trace.filter(e => e.event === 'section_change').map(e => ({
+      time: e.timestamp, fromBpm: e.fromBpm, toBpm: e.toBpm, action: e.sectionAction
+    })),
+    timeline: results.trace.map(e => Object.fromEntries(TIMELINE_COLUMNS.map(([, key]) => [key, e[key] ?? null])))
+  };
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+function formatCsv(analysis) {
+  const lines = [TIMELINE_COLUMNS.map(([header]) => header).join(',')];
+  for (const row of analysis.timeline) {
+    lines.push(TIMELINE_COLUMNS.map(([, key]) => {
+      const v = row[key];
+      if (v === null) return '';
+      return typeof v === 'number' ? String(Math.round(v * 1000) / 1000) : v;
+    }).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function formatText(analysis) {
+  const { summary } = analysis;
+  const num = (v, digits) => (v === null ? '-' : v.toFixed(digits));
+  const lines = [
+    `${analysis.input}: ${(summary.durationMs / 1000).toFixed(1)}s`,
+    ...formatAnalysisSummary({ ...summary, songs: analysis.songs })
+  ];
+
+  lines.push('', 'State transitions');
+  for (const t of analysis.transitions) {
+    lines.push(`  ${(t.time / 1000).toFixed(3).padStart(9)}s  ${t.from} -> ${t.to}`);
+  }
+
+  if (analysis.sectionChanges.length) {
+    lines.push('', 'Section changes');
+    for (const c of analysis.sectionChanges) {
+      lines.push(`  ${(c.time / 1000).toFixed(3).padStart(9)}s  ${c.fromBpm.toFixed(1)} -> ${c.toBpm.toFixed(1)} BPM (${c.action})`);
+    }
+  }
+
+  lines.push('', 'Drift timeline');
+  lines.push('   time (s)  state        event                      BPM  target   drift');
+  for (const e of analysis.timeline) {
+    lines.push([
+      (e.timestamp / 1000).toFixed(3).padStart(11),
+      (e.state || '').padEnd(11),
+      (e.event || '').padEnd(24),
+      num(e.currentBpm, 1).padStart(6),
+      num(e.targetBpm, 1).padStart(7),
+      (e.drift === null ? '-' : (e.drift > 0 ? '+' : '') + e.drift.toFixed(2)).padStart(7)
+    ].join('  '));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  let results;
+  try {
+    results = analyze(options);
+  } catch (err) {
+    fail(`Error reading ${options.input}: ${err.message}`);
+  }
+
+  if (options.midi) {
+    const smf = traceToMidiFile(results.trace, { meter: results.finalState.meter, endTime: results.durationMs });
+    writeFileSync(options.midi, writeMidiFile(smf));
+  }
+
+  const analysis = summarize(results);
+  const output = options.format === 'json'
+    ? JSON.stringify(analysis, null, 2) + '\n'
+    : options.format === 'csv' ? formatCsv(analysis) : formatText(analysis);
+
+  if (options.out) {
+    writeFileSync(options.out, output);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main();
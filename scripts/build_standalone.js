@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+/**
+ * Beat Drift Monitor - Standalone Build
+ *
+ * Inlines the core ES modules into the web-standalone pages so every page
+ * ships as a single self-contained HTML file (works from file:// and from
+ * the GitHub Pages root, where ../core does not resolve).
+ *
+ * During development the pages load core modules directly via
+ * `<script type="module">` imports. This script resolves those imports,
+ * wraps each module in its own function scope and replaces every import
+ * statement with a local binding, so there is still exactly one tracker
+ * implementation - it is just copied into the page at build time.
+ *
+ * Module URLs resolved at runtime (`new URL('./x.js', import.meta.url)`,
+ * e.g. the onset detector AudioWorklet) are bundled the same way and
+ * embedded as Blob URLs.
+ *
+ * Usage:
+ *   node scripts/build_standalone.js          # Build into dist/
+ *   node scripts/build_standalone.js _site    # Build into _site/
+ */
+
+import { readFileSync, writeFileSync, readdirSync, mkdirSync, copyFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve, extname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const ROOT = resolve(__dirname, '..');
+const PAGES_DIR = join(ROOT, 'web-standalone');
+
+const MODULE_SCRIPT_RE = /<script type="module">([\s\S]*?)<\/script>/g;
+const IMPORT_RE = /import\s*(?:\{([^}]*)\}|\*\s*as\s+(\w+))\s*from\s*['"]([^'"]+)['"];?/g;
+const EXPORT_DECL_RE = /^export\s+(?:async\s+)?(?:function\*?|const|let|class)\s+(\w+)/gm;
+const EXPORT_KEYWORD_RE = /^export\s+(?=(?:async\s+)?(?:function|const|let|class)\b)/gm;
+const MODULE_URL_RE = /new URL\(\s*['"](\.[^'"]+)['"]\s*,\s*import\.meta\.url\s*\)/g;
+
+// ============================================================================
+// BUNDLER
+// ============================================================================
+
+/**
+ * Creates a bundle that collects modules in dependency order.
+ * @returns {object} Bundle interface
+ */
+function createBundle() {
+  const modules = new Map();  // absolute path -> { id, code }
+  const order = [];           // emitted after their dependencies
+
+  function addModule(file) {
+    const existing = modules.get(file);
+    if (existing) {
+      if (existing.code === null) {
+        throw new Error(`Circular import not supported: ${file}`);
+      }
+      return existing.id;
+    }
+
+    const entry = { id: `__module${modules.size}`, code: null };
+    modules.set(file, entry);
+
+    const source = readFileSync(file, 'utf-8');
+    const names = [...source.matchAll(EXPORT_DECL_RE)].map(m => m[1]);
+    const body = rewriteModuleUrls(rewriteImports(source, dirname(file)), dirname(file))
+      .replace(EXPORT_KEYWORD_RE, '');
+
+    entry.code = [
+      `// ---- ${file.slice(ROOT.length + 1)} ----`,
+      `const ${entry.id} = (() => {`,
+      body.trim(),
+      `return { ${names.join(', ')} };`,
+      `})();`
+    ].join('\n');
+    order.push(entry);
+
+    return entry.id;
+  }
+
+  /**
+   * Replace import statements with bindings to bundled module objects.
+   */
+  function rewriteImports(source, baseDir) {
+    return source.replace(IMPORT_RE, (_, named, namespace, specifier) => {
+      if (!specifier.startsWith('.')) {
+        throw new Error(`Only relative imports can be inlined: ${specifier}`);
+      }
+      const id = addModule(resolve(baseDir, specifier));
+      if (namespace) return `const ${namespace} = ${id};`;
+
+      const bindings = named
+        .split(',')
+        .map(s => s.trim())
+        .filter(Boolean)
+        .map(s => s.replace(/\s+as\s+/, ': '));
+      return `const { ${bindings.join(', ')} } = ${id};`;
+    });
+  }
+
+  return {
+    rewriteImports,
+    get code() { return order.map(m => m.code).join('\n\n'); }
+  };
+}
+
+/**
+ * Bundle a module and its imports into one standalone script.
+ * @param {string} file - Absolute path of the entry module
+ * @returns {string} Script source
+ */
+function bundleScript(file) {
+  const bundle = createBundle();
+  const body = bundle.rewriteImports(readFileSync(file, 'utf-8'), dirname(file));
+  return `${bundle.code}\n\n${body}`;
+}
+
+/**
+ * Replace runtime module URLs with Blob URLs of their bundled source.
+ */
+function rewriteModuleUrls(source, baseDir) {
+  return source.replace(MODULE_URL_RE, (_, specifier) => {
+    const script = JSON.stringify(bundleScript(resolve(baseDir, specifier)));
+    return `URL.createObjectURL(new Blob([${script}], { type: 'text/javascript' }))`;
+  });
+}
+
+/**
+ * Inline all module imports of an HTML page.
+ * @param {string} html - Page source
+ * @param {string} baseDir - Directory the page's imports are relative to
+ * @returns {string} Page with imports inlined
+ */
+function inlinePage(html, baseDir) {
+  return html.replace(MODULE_SCRIPT_RE, (_, script) => {
+    const bundle = createBundle();
+    const body = bundle.rewriteImports(script, baseDir);
+    return `<script type="module">\n${bundle.code}\n${body}</script>`;
+  });
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+function main() {
+  const outDir = resolve(process.argv[2] || join(ROOT, 'dist'));
+  mkdirSync(outDir, { recursive: true });
+
+  for (const name of readdirSync(PAGES_DIR)) {
+    const src = join(PAGES_DIR, name);
+    const dest = join(outDir, name);
+
+    if (extname(name) === '.html') {
+      const html = readFileSync(src, 'utf-8');
+      writeFileSync(dest, inlinePage(html, PAGES_DIR));
+      console.log(`  inlined ${name}`);
+    } else {
+      copyFileSync(src, dest);
+      console.log(`  copied  ${name}`);
+    }
+  }
+}
+
+main();
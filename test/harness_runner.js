@@ -0,0 +1,147 @@
+/**
+ * Beat Drift Monitor - Harness Scenario Runner
+ *
+ * Runs a test scenario in the browser for test_harness.html: onsets from
+ * the scenario's list or its generator (core/scenario_generators.js), fed
+ * to a tracker, checked against its `expectations` (core/expectations.js).
+ * The command-line runner (run_tests.js) also runs audio, MIDI file and
+ * the other expectation kinds; the harness skips those scenarios.
+ *
+ * Kept out of core/beat_tracker.js so the pages, which inline the
+ * tracker's imports, do not ship test code.
+ */
+
+import { createBeatTracker, createTraceBuffer, State, CONSTANTS } from '../core/beat_tracker.js';
+import { createTempoMap } from '../core/tempo_map.js';
+import { checkExpectations } from '../core/expectations.js';
+import { generateOnsets } from '../core/scenario_generators.js';
+
+// Generators and tempo maps that read fixture files or run the onset
+// detector, and setlists (core/setlist.js drives the tracker); only
+// test/run_tests.js runs them
+const CLI_ONLY_GENERATORS = ['pcm_kicks', 'audio', 'audio_file', 'midi_file'];
+
+/**
+ * Why a scenario cannot run in the browser.
+ * @param {object} scenario - Test scenario definition
+ * @returns {string|null} What it needs (e.g. 'audio_file generator'), or
+ *   null if the harness can run it
+ */
+export function unsupportedInBrowser(scenario) {
+  if (CLI_ONLY_GENERATORS.includes(scenario.generator?.type)) return `${scenario.generator.type} generator`;
+  if (scenario.tempo_map?.midi_file) return 'MIDI file tempo map';
+  if (scenario.setlist) return 'setlist';
+  return null;
+}
+
+/**
+ * Run a test scenario against the beat tracker. Scenarios the browser
+ * cannot run (unsupportedInBrowser) come back `skipped`, not failed.
+ * @param {object} scenario - Test scenario definition
+ * @param {object} options - Tracker options
+ * @param {object} options.constants - Constant overrides
+ * @param {function} options.createTracker - Tracker factory (default
+ *   createBeatTracker), e.g. a strategy from core/tracker_strategies.js
+ * @returns {object} Test results
+ */
+export function runScenario(scenario, options = {}) {
+  const unsupported = unsupportedInBrowser(scenario);
+  if (unsupported) {
+    return {
+      scenario: scenario.name,
+      passed: false,
+      skipped: true,
+      error: `Unsupported in browser: ${unsupported} (run test/run_tests.js)`,
+      checks: [],
+      trace: [],
+      updates: [],
+      finalState: null
+    };
+  }
+
+  const trace = createTraceBuffer(10000);
+  const updates = [];
+  const create = options.createTracker || createBeatTracker;
+
+  // Onsets from the scenario's list or its generator (scenario_generators.js),
+  // and its tempo map
+  let onsets = scenario.onsets;
+  let strengths = [];
+  let tempoMap = null;
+  let error = 'No onsets generated';
+
+  try {
+    if (scenario.tempo_map) tempoMap = createTempoMap(scenario.tempo_map);
+    if (scenario.generator) {
+      ({ onsets, strengths } = generateOnsets(scenario.generator, { calibrationBeats: CONSTANTS.CAL_BEATS, tempoMap }));
+    }
+  } catch (err) {
+    onsets = null;
+    error = err.message;
+  }
+
+  // Tracker clock: the current onset's time
+  let now = 0;
+  const tracker = create({
+    onUpdate: (data) => updates.push({ ...data }),
+    trace,
+    constants: options.constants || {},
+    meter: scenario.meter,
+    tempoMap,
+    sectionChange: scenario.section_change_mode,
+    estimator: scenario.estimator,
+    now: () => now
+  });
+
+  tracker.reset();
+
+  if (!onsets || onsets.length === 0) {
+    tracker.destroy();
+    return {
+      scenario: scenario.name,
+      passed: false,
+      error,
+      checks: [],
+      trace: [],
+      updates: [],
+      finalState: tracker.getState()
+    };
+  }
+
+  // Feed onsets to tracker; the live silence watch would have fired
+  // during any gap
+  const onsetUpdates = [];
+  const silences = [];
+  const targets = scenario.set_target || [];
+  onsets.forEach((timestamp, i) => {
+    now = timestamp;
+    const wasWaiting = tracker.getState().state === State.WAITING;
+    tracker.checkSilence(timestamp);
+    if (!wasWaiting && tracker.getState().state === State.WAITING) silences.push(i + 1);
+    for (const target of targets.filter(t => t.before_onset === i + 1)) tracker.setTarget(target.bpm);
+    tracker.addOnset(timestamp, strengths[i]);
+    onsetUpdates.push(updates[updates.length - 1]);
+  });
+
+  // Evaluate expectations
+  const results = {
+    scenario: scenario.name,
+    passed: true,
+    checks: [],
+    trace: trace.getAll(),
+    updates,
+    finalState: tracker.getState()
+  };
+
+  if (scenario.expectations) {
+    const run = { updates, onsetUpdates, trace: results.trace, onsets, silences };
+    for (const check of checkExpectations(scenario.expectations, run)) {
+      results.checks.push(check);
+      if (!check.passed) results.passed = false;
+    }
+  }
+
+  tracker.destroy();
+
+  return results;
+}
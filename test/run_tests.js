@@ -12,183 +12,849 @@
  *   node run_tests.js --scenario=name    # Run specific scenario
  *   node run_tests.js --verbose          # Show trace details
  *   node run_tests.js --json             # Output JSON results
+ *   node run_tests.js --render-audio=dir # Also write audio scenarios as WAV + labels
+ *   node run_tests.js --tracker=name     # Run with another tracker strategy
+ *   node run_tests.js --tracker=all      # Every strategy side by side
+ *   node run_tests.js --tune=nelder-mead # Tune constants (also grid, random)
+ *
+ * `--tracker` picks a strategy from core/tracker_strategies.js (core,
+ * v2-pll, v1-interval, autocorrelation, ...). With `all` each scenario is
+ * run once per strategy and printed as a row of pass/fail marks with a
+ * total per strategy; the exit status follows the default (core) tracker,
+ * since the older strategies are expected to fail some scenarios. A suite
+ * or `--scenario` filter with no scenarios to run exits with status 1.
+ *
+ * `--tune=grid|random|nelder-mead` searches tracker constants on the
+ * suite (training) with test/tuning.js and prints the sets ranked by
+ * score, the validation result of the best and the default set
+ * (`--validate=suite`, default validation), and the best constants as
+ * JSON for `options.constants` (`--out=file` to write them). Options:
+ * `--params=A,B` (default ADAPT_FAST,GRID_TOLERANCE,CAL_BEATS),
+ * `--iterations=N` (random, nelder-mead; default 40), `--steps=N` (grid
+ * values per parameter; default 4), `--seed=N`, `--top=N` (table rows).
+ *
+ * Audio scenarios run PCM through the onset detector before tracking:
+ *
+ * - `audio` renders its `pattern` onsets with core/synth.js `elements`
+ *   (kick, snare, hihat, cymbal, bass, noise). `pcm_kicks` is the same
+ *   with a kick only.
+ * - `audio_file` decodes a WAV fixture, optionally with onset
+ *   `annotations` (Audacity label track, or JSON `{ "onsets": [ms] }`).
+ *
+ * An `audio` generator's `click` ({ bpm, gain, gate }) adds the app's click
+ * track bleeding into the mic; with `gate` the detector is echo-gated
+ * around each click like the live app does.
+ *
+ * `"detector_mode": "block"` uses the AudioWorklet (per render quantum)
+ * settings instead of the default animation-frame rate. A scenario's
+ * `onset_expectations` compare detected onsets with the rendered or
+ * annotated ones.
+ *
+ * A `songs` generator plays songs separated by silent gaps (`gap_ms`),
+ * each with optional `count_in` beats. With a scenario `setlist` the
+ * tracker is driven by core/setlist.js instead of recalibrating per song;
+ * `song_expectations` check the state at the last onset of a song.
+ *
+ * A scenario `meter` (default "4/4") sets the tracker's time signature;
+ * expectations can check `beat_in_bar`. Audio scenarios pass the
+ * detector's accent strengths to the tracker for downbeat estimation
+ * (an element's `dynamics` accent some of its hits).
+ *
+ * A `groove` generator plays a kick pattern with 8th, 16th or triplet
+ * hits between the beats after a quarter-note calibration; expectations
+ * can check the detected `subdivision` ("beat", "8th", "triplet", "16th").
+ *
+ * Synthetic generators come from core/scenario_generators.js (shared with
+ * the harness), seeded by the generator's `seed`: besides the tempo
+ * shapes there are `human` (Gaussian timing, tempo wander), `swing`,
+ * `fills` (fills and dropouts) and `ghost_notes`, and any generator takes
+ * a `count_in` and `double_triggers` (stray onsets right after some).
+ * Expectations can check calibration's `calibration_quality`,
+ * `calibration_reason` and `rejected_onsets`, and count `recalibrating`
+ * events.
+ *
+ * A `midi_file` generator reads a Standard MIDI File fixture and maps the
+ * kit `notes` (default [36]) to onsets, velocity as accent strength, the
+ * same way live Web MIDI input does (core/midi_input.js).
+ *
+ * A scenario `tempo_map` (core/tempo_map.js JSON, or `{ "midi_file": ... }`
+ * for a fixture's tempo and time signature events) is the tracker's target
+ * instead of the calibrated tempo; the `tempo_map` generator plays it.
+ * Expectations can check `map_beat` and `section`. Setlist songs take a
+ * `tempo_map` too.
+ *
+ * `set_target` ([{ before_onset, bpm }]) calls the tracker's setTarget(bpm)
+ * just before an onset, as tap tempo does, with the tracker's clock at
+ * that onset's time.
+ *
+ * A scenario `estimator` ("pll" or "kalman") picks the core tracker's
+ * grid corrections, so the Kalman filter runs in the default suite too
+ * (the kalman tracker strategy always uses "kalman").
+ *
+ * `section_change_mode` ("keep", "auto" or "prompt") sets what the
+ * tracker does on a steady shift to a new tempo; expectations can count
+ * `section_change` events and check `from_bpm`/`to_bpm`/`section_action`
+ * or the prompt's `pending_section_bpm`.
+ *
+ * `timing_mean_min`/`timing_mean_max`/`timing_std_max` check the rolling
+ * microtiming stats (ms from the target-tempo grid, negative = early).
+ *
+ * `expectations` can also check onset ranges (`from_onset`/`to_onset`,
+ * `from_ms`/`to_ms`, `at_ms`), any update or trace field (`where`) and
+ * trace events (`event` with `count`/`count_min`/`count_max`); see
+ * core/expectations.js.
+ *
+ * `report_expectations` check the core/song_report.js report card of a
+ * tracked song (`song`, default 1): `score_min`/`score_max`,
+ * `in_time_min`/`in_time_max` and `grid_hit_ratio_min`.
+ *
+ * A scenario `midi_clock` ({ mode: "follow" | "target" }) drives a
+ * core/midi_clock.js clock from the tracker into a mock MIDI output, with
+ * its timer stepped between onsets. `clock_expectations` check the pulses
+ * sent by an onset: `bpm_min`/`bpm_max` over the last beat of pulses,
+ * `phase_max_ms` (nearest beat pulse to the onset), `starts`/`stops`
+ * (Start/Stop messages so far) and `running`.
+ *
+ * A scenario `click_track` ({ accents, gap_play_bars, gap_mute_bars,
+ * volume }; `accents` names an ACCENT_PATTERNS entry or lists the levels)
+ * plays a core/click_track.js click on a mock AudioContext, kept on the
+ * tracker's target grid the way the v3 page does, with its timer stepped
+ * between onsets. `click_expectations` check the clicks scheduled by an
+ * onset: `clicks_min`/`clicks_max`, `bpm_min`/`bpm_max` over the last two
+ * clicks, `phase_max_ms` (nearest click to the onset), `levels` of bar
+ * `bar` (1-based; as heard: 2 = accent, 1 = normal, 0 = silent),
+ * `muted_bars` (every muted bar so far) and the output `volume`.
+ *
+ * `session_expectations` check the core/session_recorder.js records (one
+ * per song, as session_store.js saves them), fed the way the v3 page
+ * feeds its recorder: `sessions` (how many were kept), or for record
+ * `session` (1-based) its `song` (setlist name or null), `end_reason`,
+ * `target_bpm`, `beats_min`/`beats_max` (onsets), `tracked_beats_min`,
+ * `in_time_min` and `mean_abs_drift_max` (summary). Every checked record
+ * must also carry the fields history.html reads.
+ *
+ * `midi_export_expectations` export the trace with core/midi_file.js
+ * traceToMidiFile(), write and re-read it, and check the round trip:
+ * `onset_error_max_ms` (notes vs. onsets), `markers` (marker names in
+ * order), and at an `after_onset` the tempo map's `bpm_min`/`bpm_max` or
+ * `bar_line` (the onset starts a bar).
  */
 
-import { readFileSync } from 'fs';
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, extname } from 'path';
 
 // Import the core module
 import {
-  createBeatTracker,
   createTraceBuffer,
   CONSTANTS,
-  State
+  State,
+  parseMeter
 } from '../core/beat_tracker.js';
+import { createOnsetDetector, blockRateOptions } from '../core/onset_detector.js';
+import { renderMix } from '../core/synth.js';
+import { createClickTrack, CLICK_DEFAULTS, CLICK_SOUND, ACCENT_PATTERNS } from '../core/click_track.js';
+import { decodeWav, encodeWav } from '../core/wav.js';
+import { mixToMono } from '../core/offline_analysis.js';
+import { createSetlistController, normalizeSong } from '../core/setlist.js';
+import { splitSongs, buildSongReport } from '../core/song_report.js';
+import { createSessionRecorder } from '../core/session_recorder.js';
+import {
+  parseMidiFile,
+  midiFileOnsets,
+  createTickToMs,
+  writeMidiFile,
+  traceToMidiFile,
+  midiFileTempoMap
+} from '../core/midi_file.js';
+import { createTempoMap } from '../core/tempo_map.js';
+import { createMidiClock, MIDI_CLOCK_DEFAULTS, MIDI_CLOCK_MESSAGES } from '../core/midi_clock.js';
+import { createTracker, trackerNames, DEFAULT_TRACKER } from '../core/tracker_strategies.js';
+import { checkExpectations } from '../core/expectations.js';
+import { generateOnsets, songEndOnsets } from '../core/scenario_generators.js';
+import {
+  tuneConstants,
+  scoreResults,
+  TUNING_METHODS,
+  TUNING_SPACE,
+  DEFAULT_TUNING_PARAMS
+} from './tuning.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Generators calibrate on the default CAL_BEATS (not a tuned one), so
+// every candidate set of constants sees the same onsets
+const GENERATOR_OPTIONS = { calibrationBeats: CONSTANTS.CAL_BEATS };
+
 // ============================================================================
-// ONSET GENERATORS
+// AUDIO PIPELINE
 // ============================================================================
 
-function generatePerfectTempo(bpm, beats, startTime = 0) {
-  const period = 60000 / bpm;
+const PCM_SAMPLE_RATE = 44100;
+const PCM_BLOCK_SIZE = 128;
+const PCM_LEAD_IN_MS = 500;  // Silence before the first hit so it stands out
+
+/**
+ * Run PCM through the onset detector in audio-callback sized blocks.
+ * @returns {object} { onsets, strengths } - times (ms) and accent strengths
+ */
+function detectOnsets(samples, sampleRate, detectorOptions = {}, gates = []) {
   const onsets = [];
-  for (let i = 0; i < beats; i++) {
-    onsets.push(startTime + i * period);
+  const strengths = [];
+  const detector = createOnsetDetector({
+    ...detectorOptions,
+    sampleRate,
+    onOnset: (time, strength) => {
+      onsets.push(time);
+      strengths.push(strength);
+    }
+  });
+  for (const [start, end] of gates) detector.gate(start, end);
+  for (let i = 0; i < samples.length; i += PCM_BLOCK_SIZE) {
+    detector.process(samples.subarray(i, i + PCM_BLOCK_SIZE));
   }
-  return onsets;
+  detector.flush();
+  return { onsets, strengths };
 }
 
-function generateLinearDrift(startBpm, endBpm, beats, startTime = 0) {
-  const onsets = [startTime];
-  let t = startTime;
+function detectorOptions(generator) {
+  const modeOptions = generator.detector_mode === 'block' ? blockRateOptions(generator.sample_rate || PCM_SAMPLE_RATE) : {};
+  return { ...modeOptions, ...generator.detector };
+}
+
+/**
+ * Render a synthesized scenario. Returns the samples, the beat onsets
+ * they were rendered around (the reference for onset expectations) and
+ * the echo gates of a gated click.
+ */
+function renderScenarioAudio(generator) {
+  const sampleRate = generator.sample_rate || PCM_SAMPLE_RATE;
+  const reference = generateOnsets(generator.pattern, GENERATOR_OPTIONS).onsets.map(t => t + PCM_LEAD_IN_MS);
+  const elements = [...(generator.elements || [{ type: 'kick' }])];
+  let clicks = [];
+
+  if (generator.click) {
+    const period = 60000 / generator.click.bpm;
+    for (let t = PCM_LEAD_IN_MS; t <= reference[reference.length - 1]; t += period) clicks.push(t);
+    elements.push({ type: 'click', times: clicks, gain: generator.click.gain });
+    if (!generator.click.gate) clicks = [];
+  }
+
+  const samples = renderMix(reference, elements, { sampleRate, seed: generator.seed });
+  const gates = clicks.map(t => [t - CLICK_DEFAULTS.gateBeforeMs, t + CLICK_DEFAULTS.gateAfterMs]);
+  return { samples, sampleRate, reference, gates };
+}
+
+/**
+ * Read onset annotations: Audacity labels (seconds) or JSON (ms).
+ */
+function loadAnnotations(path) {
+  const text = readFileSync(path, 'utf-8');
+  if (extname(path) === '.json') return JSON.parse(text).onsets;
+
+  return text
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => parseFloat(line.split('\t')[0]) * 1000);
+}
 
-  for (let i = 1; i < beats; i++) {
-    const progress = i / (beats - 1);
-    const currentBpm = startBpm + (endBpm - startBpm) * progress;
-    const period = 60000 / currentBpm;
-    t += period;
-    onsets.push(t);
+function generateAudioOnsets(generator) {
+  if (generator.type === 'audio_file') {
+    const wav = decodeWav(readFileSync(join(__dirname, generator.file)));
+    const reference = generator.annotations ? loadAnnotations(join(__dirname, generator.annotations)) : null;
+    return { ...detectOnsets(mixToMono(wav.channels), wav.sampleRate, detectorOptions(generator)), reference };
   }
 
-  return onsets;
+  const { samples, sampleRate, reference, gates } = renderScenarioAudio(generator);
+  return { ...detectOnsets(samples, sampleRate, detectorOptions(generator), gates), reference };
+}
+
+/**
+ * Write a synthesized scenario as a WAV file plus an Audacity label track,
+ * the format `audio_file` fixtures use.
+ */
+function writeScenarioAudio(scenario, dir) {
+  const { samples, sampleRate, reference } = renderScenarioAudio(scenario.generator);
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, `${scenario.name}.wav`), encodeWav(samples, sampleRate));
+  writeFileSync(join(dir, `${scenario.name}.txt`),
+    reference.map((t, i) => `${(t / 1000).toFixed(6)}\t${(t / 1000).toFixed(6)}\t${i + 1}\n`).join(''));
+}
+
+const AUDIO_GENERATORS = ['pcm_kicks', 'audio', 'audio_file'];
+
+/**
+ * Onsets of a MIDI file fixture through the kit mapping (`notes`,
+ * `channel`), with velocities as accent strengths.
+ */
+function generateMidiOnsets(generator) {
+  const smf = parseMidiFile(readFileSync(join(__dirname, generator.file)));
+  return midiFileOnsets(smf, { notes: generator.notes, channel: generator.channel });
+}
+
+/**
+ * A scenario's `tempo_map`: tempo map JSON, or `{ "midi_file": ... }` to
+ * read it from a MIDI file fixture.
+ */
+function scenarioTempoMap(scenario) {
+  const spec = scenario.tempo_map;
+  if (!spec) return null;
+  if (spec.midi_file) return midiFileTempoMap(parseMidiFile(readFileSync(join(__dirname, spec.midi_file))));
+  return createTempoMap(spec);
 }
 
-function generateExponentialDrift(startBpm, endBpm, beats, startTime = 0) {
-  const onsets = [startTime];
-  let t = startTime;
+// ============================================================================
+// TEST RUNNER
+// ============================================================================
 
-  for (let i = 1; i < beats; i++) {
-    // Exponential interpolation
-    const progress = i / (beats - 1);
-    const expProgress = Math.pow(progress, 2); // Quadratic gives increasing rate
-    const currentBpm = startBpm + (endBpm - startBpm) * expProgress;
-    const period = 60000 / currentBpm;
-    t += period;
-    onsets.push(t);
+/**
+ * Onsets of a scenario: its `onsets` list, or those of its generator
+ * (through the onset detector for audio generators), and its tempo map.
+ * @returns {object} { onsets, strengths, reference, tempoMap }
+ */
+function scenarioOnsets(scenario) {
+  let onsets = scenario.onsets;
+  let strengths = [];
+  let reference = null;
+  const tempoMap = scenarioTempoMap(scenario);
+  if (scenario.generator) {
+    if (AUDIO_GENERATORS.includes(scenario.generator.type)) {
+      ({ onsets, strengths, reference } = generateAudioOnsets(scenario.generator));
+    } else if (scenario.generator.type === 'midi_file') {
+      ({ onsets, strengths } = generateMidiOnsets(scenario.generator));
+    } else {
+      ({ onsets, strengths } = generateOnsets(scenario.generator, { ...GENERATOR_OPTIONS, tempoMap }));
+    }
   }
+  return { onsets, strengths, reference, tempoMap };
+}
+
+/**
+ * Match detected onsets to reference onsets (each used at most once).
+ * @returns {object} { missed: reference indices, extra: detected indices, errors: ms }
+ */
+function matchOnsets(detected, reference, toleranceMs) {
+  const used = new Set();
+  const missed = [];
+  const errors = [];
+
+  reference.forEach((ref, i) => {
+    let best = -1;
+    for (let j = 0; j < detected.length; j++) {
+      if (used.has(j) || Math.abs(detected[j] - ref) > toleranceMs) continue;
+      if (best < 0 || Math.abs(detected[j] - ref) < Math.abs(detected[best] - ref)) best = j;
+    }
+    if (best < 0) {
+      missed.push(i);
+    } else {
+      used.add(best);
+      errors.push(detected[best] - ref);
+    }
+  });
 
-  return onsets;
+  const extra = detected.map((_, j) => j).filter(j => !used.has(j));
+  return { missed, extra, errors };
 }
 
-function generateWithJitter(bpm, beats, jitterMs, startTime = 0) {
-  const base = generatePerfectTempo(bpm, beats, startTime);
-  // Use seeded random for reproducibility
-  let seed = 12345;
-  const seededRandom = () => {
-    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
-    return (seed / 0x7fffffff) - 0.5;
+function checkOnsets(detected, reference, exp) {
+  if (!reference) {
+    return [{ after_onset: 0, passed: false, error: 'onset_expectations need a rendered or annotated reference' }];
+  }
+
+  const { tolerance_ms = 30, max_missed = 0, max_extra = 0 } = exp;
+  const { missed, extra } = matchOnsets(detected, reference, tolerance_ms);
+  const checks = [];
+
+  const missedCheck = { after_onset: missed.length ? missed[0] + 1 : reference.length, expected: exp, passed: missed.length <= max_missed };
+  if (!missedCheck.passed) {
+    missedCheck.error = `${missed.length} reference onsets missed (max ${max_missed}), first at ${reference[missed[0]].toFixed(1)}ms`;
+  }
+  checks.push(missedCheck);
+
+  const extraCheck = { after_onset: extra.length ? extra[0] + 1 : detected.length, expected: exp, passed: extra.length <= max_extra };
+  if (!extraCheck.passed) {
+    extraCheck.error = `${extra.length} extra onsets detected (max ${max_extra}), first at ${detected[extra[0]].toFixed(1)}ms`;
+  }
+  checks.push(extraCheck);
+
+  return checks;
+}
+
+/**
+ * Check the tracker state at the last onset of a song.
+ */
+function checkSong(exp, endOnset, onsetUpdates) {
+  if (!endOnset || !onsetUpdates[endOnset - 1]) {
+    return [{ after_onset: 0, passed: false, error: `song ${exp.song} not found (song_expectations need a songs generator)` }];
+  }
+
+  const update = onsetUpdates[endOnset - 1];
+  const check = {
+    after_onset: endOnset,
+    expected: exp,
+    actual: { drift: update.drift, state: update.state, targetBpm: update.targetBpm },
+    passed: true
   };
-  return base.map(t => t + seededRandom() * 2 * jitterMs);
+  const fail = (error) => { check.passed = false; check.error = `song ${exp.song}: ${error}`; };
+
+  if (exp.target_bpm !== undefined && Math.abs(update.targetBpm - exp.target_bpm) > (exp.tolerance_bpm ?? 0.1)) {
+    fail(`target ${update.targetBpm} BPM !== expected ${exp.target_bpm}`);
+  }
+  if (exp.drift_min !== undefined && update.drift < exp.drift_min) {
+    fail(`drift ${update.drift} < expected min ${exp.drift_min}`);
+  }
+  if (exp.drift_max !== undefined && update.drift > exp.drift_max) {
+    fail(`drift ${update.drift} > expected max ${exp.drift_max}`);
+  }
+  if (exp.state !== undefined && update.state !== exp.state) {
+    fail(`state ${update.state} !== expected ${exp.state}`);
+  }
+
+  return [check];
 }
 
-function generateWithMissedBeats(bpm, beats, missIndices, startTime = 0) {
-  const all = generatePerfectTempo(bpm, beats, startTime);
-  const missSet = new Set(missIndices);
-  return all.filter((_, i) => !missSet.has(i));
+/**
+ * Check the report card of the n-th tracked song.
+ */
+function checkReport(exp, songs, onsets) {
+  const song = exp.song ?? 1;
+  const entries = songs[song - 1];
+  const report = entries ? buildSongReport(entries) : null;
+  if (!report) {
+    return [{ after_onset: 0, passed: false, error: `report: song ${song} was not tracked` }];
+  }
+
+  const check = {
+    after_onset: onsets.indexOf(report.endTime) + 1,
+    expected: exp,
+    actual: { score: report.score, inTimeRatio: report.inTimeRatio, gridHitRatio: report.gridHitRatio },
+    passed: true
+  };
+  const fail = (error) => { check.passed = false; check.error = `report song ${song}: ${error}`; };
+
+  if (exp.score_min !== undefined && report.score < exp.score_min) {
+    fail(`score ${report.score} < expected min ${exp.score_min}`);
+  }
+  if (exp.score_max !== undefined && report.score > exp.score_max) {
+    fail(`score ${report.score} > expected max ${exp.score_max}`);
+  }
+  if (exp.in_time_min !== undefined && report.inTimeRatio < exp.in_time_min) {
+    fail(`in time ${report.inTimeRatio.toFixed(2)} < expected min ${exp.in_time_min}`);
+  }
+  if (exp.in_time_max !== undefined && report.inTimeRatio > exp.in_time_max) {
+    fail(`in time ${report.inTimeRatio.toFixed(2)} > expected max ${exp.in_time_max}`);
+  }
+  if (exp.grid_hit_ratio_min !== undefined && report.gridHitRatio < exp.grid_hit_ratio_min) {
+    fail(`grid hit ratio ${report.gridHitRatio.toFixed(2)} < expected min ${exp.grid_hit_ratio_min}`);
+  }
+
+  return [check];
 }
 
-function generateTwoTempo(cal_bpm, cal_beats, play_bpm, play_beats, startTime = 0) {
-  const section1 = generatePerfectTempo(cal_bpm, cal_beats, startTime);
-  const lastTime = section1[section1.length - 1];
-  const period2 = 60000 / play_bpm;
-  const section2 = generatePerfectTempo(play_bpm, play_beats, lastTime + period2);
-  return [...section1, ...section2];
+// Session record fields (and drift point fields) history.html reads
+const SESSION_FIELDS = ['startedAt', 'endedAt', 'endReason', 'song', 'targetBpm', 'onsets', 'drift',
+  'gridHits', 'gridMisses', 'tempoMultipleChanges', 'summary'];
+const SESSION_POINT_FIELDS = ['time', 'drift', 'bpm', 'targetBpm', 'confidence'];
+
+/**
+ * Check the session recorder's records: how many, or one record's song,
+ * end, tempo, length and summary.
+ */
+function checkSession(exp, records, onsets) {
+  if (exp.session === undefined) {
+    const check = { after_onset: onsets.length, expected: exp, actual: { sessions: records.length }, passed: true };
+    if (exp.sessions !== undefined && records.length !== exp.sessions) {
+      check.passed = false;
+      check.error = `sessions: ${records.length} recorded !== expected ${exp.sessions}`;
+    }
+    return [check];
+  }
+
+  const record = records[exp.session - 1];
+  if (!record) {
+    return [{ after_onset: 0, passed: false, error: `session ${exp.session} was not recorded (${records.length} sessions)` }];
+  }
+
+  const { summary } = record;
+  const check = {
+    after_onset: onsets.indexOf(record.onsets[record.onsets.length - 1]) + 1,
+    expected: exp,
+    actual: {
+      song: record.song,
+      endReason: record.endReason,
+      targetBpm: record.targetBpm,
+      beats: summary?.beats,
+      trackedBeats: summary?.trackedBeats,
+      inTimeRatio: summary?.inTimeRatio,
+      meanAbsDrift: summary?.meanAbsDrift
+    },
+    passed: true
+  };
+  const errors = [];
+
+  const missing = [
+    ...SESSION_FIELDS.filter(field => record[field] === undefined),
+    ...SESSION_POINT_FIELDS.filter(field => record.drift?.some(p => p[field] === undefined)).map(field => `drift[].${field}`)
+  ];
+  if (missing.length) errors.push(`missing ${missing.join(', ')}`);
+  if (!summary) {
+    check.passed = false;
+    check.error = `session ${exp.session}: ${[...errors, 'no summary'].join('; ')}`;
+    return [check];
+  }
+
+  if (exp.song !== undefined && record.song !== exp.song) {
+    errors.push(`song ${record.song} !== expected ${exp.song}`);
+  }
+  if (exp.end_reason !== undefined && record.endReason !== exp.end_reason) {
+    errors.push(`ended by ${record.endReason} !== expected ${exp.end_reason}`);
+  }
+  if (exp.target_bpm !== undefined && !(Math.abs(record.targetBpm - exp.target_bpm) <= (exp.tolerance_bpm ?? 0.1))) {
+    errors.push(`target ${record.targetBpm} BPM !== expected ${exp.target_bpm}`);
+  }
+  if (exp.beats_min !== undefined && summary.beats < exp.beats_min) {
+    errors.push(`${summary.beats} beats < expected min ${exp.beats_min}`);
+  }
+  if (exp.beats_max !== undefined && summary.beats > exp.beats_max) {
+    errors.push(`${summary.beats} beats > expected max ${exp.beats_max}`);
+  }
+  if (exp.tracked_beats_min !== undefined && summary.trackedBeats < exp.tracked_beats_min) {
+    errors.push(`${summary.trackedBeats} tracked beats < expected min ${exp.tracked_beats_min}`);
+  }
+  if (exp.in_time_min !== undefined && summary.inTimeRatio < exp.in_time_min) {
+    errors.push(`in time ${summary.inTimeRatio.toFixed(2)} < expected min ${exp.in_time_min}`);
+  }
+  if (exp.mean_abs_drift_max !== undefined && summary.meanAbsDrift > exp.mean_abs_drift_max) {
+    errors.push(`mean |drift| ${summary.meanAbsDrift.toFixed(2)} > expected max ${exp.mean_abs_drift_max}`);
+  }
+
+  if (errors.length) {
+    check.passed = false;
+    check.error = `session ${exp.session}: ${errors.join('; ')}`;
+  }
+  return [check];
 }
 
-function generateSectionChange(bpm1, beats1, bpm2, beats2, startTime = 0) {
-  const section1 = generatePerfectTempo(bpm1, beats1, startTime);
-  const lastTime = section1[section1.length - 1];
-  const period2 = 60000 / bpm2;
-  const section2 = generatePerfectTempo(bpm2, beats2, lastTime + period2);
-  return [...section1, ...section2];
+/**
+ * Check the MIDI clock messages sent by an onset.
+ */
+function checkClock(exp, onsets, messages, clock) {
+  const time = onsets[exp.after_onset - 1];
+  if (time === undefined) {
+    return [{ after_onset: exp.after_onset, passed: false, error: `clock: onset ${exp.after_onset} not found` }];
+  }
+
+  const sent = messages.filter(m => m.sentAt <= time);
+  const sentPulses = sent.filter(m => m.data[0] === MIDI_CLOCK_MESSAGES.clock);
+  const pulses = sentPulses.filter(m => m.time <= time);
+  const count = status => sent.filter(m => m.data[0] === status).length;
+  const lastBeat = pulses.slice(-(MIDI_CLOCK_DEFAULTS.ppqn + 1));
+  const bpm = lastBeat.length > MIDI_CLOCK_DEFAULTS.ppqn
+    ? 60000 / (lastBeat[lastBeat.length - 1].time - lastBeat[0].time)
+    : null;
+  // Pulses already sent ahead of the onset count for the phase
+  const beatPulses = sentPulses.filter(m => m.pulse % MIDI_CLOCK_DEFAULTS.ppqn === 0);
+  const phase = beatPulses.length
+    ? Math.min(...beatPulses.slice(-2).map(m => Math.abs(m.time - time)))
+    : null;
+  const running = clock.runningAt[exp.after_onset - 1];
+
+  const check = {
+    after_onset: exp.after_onset,
+    expected: exp,
+    actual: { bpm, phaseMs: phase, starts: count(MIDI_CLOCK_MESSAGES.start), stops: count(MIDI_CLOCK_MESSAGES.stop), running },
+    passed: true
+  };
+  const fail = (error) => { check.passed = false; check.error = `clock: ${error}`; };
+
+  if (exp.bpm_min !== undefined && !(bpm >= exp.bpm_min)) {
+    fail(`${bpm === null ? 'no full beat of pulses' : `clock ${bpm.toFixed(2)} BPM`} < expected min ${exp.bpm_min}`);
+  }
+  if (exp.bpm_max !== undefined && !(bpm <= exp.bpm_max)) {
+    fail(`${bpm === null ? 'no full beat of pulses' : `clock ${bpm.toFixed(2)} BPM`} > expected max ${exp.bpm_max}`);
+  }
+  if (exp.phase_max_ms !== undefined && !(phase <= exp.phase_max_ms)) {
+    fail(`beat pulse ${phase === null ? 'missing' : `${phase.toFixed(1)} ms`} from onset > expected max ${exp.phase_max_ms}`);
+  }
+  if (exp.starts !== undefined && check.actual.starts !== exp.starts) {
+    fail(`${check.actual.starts} Start messages !== expected ${exp.starts}`);
+  }
+  if (exp.stops !== undefined && check.actual.stops !== exp.stops) {
+    fail(`${check.actual.stops} Stop messages !== expected ${exp.stops}`);
+  }
+  if (exp.running !== undefined && running !== exp.running) {
+    fail(`running ${running} !== expected ${exp.running}`);
+  }
+
+  return [check];
 }
 
-function generateThreeSection(bpm1, beats1, bpm2, beats2, bpm3, beats3, startTime = 0) {
-  const section1 = generatePerfectTempo(bpm1, beats1, startTime);
-  const lastTime1 = section1[section1.length - 1];
-  const period2 = 60000 / bpm2;
-  const section2 = generatePerfectTempo(bpm2, beats2, lastTime1 + period2);
-  const lastTime2 = section2[section2.length - 1];
-  const period3 = 60000 / bpm3;
-  const section3 = generatePerfectTempo(bpm3, beats3, lastTime2 + period3);
-  return [...section1, ...section2, ...section3];
+/**
+ * Check the clicks a click track scheduled by an onset.
+ */
+function checkClicks(exp, onsets, click) {
+  const time = onsets[exp.after_onset - 1];
+  if (time === undefined) {
+    return [{ after_onset: exp.after_onset, passed: false, error: `click: onset ${exp.after_onset} not found` }];
+  }
+
+  const sent = click.clicks.filter(c => c.sentAt <= time);
+  const last = sent.slice(-2);
+  const bpm = last.length === 2 ? 60000 / (last[1].time - last[0].time) : null;
+  const phase = sent.length ? Math.min(...sent.slice(-2).map(c => Math.abs(c.time - time))) : null;
+  const bars = [...new Set(sent.map(c => c.bar))];
+  const mutedBars = bars
+    .filter(bar => sent.filter(c => c.bar === bar).every(c => c.muted))
+    .map(bar => bar + 1);
+  const levels = sent.filter(c => c.bar === (exp.bar ?? 1) - 1).map(c => c.heard);
+
+  const check = {
+    after_onset: exp.after_onset,
+    expected: exp,
+    actual: { clicks: sent.length, bpm, phaseMs: phase, levels, mutedBars, volume: click.volume },
+    passed: true
+  };
+  const fail = (error) => { check.passed = false; check.error = `click: ${error}`; };
+
+  if (exp.clicks_min !== undefined && !(sent.length >= exp.clicks_min)) {
+    fail(`${sent.length} clicks < expected min ${exp.clicks_min}`);
+  }
+  if (exp.clicks_max !== undefined && !(sent.length <= exp.clicks_max)) {
+    fail(`${sent.length} clicks > expected max ${exp.clicks_max}`);
+  }
+  if (exp.bpm_min !== undefined && !(bpm >= exp.bpm_min)) {
+    fail(`${bpm === null ? 'fewer than two clicks' : `click ${bpm.toFixed(2)} BPM`} < expected min ${exp.bpm_min}`);
+  }
+  if (exp.bpm_max !== undefined && !(bpm <= exp.bpm_max)) {
+    fail(`${bpm === null ? 'fewer than two clicks' : `click ${bpm.toFixed(2)} BPM`} > expected max ${exp.bpm_max}`);
+  }
+  if (exp.phase_max_ms !== undefined && !(phase <= exp.phase_max_ms)) {
+    fail(`click ${phase === null ? 'missing' : `${phase.toFixed(1)} ms`} from onset > expected max ${exp.phase_max_ms}`);
+  }
+  if (exp.levels !== undefined && levels.join() !== exp.levels.join()) {
+    fail(`bar ${exp.bar ?? 1} levels [${levels}] !== expected [${exp.levels}]`);
+  }
+  if (exp.muted_bars !== undefined && mutedBars.join() !== exp.muted_bars.join()) {
+    fail(`muted bars [${mutedBars}] !== expected [${exp.muted_bars}]`);
+  }
+  if (exp.volume !== undefined && click.volume !== exp.volume) {
+    fail(`volume ${click.volume} !== expected ${exp.volume}`);
+  }
+
+  return [check];
 }
 
-function generateOnsets(generator) {
-  switch (generator.type) {
-    case 'perfect':
-      return generatePerfectTempo(generator.bpm, generator.beats, 0);
-
-    case 'linear_drift':
-      return generateLinearDrift(generator.start_bpm, generator.end_bpm, generator.beats, 0);
-
-    case 'exponential_drift':
-      return generateExponentialDrift(generator.start_bpm, generator.end_bpm, generator.beats, 0);
-
-    case 'jitter':
-      return generateWithJitter(generator.bpm, generator.beats, generator.jitter_ms, 0);
-
-    case 'missed_beats':
-      return generateWithMissedBeats(generator.bpm, generator.beats, generator.miss_indices, 0);
-
-    case 'two_tempo':
-      return generateTwoTempo(
-        generator.calibration_bpm,
-        generator.calibration_beats,
-        generator.play_bpm,
-        generator.play_beats,
-        0
-      );
-
-    case 'section_change':
-      return generateSectionChange(
-        generator.section1_bpm,
-        generator.section1_beats,
-        generator.section2_bpm,
-        generator.section2_beats,
-        0
-      );
-
-    case 'three_section':
-      return generateThreeSection(
-        generator.section1_bpm,
-        generator.section1_beats,
-        generator.section2_bpm,
-        generator.section2_beats,
-        generator.section3_bpm,
-        generator.section3_beats,
-        0
-      );
-
-    default:
-      throw new Error(`Unknown generator type: ${generator.type}`);
+/**
+ * Check the Standard MIDI File export of the trace, read back from bytes.
+ */
+function checkMidiExport(exp, smf, onsets, meter) {
+  const check = { after_onset: exp.after_onset ?? 0, expected: exp, actual: {}, passed: true };
+  const fail = (error) => { check.passed = false; check.error = `midi export: ${error}`; };
+
+  if (exp.onset_error_max_ms !== undefined) {
+    const notes = midiFileOnsets(smf, { notes: [36], minInterOnsetMs: 0 }).onsets;
+    const error = Math.max(0, ...notes.map((t, i) => Math.abs(t - onsets[i])));
+    check.actual.notes = notes.length;
+    check.actual.onsetErrorMs = error;
+    if (notes.length !== onsets.length) {
+      fail(`${notes.length} notes !== ${onsets.length} onsets`);
+    } else if (error > exp.onset_error_max_ms) {
+      fail(`note ${error.toFixed(2)} ms from its onset > expected max ${exp.onset_error_max_ms}`);
+    }
+  }
+
+  if (exp.markers !== undefined) {
+    const markers = smf.tracks[0].filter(e => e.metaType === 0x06).map(e => e.text.split(' ')[0]);
+    check.actual.markers = markers;
+    if (markers.join() !== exp.markers.join()) fail(`markers [${markers.join(', ')}] !== expected [${exp.markers.join(', ')}]`);
+  }
+
+  if (exp.after_onset !== undefined) {
+    const tickToMs = createTickToMs(smf);
+    const time = onsets[exp.after_onset - 1];
+    const notes = smf.tracks[1].filter(e => e.type === 'channel' && e.data[2] > 0);
+    const tick = notes[exp.after_onset - 1]?.tick;
+    const tempo = smf.tracks[0].filter(e => e.tempo !== undefined && e.tick <= tick).pop()?.tempo;
+    const { beatsPerBar, unit } = parseMeter(meter);
+    const bpm = tempo ? (60000000 / tempo) * unit / 4 : null;
+    check.actual.bpm = bpm;
+    check.actual.tickMs = tick === undefined ? null : tickToMs(tick) - time;
+
+    if (tick === undefined) fail(`no note for onset ${exp.after_onset}`);
+    if (exp.bpm_min !== undefined && !(bpm >= exp.bpm_min)) fail(`tempo ${bpm?.toFixed(2)} BPM < expected min ${exp.bpm_min}`);
+    if (exp.bpm_max !== undefined && !(bpm <= exp.bpm_max)) fail(`tempo ${bpm?.toFixed(2)} BPM > expected max ${exp.bpm_max}`);
+    if (exp.bar_line && tick % (smf.division * beatsPerBar * 4 / unit) !== 0) {
+      fail(`onset at tick ${tick} is not on a bar line`);
+    }
   }
+
+  return [check];
 }
 
-// ============================================================================
-// TEST RUNNER
-// ============================================================================
+/**
+ * MIDI clock driven by the tracker into a mock output. The clock's timer
+ * is stepped through the gap before each onset (see feed()).
+ */
+function createClockHarness(options) {
+  let now = 0;
+  let pulse = 0;
+  const messages = [];
+  const runningAt = [];
+
+  const output = {
+    send(data, timestamp) {
+      const status = data[0];
+      messages.push({ data: [...data], time: timestamp, sentAt: now, pulse: status === MIDI_CLOCK_MESSAGES.clock ? pulse++ : null });
+      if (status === MIDI_CLOCK_MESSAGES.start) pulse = 0;
+    }
+  };
+  const clock = createMidiClock(output, { ...options, now: () => now, toOutputTime: ms => ms, intervalMs: 0 });
+
+  return {
+    messages,
+    runningAt,
+    advance(time) {
+      for (let t = now + MIDI_CLOCK_DEFAULTS.intervalMs; t < time; t += MIDI_CLOCK_DEFAULTS.intervalMs) {
+        now = t;
+        clock.tick();
+      }
+      now = time;
+    },
+    update(state) {
+      clock.update(state);
+      runningAt.push(clock.running);
+    }
+  };
+}
+
+/**
+ * A core/click_track.js click track on a mock AudioContext (context time
+ * = onset clock / 1000) whose timer is stepped between onsets. It follows
+ * the tracker like the v3 page's updateClickTrack(): starts on the target
+ * grid through the phase once tracking, and re-locks to a new target or
+ * when tracking resumes after WAITING (a new song).
+ * Every scheduled click is kept with the time it was scheduled (`sentAt`)
+ * and the level it was `heard` at (the oscillator it played, 0 if none).
+ */
+function createClickHarness(options) {
+  let now = 0;
+  let heard = 0;
+  let output = null;
+  let period = 0;
+  let lastState = null;
+  const clicks = [];
+
+  const param = (value) => ({
+    value,
+    setValueAtTime() {},
+    linearRampToValueAtTime() {},
+    exponentialRampToValueAtTime() {},
+    setTargetAtTime(target) { this.value = target; }
+  });
+  const ctx = {
+    currentTime: 0,
+    destination: {},
+    createGain() {
+      const node = { gain: param(1), connect() {}, disconnect() {} };
+      output ??= node;  // The track's output is its first gain node
+      return node;
+    },
+    createOscillator() {
+      const osc = {
+        frequency: param(0),
+        connect() {},
+        start() { heard = osc.frequency.value === CLICK_SOUND.accentFreq ? 2 : 1; },
+        stop() {}
+      };
+      return osc;
+    }
+  };
+  const source = { now: () => now, toContextTime: ms => ms / 1000, gate() {} };
+
+  const settings = {
+    accents: typeof options.accents === 'string' ? ACCENT_PATTERNS[options.accents] : options.accents,
+    gapPlayBars: options.gap_play_bars,
+    gapMuteBars: options.gap_mute_bars,
+    volume: options.volume
+  };
+  const track = createClickTrack(ctx, source, {
+    ...Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined)),
+    intervalMs: 0,
+    onClick: (click) => {
+      clicks.push({ ...click, sentAt: now, heard });
+      heard = 0;
+    }
+  });
+
+  return {
+    clicks,
+    get volume() { return output.gain.value; },
+    advance(time) {
+      for (let t = now + CLICK_DEFAULTS.intervalMs; t < time; t += CLICK_DEFAULTS.intervalMs) {
+        now = t;
+        track.tick();
+      }
+      now = time;
+    },
+    update(state) {
+      const resumed = state.state === State.TRACKING && lastState === State.WAITING;
+      lastState = state.state;
+      if (!state.targetPeriod) return;
+      if (!track.running) {
+        if (state.state !== State.TRACKING) return;
+        track.start(state.targetPeriod, state.phase);
+      } else if (state.targetPeriod !== period || resumed) {
+        track.setPeriod(state.targetPeriod);
+        track.align(state.phase);
+      }
+      period = state.targetPeriod;
+    },
+    destroy: track.destroy
+  };
+}
 
 function runScenario(scenario, options = {}) {
   const trace = createTraceBuffer(10000);
   const updates = [];
+  let setlist = null;
+  const { onsets, strengths, reference, tempoMap } = options.generated || scenarioOnsets(scenario);
 
-  const tracker = createBeatTracker({
-    onUpdate: (data) => updates.push({ ...data }),
+  // Tracker and session recorder clock: the current onset's time (the
+  // page uses the wall clock)
+  const sessions = [];
+  let now = 0;
+  const recorder = scenario.session_expectations
+    ? createSessionRecorder({
+      onSession: (record) => sessions.push(record),
+      clock: () => now,
+      getSong: () => setlist?.current?.name ?? null
+    })
+    : null;
+
+  const tracker = createTracker(options.tracker, {
+    onUpdate: (data) => {
+      updates.push({ ...data });
+      if (setlist) setlist.update(data);
+      if (recorder) recorder.update(data);
+    },
     trace,
-    constants: options.constants || {}
+    constants: options.constants || {},
+    meter: scenario.meter,
+    tempoMap,
+    sectionChange: scenario.section_change_mode,
+    estimator: scenario.estimator,
+    now: () => now
   });
 
   tracker.reset();
 
-  // Generate onsets
-  let onsets = scenario.onsets;
-  if (scenario.generator) {
-    onsets = generateOnsets(scenario.generator);
+  if (scenario.setlist) {
+    setlist = createSetlistController({
+      songs: scenario.setlist.map((song, i) => normalizeSong({ ...song, countIn: song.count_in, tempoMap: song.tempo_map }, i)),
+      setTarget: tracker.setTarget
+    });
+    setlist.start();
   }
 
   if (!onsets || onsets.length === 0) {
@@ -202,10 +868,31 @@ function runScenario(scenario, options = {}) {
     };
   }
 
-  // Feed onsets to tracker
-  for (const timestamp of onsets) {
-    tracker.addOnset(timestamp);
-  }
+  // Feed onsets to tracker; the live silence watch would have fired
+  // during any song gap. onsetUpdates[i] is the state after onset i + 1.
+  // A silence timeout anywhere but before a song is a false WAITING.
+  const onsetUpdates = [];
+  const midiClock = scenario.midi_clock ? createClockHarness(scenario.midi_clock) : null;
+  const click = scenario.click_track ? createClickHarness(scenario.click_track) : null;
+  const songStarts = new Set(scenario.generator?.type === 'songs'
+    ? songEndOnsets(scenario.generator).map(end => end + 1)
+    : []);
+  const silences = [];
+  const targets = scenario.set_target || [];
+  onsets.forEach((timestamp, i) => {
+    if (midiClock) midiClock.advance(timestamp);
+    if (click) click.advance(timestamp);
+    now = timestamp;
+    const wasWaiting = tracker.getState().state === State.WAITING;
+    tracker.checkSilence(timestamp);
+    if (!wasWaiting && tracker.getState().state === State.WAITING) silences.push(i + 1);
+    for (const target of targets.filter(t => t.before_onset === i + 1)) tracker.setTarget(target.bpm);
+    if (recorder) recorder.addOnset(timestamp);
+    tracker.addOnset(timestamp, strengths[i]);
+    onsetUpdates.push(updates[updates.length - 1]);
+    if (midiClock) midiClock.update(tracker.getState());
+    if (click) click.update(tracker.getState());
+  });
 
   // Evaluate expectations
   const results = {
@@ -215,53 +902,93 @@ function runScenario(scenario, options = {}) {
     checks: [],
     trace: trace.getAll(),
     updates,
+    onsetUpdates,
     finalState: tracker.getState(),
-    onsetCount: onsets.length
+    onsetCount: onsets.length,
+    falseWaiting: silences.filter(onset => !songStarts.has(onset)).length
   };
 
   if (scenario.expectations) {
-    for (const exp of scenario.expectations) {
-      const afterIdx = exp.after_onset - 1;
-      if (afterIdx >= 0 && afterIdx < updates.length) {
-        const update = updates[afterIdx];
-        const check = {
-          after_onset: exp.after_onset,
-          expected: exp,
-          actual: {
-            drift: update.drift,
-            state: update.state,
-            confidence: update.confidence
-          },
-          passed: true
-        };
-
-        // Check drift bounds
-        if (exp.drift_min !== undefined && update.drift < exp.drift_min) {
-          check.passed = false;
-          check.error = `drift ${update.drift} < expected min ${exp.drift_min}`;
-        }
-        if (exp.drift_max !== undefined && update.drift > exp.drift_max) {
-          check.passed = false;
-          check.error = `drift ${update.drift} > expected max ${exp.drift_max}`;
-        }
-        if (exp.state !== undefined && update.state !== exp.state) {
-          check.passed = false;
-          check.error = `state ${update.state} !== expected ${exp.state}`;
-        }
+    const run = { updates, onsetUpdates, trace: results.trace, onsets, silences };
+    for (const check of checkExpectations(scenario.expectations, run)) {
+      results.checks.push(check);
+      if (!check.passed) results.passed = false;
+    }
+  }
+
+  if (scenario.song_expectations) {
+    const ends = scenario.generator?.type === 'songs' ? songEndOnsets(scenario.generator) : [];
+    for (const exp of scenario.song_expectations) {
+      for (const check of checkSong(exp, ends[exp.song - 1], onsetUpdates)) {
+        results.checks.push(check);
+        if (!check.passed) results.passed = false;
+      }
+    }
+  }
+
+  if (scenario.report_expectations) {
+    const songs = splitSongs(results.trace);
+    for (const exp of scenario.report_expectations) {
+      for (const check of checkReport(exp, songs, onsets)) {
+        results.checks.push(check);
+        if (!check.passed) results.passed = false;
+      }
+    }
+  }
 
+  if (scenario.session_expectations) {
+    recorder.finish('stop');
+    for (const exp of scenario.session_expectations) {
+      for (const check of checkSession(exp, sessions, onsets)) {
         results.checks.push(check);
         if (!check.passed) results.passed = false;
-      } else {
-        results.checks.push({
-          after_onset: exp.after_onset,
-          passed: false,
-          error: `Onset ${exp.after_onset} not found (only ${updates.length} updates)`
-        });
-        results.passed = false;
       }
     }
   }
 
+  if (scenario.clock_expectations) {
+    for (const exp of scenario.clock_expectations) {
+      const checks = midiClock
+        ? checkClock(exp, onsets, midiClock.messages, midiClock)
+        : [{ after_onset: exp.after_onset, passed: false, error: 'clock_expectations need a midi_clock' }];
+      for (const check of checks) {
+        results.checks.push(check);
+        if (!check.passed) results.passed = false;
+      }
+    }
+  }
+
+  if (scenario.click_expectations) {
+    for (const exp of scenario.click_expectations) {
+      const checks = click
+        ? checkClicks(exp, onsets, click)
+        : [{ after_onset: exp.after_onset, passed: false, error: 'click_expectations need a click_track' }];
+      for (const check of checks) {
+        results.checks.push(check);
+        if (!check.passed) results.passed = false;
+      }
+    }
+  }
+
+  if (scenario.midi_export_expectations) {
+    const meter = results.finalState.meter;
+    const smf = parseMidiFile(writeMidiFile(traceToMidiFile(results.trace, { meter })));
+    for (const exp of scenario.midi_export_expectations) {
+      for (const check of checkMidiExport(exp, smf, onsets, meter)) {
+        results.checks.push(check);
+        if (!check.passed) results.passed = false;
+      }
+    }
+  }
+
+  if (scenario.onset_expectations) {
+    for (const check of checkOnsets(onsets, reference, scenario.onset_expectations)) {
+      results.checks.push(check);
+      if (!check.passed) results.passed = false;
+    }
+  }
+
+  if (click) click.destroy();
   tracker.destroy();
 
   return results;
@@ -271,6 +998,150 @@ function runScenario(scenario, options = {}) {
 // MAIN
 // ============================================================================
 
+/**
+ * Run every scenario with every tracker strategy and print one row per
+ * scenario. Failures are listed per strategy in the usual error format.
+ */
+function runSideBySide(scenarios, scenariosData, jsonOutput) {
+  const names = trackerNames();
+  const totals = Object.fromEntries(names.map(name => [name, 0]));
+  const results = [];
+  const width = Math.max(...scenarios.map(s => s.name.length));
+
+  if (!jsonOutput) {
+    console.log(`\nRunning ${scenarios.length} test scenarios with ${names.length} trackers...\n`);
+    console.log(`  ${''.padEnd(width)}  ${names.join('  ')}`);
+  }
+
+  for (const scenario of scenarios) {
+    const row = names.map(name => {
+      const result = runScenario(scenario, { tracker: name });
+      results.push({ tracker: name, ...result });
+      if (result.passed) totals[name]++;
+      return result;
+    });
+
+    if (!jsonOutput) {
+      const marks = row.map((result, i) => (result.passed ? '\u2713' : '\u2717').padEnd(names[i].length));
+      console.log(`  ${scenario.name.padEnd(width)}  ${marks.join('  ')}`);
+      row.forEach((result, i) => {
+        for (const check of result.checks) {
+          if (!check.passed) {
+            console.log(`    test/${scenario.name}:${check.after_onset}: error: ${names[i]}: ${check.error}`);
+          }
+        }
+        if (result.error) console.log(`    test/${scenario.name}: error: ${names[i]}: ${result.error}`);
+      });
+    }
+  }
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({
+      version: scenariosData.version,
+      total: scenarios.length,
+      trackers: names.map(name => ({ name, passed: totals[name], failed: scenarios.length - totals[name] })),
+      results
+    }, null, 2));
+  } else {
+    console.log(`\n${'='.repeat(50)}`);
+    for (const name of names) {
+      console.log(`${name.padEnd(Math.max(...names.map(n => n.length)))}  ${totals[name]}/${scenarios.length} passed`);
+    }
+    console.log(`Results: ${totals[DEFAULT_TRACKER]}/${scenarios.length} passed (${DEFAULT_TRACKER})`);
+    console.log('');
+  }
+
+  process.exit(totals[DEFAULT_TRACKER] < scenarios.length ? 1 : 0);
+}
+
+/**
+ * Tune tracker constants on the loaded suite (training) and report the
+ * best set on the validation suite; see test/tuning.js for the search
+ * methods and the score.
+ */
+function runTuning(scenarios, suiteName, args, trackerArg, jsonOutput) {
+  const arg = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+  const method = arg('tune');
+  const params = arg('params')?.split(',') ?? DEFAULT_TUNING_PARAMS;
+  const iterations = Number(arg('iterations') ?? 40);
+  const steps = Number(arg('steps') ?? 4);
+  const seed = Number(arg('seed') ?? 1);
+  const top = Number(arg('top') ?? 10);
+  const validationName = arg('validate') ?? 'validation';
+  const outPath = arg('out');
+
+  if (!TUNING_METHODS.includes(method)) {
+    console.error(`Unknown tuning method "${method}" (${TUNING_METHODS.join(', ')})`);
+    process.exit(1);
+  }
+  const unknown = params.filter(name => !TUNING_SPACE[name]);
+  if (unknown.length) {
+    console.error(`Unknown tuning parameter ${unknown.join(', ')} (${Object.keys(TUNING_SPACE).join(', ')})`);
+    process.exit(1);
+  }
+
+  // Onsets do not depend on the constants: generate (and detect) them once
+  const generate = list => list.map(scenario => ({ scenario, generated: scenarioOnsets(scenario) }));
+  const evaluator = prepared => constants => scoreResults(prepared.map(({ scenario, generated }) =>
+    runScenario(scenario, { tracker: trackerArg, constants, generated })));
+
+  const training = generate(scenarios);
+  if (!jsonOutput) {
+    console.log(`\nTuning ${params.join(', ')} on ${suiteName} (${scenarios.length} scenarios), ${method}...\n`);
+  }
+
+  const ranked = tuneConstants({ evaluate: evaluator(training), params, method, iterations, steps, seed });
+
+  const best = ranked[0];
+  const baseline = ranked.find(entry => entry.isDefault);
+  const validate = evaluator(generate(loadSuite(validationName).scenarios));
+  const validation = { best: validate(best.constants), default: validate(baseline.constants) };
+
+  if (outPath) writeFileSync(outPath, JSON.stringify(best.constants, null, 2) + '\n');
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({ method, params, suite: suiteName, ranked, validationSuite: validationName, validation }, null, 2));
+    return;
+  }
+
+  const columns = [
+    ['#', 3], ['score', 7], ['passed', 7], ['margin', 7], ['settle', 7], ['falseWait', 9],
+    ...params.map(name => [name, Math.max(name.length, 7)])
+  ];
+  const row = values => '  ' + values.map((v, i) => String(v).padStart(columns[i][1])).join('  ');
+  console.log(row(columns.map(([name]) => name)));
+  ranked.slice(0, top).forEach((entry, i) => {
+    console.log(row([
+      i + 1,
+      entry.score.toFixed(1),
+      `${entry.passed}/${entry.total}`,
+      entry.margin.toFixed(2),
+      entry.settle.toFixed(2),
+      entry.falseWaiting.toFixed(2),
+      ...params.map(name => entry.constants[name])
+    ]) + (entry.isDefault ? '  (default)' : ''));
+  });
+  const defaultRank = ranked.indexOf(baseline) + 1;
+  if (defaultRank > top) console.log(`  ... default constants ranked ${defaultRank} of ${ranked.length}`);
+
+  console.log(`\nValidation (${validationName}):`);
+  console.log(`  best     ${validation.best.passed}/${validation.best.total} passed, score ${validation.best.score.toFixed(1)}`);
+  console.log(`  default  ${validation.default.passed}/${validation.default.total} passed, score ${validation.default.score.toFixed(1)}`);
+
+  console.log(`\nBest constants${outPath ? ` (written to ${outPath})` : ''}:`);
+  console.log(JSON.stringify(best.constants, null, 2));
+  console.log('');
+}
+
+function loadSuite(name) {
+  try {
+    return JSON.parse(readFileSync(join(__dirname, 'scenarios', `${name}.json`), 'utf-8'));
+  } catch (err) {
+    console.error(`Error loading scenarios: ${err.message}`);
+    process.exit(1);
+  }
+}
+
 function main() {
   const args = process.argv.slice(2);
 
@@ -278,21 +1149,25 @@ function main() {
   const jsonOutput = args.includes('--json');
   const scenarioFilter = args.find(a => a.startsWith('--scenario='))?.split('=')[1];
   const suiteArg = args.find(a => a.startsWith('--suite='))?.split('=')[1];
+  const renderDir = args.find(a => a.startsWith('--render-audio='))?.split('=')[1];
+  const trackerArg = args.find(a => a.startsWith('--tracker='))?.split('=')[1];
+  const tuneArg = args.find(a => a.startsWith('--tune='))?.split('=')[1];
+
+  if (trackerArg && trackerArg !== 'all' && !trackerNames().includes(trackerArg)) {
+    console.error(`Unknown tracker "${trackerArg}" (${trackerNames().join(', ')}, all)`);
+    process.exit(1);
+  }
 
   // Load scenarios from specified suite (default: all.json)
   const suiteName = suiteArg || 'all';
-  const scenariosPath = join(__dirname, 'scenarios', `${suiteName}.json`);
-  let scenariosData;
+  const scenariosData = loadSuite(suiteName);
 
-  try {
-    scenariosData = JSON.parse(readFileSync(scenariosPath, 'utf-8'));
-  } catch (err) {
-    console.error(`Error loading scenarios: ${err.message}`);
+  let scenarios = scenariosData.scenarios;
+  if (!Array.isArray(scenarios) || scenarios.length === 0) {
+    console.error(`No scenarios in suite "${suiteName}"`);
     process.exit(1);
   }
 
-  let scenarios = scenariosData.scenarios;
-
   // Filter if requested
   if (scenarioFilter) {
     scenarios = scenarios.filter(s => s.name.includes(scenarioFilter));
@@ -302,17 +1177,36 @@ function main() {
     }
   }
 
+  if (tuneArg) {
+    if (trackerArg === 'all') {
+      console.error('--tune needs a single tracker');
+      process.exit(1);
+    }
+    runTuning(scenarios, suiteName, args, trackerArg, jsonOutput);
+    return;
+  }
+
+  if (trackerArg === 'all') {
+    runSideBySide(scenarios, scenariosData, jsonOutput);
+    return;
+  }
+
   // Run tests
   const results = [];
   let passed = 0;
   let failed = 0;
 
   if (!jsonOutput) {
-    console.log(`\nRunning ${scenarios.length} test scenarios...\n`);
+    const using = trackerArg ? ` with the ${trackerArg} tracker` : '';
+    console.log(`\nRunning ${scenarios.length} test scenarios${using}...\n`);
   }
 
   for (const scenario of scenarios) {
-    const result = runScenario(scenario);
+    if (renderDir && ['pcm_kicks', 'audio'].includes(scenario.generator?.type)) {
+      writeScenarioAudio(scenario, renderDir);
+    }
+
+    const result = runScenario(scenario, { tracker: trackerArg });
     results.push(result);
 
     if (result.passed) {
@@ -0,0 +1,264 @@
+/**
+ * Beat Drift Monitor - Constant Tuning
+ *
+ * Searches tracker CONSTANTS for the values that do best over a scenario
+ * suite (test/run_tests.js --tune=...). The runner evaluates a candidate
+ * set of constants by running every scenario with them; this module picks
+ * the candidates and scores the results:
+ *
+ *   score = WEIGHTS.passed · pass rate
+ *         + WEIGHTS.margin · mean drift margin (BPM inside the expected
+ *           bounds, clamped to MARGIN_CAP_BPM; negative when outside)
+ *         - WEIGHTS.settle · mean settle fraction (how much of the time
+ *           between tracking start and a check the drift was still outside
+ *           the check's bounds)
+ *         - WEIGHTS.falseWaiting · false WAITING per scenario (silence
+ *           timeouts that are not between songs)
+ *
+ * Search methods work in the unit cube of the chosen parameters (0 = min,
+ * 1 = max of TUNING_SPACE) and always include the default constants:
+ *
+ * - `grid`: every combination of `steps` evenly spaced values
+ * - `random`: `iterations` uniform samples (seeded)
+ * - `nelder-mead`: simplex search from the defaults, `iterations`
+ *   evaluations at most
+ */
+
+import { CONSTANTS } from '../core/beat_tracker.js';
+import { createRandom } from '../core/synth.js';
+import { isPerOnsetExpectation } from '../core/expectations.js';
+
+export const TUNING_METHODS = ['grid', 'random', 'nelder-mead'];
+
+// Constants that can be tuned, with their search range
+export const TUNING_SPACE = {
+  ADAPT_FAST: { min: 0.02, max: 0.2 },
+  GRID_TOLERANCE: { min: 0.2, max: 0.45 },
+  CAL_BEATS: { min: 4, max: 12, integer: true },
+  CAL_MIN_QUALITY: { min: 0.3, max: 0.9 },
+  SUBDIVISION_WEIGHT: { min: 0.2, max: 0.8 },
+  SILENCE_TIMEOUT_MS: { min: 1500, max: 8000, integer: true },
+  KALMAN_TIMING_MS: { min: 5, max: 30 },
+  KALMAN_GATE: { min: 2, max: 5 },
+  KALMAN_MANEUVER: { min: 0.05, max: 0.5 }
+};
+
+export const DEFAULT_TUNING_PARAMS = ['ADAPT_FAST', 'GRID_TOLERANCE', 'CAL_BEATS'];
+
+export const TUNING_WEIGHTS = {
+  passed: 100,
+  margin: 10,
+  settle: 20,
+  falseWaiting: 50
+};
+
+const MARGIN_CAP_BPM = { below: -2, above: 1 };
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+// BPM the drift is inside the check's bounds (negative = outside)
+function driftMargin(check) {
+  const { expected, actual } = check;
+  if (!expected || typeof actual?.drift !== 'number') return null;
+  const margins = [];
+  if (expected.drift_min !== undefined) margins.push(actual.drift - expected.drift_min);
+  if (expected.drift_max !== undefined) margins.push(expected.drift_max - actual.drift);
+  return margins.length ? Math.min(...margins) : null;
+}
+
+// Fraction of the onsets from tracking start to the check that the drift
+// spent outside the check's bounds before settling in them
+function settleFraction(check, updates) {
+  const { drift_min: min = -Infinity, drift_max: max = Infinity } = check.expected;
+  const end = check.after_onset - 1;
+  const start = updates.findIndex(u => u.state === 'TRACKING');
+  if (start < 0 || start >= end) return 1;
+
+  let settled = end + 1;
+  while (settled > start && updates[settled - 1].drift >= min && updates[settled - 1].drift <= max) {
+    settled--;
+  }
+  if (settled > end) return 1;
+  return (settled - start) / (end - start);
+}
+
+/**
+ * Score one evaluation: the runner results of every scenario with one set
+ * of constants.
+ * @param {object[]} results - runScenario() results (checks, updates, falseWaiting)
+ * @returns {object} { score, passed, total, margin, settle, falseWaiting }
+ */
+export function scoreResults(results) {
+  const margins = [];
+  const settles = [];
+  let passed = 0;
+  let falseWaiting = 0;
+
+  for (const result of results) {
+    if (result.passed) passed++;
+    falseWaiting += result.falseWaiting || 0;
+    for (const check of result.checks) {
+      const margin = driftMargin(check);
+      if (margin === null) continue;
+      margins.push(Math.max(MARGIN_CAP_BPM.below, Math.min(MARGIN_CAP_BPM.above, margin)));
+      // Per-onset checks (songs, ranges) read a series the updates do not line up with
+      if (!isPerOnsetExpectation(check.expected) && check.expected.song === undefined && result.updates?.length) {
+        settles.push(settleFraction(check, result.updates));
+      }
+    }
+  }
+
+  const mean = values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+  const total = results.length;
+  const summary = {
+    passed,
+    total,
+    margin: mean(margins),
+    settle: mean(settles),
+    falseWaiting: total ? falseWaiting / total : 0
+  };
+  summary.score = TUNING_WEIGHTS.passed * (total ? passed / total : 0)
+    + TUNING_WEIGHTS.margin * summary.margin
+    - TUNING_WEIGHTS.settle * summary.settle
+    - TUNING_WEIGHTS.falseWaiting * summary.falseWaiting;
+  return summary;
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+function toConstants(point, params) {
+  const constants = {};
+  params.forEach((name, i) => {
+    const { min, max, integer } = TUNING_SPACE[name];
+    const value = min + Math.max(0, Math.min(1, point[i])) * (max - min);
+    constants[name] = integer ? Math.round(value) : Math.round(value * 1e4) / 1e4;
+  });
+  return constants;
+}
+
+function toPoint(constants, params) {
+  return params.map(name => {
+    const { min, max } = TUNING_SPACE[name];
+    return (constants[name] - min) / (max - min);
+  });
+}
+
+function gridPoints(dims, steps) {
+  const levels = Array.from({ length: steps }, (_, i) => (steps > 1 ? i / (steps - 1) : 0.5));
+  let points = [[]];
+  for (let d = 0; d < dims; d++) {
+    points = points.flatMap(point => levels.map(level => [...point, level]));
+  }
+  return points;
+}
+
+/**
+ * Minimise f over the unit cube with the Nelder-Mead simplex method.
+ * @param {function} f - Objective, point → number
+ * @param {number[]} start - Starting point
+ * @param {number} maxEvaluations - Budget of calls to f
+ */
+function nelderMead(f, start, maxEvaluations) {
+  const clamp = point => point.map(x => Math.max(0, Math.min(1, x)));
+  let evaluations = 0;
+  const evaluate = (point) => {
+    evaluations++;
+    const clamped = clamp(point);
+    return { point: clamped, value: f(clamped) };
+  };
+
+  // Initial simplex: the start and a step of 0.25 along each axis (inwards at the edge)
+  const simplex = [evaluate(start)];
+  start.forEach((x, i) => {
+    const point = [...start];
+    point[i] = x + 0.25 <= 1 ? x + 0.25 : x - 0.25;
+    simplex.push(evaluate(point));
+  });
+
+  while (evaluations < maxEvaluations) {
+    simplex.sort((a, b) => a.value - b.value);
+    const worst = simplex[simplex.length - 1];
+    const centroid = start.map((_, i) =>
+      simplex.slice(0, -1).reduce((sum, v) => sum + v.point[i], 0) / (simplex.length - 1));
+    const along = t => centroid.map((c, i) => c + t * (worst.point[i] - c));
+
+    const reflected = evaluate(along(-1));
+    if (reflected.value < simplex[0].value) {
+      const expanded = evaluate(along(-2));
+      simplex[simplex.length - 1] = expanded.value < reflected.value ? expanded : reflected;
+    } else if (reflected.value < simplex[simplex.length - 2].value) {
+      simplex[simplex.length - 1] = reflected;
+    } else {
+      const contracted = evaluate(along(0.5));
+      if (contracted.value < worst.value) {
+        simplex[simplex.length - 1] = contracted;
+      } else {
+        // Shrink towards the best vertex
+        for (let v = 1; v < simplex.length && evaluations < maxEvaluations; v++) {
+          simplex[v] = evaluate(simplex[v].point.map((x, i) => simplex[0].point[i] + 0.5 * (x - simplex[0].point[i])));
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Search the constants of `params` for the best score.
+ * @param {object} options
+ * @param {function} options.evaluate - constants → scoreResults() summary
+ * @param {string[]} options.params - Names from TUNING_SPACE
+ * @param {string} options.method - One of TUNING_METHODS
+ * @param {number} options.iterations - Evaluations (random, nelder-mead)
+ * @param {number} options.steps - Values per parameter (grid)
+ * @param {number} options.seed - Random seed (random)
+ * @param {object} options.defaults - Starting constants (default CONSTANTS)
+ * @returns {object[]} Evaluated sets, best first: { constants, isDefault, ...summary }
+ */
+export function tuneConstants({
+  evaluate,
+  params = DEFAULT_TUNING_PARAMS,
+  method = 'nelder-mead',
+  iterations = 40,
+  steps = 4,
+  seed = 1,
+  defaults = CONSTANTS
+}) {
+  const unknown = params.filter(name => !TUNING_SPACE[name]);
+  if (unknown.length) {
+    throw new Error(`Unknown tuning parameter ${unknown.join(', ')} (${Object.keys(TUNING_SPACE).join(', ')})`);
+  }
+  if (!TUNING_METHODS.includes(method)) {
+    throw new Error(`Unknown tuning method "${method}" (${TUNING_METHODS.join(', ')})`);
+  }
+
+  // One evaluation per distinct set of constants
+  const evaluated = new Map();
+  const defaultConstants = Object.fromEntries(params.map(name => [name, defaults[name]]));
+  const defaultKey = JSON.stringify(defaultConstants);
+  const run = (constants) => {
+    const key = JSON.stringify(constants);
+    if (!evaluated.has(key)) {
+      evaluated.set(key, { constants, isDefault: key === defaultKey, ...evaluate(constants) });
+    }
+    return evaluated.get(key);
+  };
+
+  run(defaultConstants);
+
+  if (method === 'grid') {
+    for (const point of gridPoints(params.length, steps)) run(toConstants(point, params));
+  } else if (method === 'random') {
+    const random = createRandom(seed);
+    for (let i = 0; i < iterations; i++) {
+      run(toConstants(params.map(() => random()), params));
+    }
+  } else {
+    nelderMead(point => -run(toConstants(point, params)).score, toPoint(defaultConstants, params), iterations);
+  }
+
+  return [...evaluated.values()].sort((a, b) => b.score - a.score);
+}